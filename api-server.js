@@ -1,16 +1,37 @@
 require("dotenv").config();
 const express = require("express");
-const { createClient } = require("@supabase/supabase-js");
 const cors = require("cors");
-const axios = require("axios");
 const cron = require("node-cron");
+const { MoodleClient } = require("./moodle-client");
+const { CourseSyncService, SYNC_MODES } = require("./course-sync");
+const { SyncJobQueue } = require("./sync-jobs");
+const { createStorage } = require("./storage");
+const { createRepositories } = require("./repositories");
+const {
+  resolveDateRange,
+  describeDateRange,
+  toLocalDate,
+  addDays,
+  getBucketStart,
+  getNextBucketStart,
+  listBuckets,
+  BUCKET_INTERVALS,
+  DEFAULT_TIMEZONE,
+} = require("./date-range");
+const { resolveRiskConfig, scoreStudent } = require("./student-risk");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const API_URL = process.env.API_URL;
+// Parallel completion fetches per course sync; the overall request rate is
+// capped separately by MOODLE_MAX_RPS in the Moodle client
+const MOODLE_CONCURRENCY = parseInt(process.env.MOODLE_CONCURRENCY) || 5;
+// Sync mode for the nightly cron: "incremental" (default) or "full"
+const SYNC_CRON_MODE = process.env.SYNC_CRON_MODE || "incremental";
+// Roles counted as "teaching" a course when filtering by teacher
+const TEACHING_ROLES = ["editingteacher", "teacher"];
 
 // ============================================================================
-// MIDDLEWARE & SUPABASE SETUP (KEEP EXISTING)
+// MIDDLEWARE & STORAGE SETUP
 // ============================================================================
 
 // CORS Configuration
@@ -31,11 +52,10 @@ app.use(
 
 app.use(express.json());
 
-// Initialize Supabase
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY
-);
+// Supabase, or a local SQLite/Postgres database (STORAGE_BACKEND, see storage.js)
+const db = createStorage();
+// Course, enrollment, activity, completion and group queries
+const repos = createRepositories(db);
 
 // Add logging middleware from server.js
 app.use((req, res, next) => {
@@ -47,11 +67,11 @@ app.use((req, res, next) => {
 // HELPER FUNCTION: Get Filter Description
 // ============================================================================
 
-function getFilterDescription(month, year, groupId, groupInfo) {
+function getFilterDescription(dateFilter, groupId, groupInfo) {
   const parts = [];
   
-  if (month && year) {
-    parts.push(`for ${month}/${year}`);
+  if (dateFilter) {
+    parts.push(`for ${dateFilter.label}`);
   }
   
   if (groupId && groupInfo) {
@@ -69,44 +89,34 @@ function getFilterDescription(month, year, groupId, groupInfo) {
 // HELPER FUNCTION: Get Filter Type
 // ============================================================================
 
-function getFilterType(hasDateFilter, hasGroupFilter) {
-  if (hasDateFilter && hasGroupFilter) return "monthly_group";
-  if (hasDateFilter) return "monthly";
+function getFilterType(dateFilter, hasGroupFilter) {
+  // A calendar month keeps its older "monthly" name
+  const dateType = dateFilter && (dateFilter.month ? "monthly" : "date_range");
+  if (dateType && hasGroupFilter) return `${dateType}_group`;
+  if (dateType) return dateType;
   if (hasGroupFilter) return "group";
   return "none";
 }
 
 // ============================================================================
-// HELPER FUNCTION: Create Date Filter
+// HELPER FUNCTION: Date Filter From The Query
 // ============================================================================
 
-function createMonthFilter(month, year) {
-  if (!month || !year) return null;
-
-  const monthNum = parseInt(month);
-  const yearNum = parseInt(year);
-
-  if (monthNum < 1 || monthNum > 12) {
-    throw new Error("Month must be between 1 and 12");
-  }
-
-  if (yearNum < 2000 || yearNum > 2100) {
-    throw new Error("Year must be between 2000 and 2100");
+/**
+ * The reporting period of a request (?from=&to=, ?preset=, ?month=&year=,
+ * ?tz=, see date-range.js). Answers 400 and returns undefined when invalid.
+ */
+function getDateFilter(req, res) {
+  try {
+    return resolveDateRange(req.query);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+    return undefined;
   }
-
-  const startDate = new Date(Date.UTC(yearNum, monthNum - 1, 1, 0, 0, 0));
-  const endDate = new Date(Date.UTC(yearNum, monthNum, 0, 23, 59, 59, 999));
-
-  return {
-    startDate: startDate.toISOString(),
-    endDate: endDate.toISOString(),
-    month: monthNum,
-    year: yearNum,
-  };
 }
 
 // ============================================================================
-// ENDPOINT1: GET ALL COURSES + MONTHLY COMPLETION REPORT + GROUP FILTER
+// ENDPOINT1: GET ALL COURSES + COMPLETION REPORT FOR A PERIOD + GROUP FILTER
 // ============================================================================
 app.get("/api/courses", async (req, res) => {
   try {
@@ -118,37 +128,56 @@ app.get("/api/courses", async (req, res) => {
       dateField = "created_at",
       groupId, // Filter by group ID
       hasGroups, // Filter courses that have groups
+      categoryId, // Filter by Moodle course category
+      includeSubcategories, // With categoryId: also courses in subcategories
+      teacherId, // Filter by a teacher's Moodle user ID
+      teacherRole, // With teacherId: only this role (default any teaching role)
       groupFilterMode = "course" // NEW: 'course' or 'students'
     } = req.query;
 
-    // ========== Base Query (Course Summary) ==========
-    let query = supabase.from("course_enrollment_summary").select("*");
-
-    if (visible !== undefined) query = query.eq("visible", visible === "true");
-    if (search)
-      query = query.or(
-        `full_name.ilike.%${search}%,short_name.ilike.%${search}%`
-      );
+    // ?from=&to=, ?preset= or ?month=&year=
+    const dateFilter = getDateFilter(req, res);
+    if (dateFilter === undefined) return;
 
-    const { data: summaryData, error } = await query.order("full_name");
-    if (error) throw error;
+    // ========== Base Query (Course Summary) ==========
+    const summaryData = await repos.courses.listSummaries({
+      visible: visible !== undefined ? visible === "true" : undefined,
+      search,
+    });
 
     let filteredData = summaryData;
     let monthlyStats = null;
     let groupFilterInfo = null;
 
+    // ========== CATEGORY FILTER ==========
+    if (categoryId) {
+      const categoryCourseIds = await repos.courses.idsInCategory(categoryId, {
+        includeSubcategories: includeSubcategories === "true",
+      });
+      filteredData = filteredData.filter((c) =>
+        categoryCourseIds.includes(c.course_id)
+      );
+    }
+
+    // ========== TEACHER FILTER ==========
+    if (teacherId) {
+      const teacherCourseIds = await repos.courses.idsWithStaff(
+        teacherId,
+        teacherRole ? [teacherRole] : TEACHING_ROLES
+      );
+      filteredData = filteredData.filter((c) =>
+        teacherCourseIds.includes(c.course_id)
+      );
+    }
+
     // ========== GROUP FILTER ==========
     if (groupId) {
       const groupIdNum = parseInt(groupId);
       
       // Get group details
-      const { data: groupDetails, error: groupError } = await supabase
-        .from("groups")
-        .select("*")
-        .eq("group_id", groupIdNum)
-        .single();
+      const groupDetails = await repos.groups.findById(groupIdNum);
 
-      if (groupError) {
+      if (!groupDetails) {
         return res.status(400).json({
           success: false,
           error: `Group ${groupId} not found`
@@ -170,30 +199,17 @@ app.get("/api/courses", async (req, res) => {
       } else if (groupFilterMode === "students") {
         // Filter 2: Adjust student counts based on group membership
         // Get students in this group
-        const { data: groupMembers, error: membersError } = await supabase
-          .from("group_members")
-          .select("student_id")
-          .eq("group_id", groupIdNum)
-          .eq("course_id", groupDetails.course_id);
-
-        if (!membersError && groupMembers && groupMembers.length > 0) {
-          const groupStudentIds = groupMembers.map(m => m.student_id);
-          
+        const groupStudentIds = await repos.groups.memberIds(
+          groupDetails.course_id,
+          groupIdNum
+        );
+
+        if (groupStudentIds.length > 0) {
           // Get enrollment count for these students
-          const { count: groupEnrollmentCount } = await supabase
-            .from("enrollments")
-            .select("*", { count: "exact", head: true })
-            .eq("course_id", groupDetails.course_id)
-            .in("student_id", groupStudentIds)
-            .eq("status", "active");
-
-          // Get completion stats for these students
-          const { data: groupCompletions } = await supabase
-            .from("activity_completions")
-            .select("student_id, activity_id, is_completed")
-            .eq("course_id", groupDetails.course_id)
-            .in("student_id", groupStudentIds)
-            .eq("is_completed", true);
+          const groupEnrollmentCount = await repos.enrollments.count(
+            groupDetails.course_id,
+            { activeOnly: true, studentIds: groupStudentIds }
+          );
 
           // Filter to show only the course with adjusted stats
           filteredData = filteredData
@@ -215,50 +231,17 @@ app.get("/api/courses", async (req, res) => {
     }
 
     // ========== HAS GROUPS FILTER ==========
-    if (hasGroups === "true" && !groupId) {
-      // Get all courses that have at least one group
-      const { data: coursesWithGroups, error: groupsError } = await supabase
-        .from("groups")
-        .select("course_id")
-        .group("course_id");
-
-      if (!groupsError && coursesWithGroups) {
-        const courseIdsWithGroups = coursesWithGroups.map(g => g.course_id);
-        filteredData = filteredData.filter(c => 
-          courseIdsWithGroups.includes(c.course_id)
-        );
-      }
-    } else if (hasGroups === "false" && !groupId) {
-      // Get all courses that have no groups
-      const { data: coursesWithGroups, error: groupsError } = await supabase
-        .from("groups")
-        .select("course_id")
-        .group("course_id");
-
-      if (!groupsError && coursesWithGroups) {
-        const courseIdsWithGroups = coursesWithGroups.map(g => g.course_id);
-        filteredData = filteredData.filter(c => 
-          !courseIdsWithGroups.includes(c.course_id)
-        );
-      }
+    if ((hasGroups === "true" || hasGroups === "false") && !groupId) {
+      // Courses with at least one group, or with none
+      const courseIdsWithGroups = await repos.groups.courseIdsWithGroups();
+      filteredData = filteredData.filter(
+        (c) => courseIdsWithGroups.includes(c.course_id) === (hasGroups === "true")
+      );
     }
 
-    // ========== MONTH + YEAR FILTER ==========
-    if (month && year) {
-      const m = parseInt(month),
-        y = parseInt(year);
-
-      if (m < 1 || m > 12)
-        return res
-          .status(400)
-          .json({ success: false, error: "Month must be 1–12" });
-      if (y < 2000 || y > 2100)
-        return res
-          .status(400)
-          .json({ success: false, error: "Year must be 2000–2100" });
-
-      const startDate = new Date(y, m - 1, 1).toISOString();
-      const endDate = new Date(y, m, 0, 23, 59, 59, 999).toISOString();
+    // ========== DATE RANGE FILTER ==========
+    if (dateFilter) {
+      const { startDate, endDate } = dateFilter;
 
       // Filter courses based on date field
       const validFields = [
@@ -269,22 +252,19 @@ app.get("/api/courses", async (req, res) => {
       ];
       const field = validFields.includes(dateField) ? dateField : "created_at";
 
-      const { data: filteredCourses } = await supabase
-        .from("courses")
-        .select("course_id")
-        .gte(field, startDate)
-        .lte(field, endDate);
-
-      const ids = filteredCourses?.map((c) => c.course_id) || [];
+      const ids = await repos.courses.idsWithDateBetween(
+        field,
+        startDate,
+        endDate
+      );
       filteredData = filteredData.filter((c) => ids.includes(c.course_id));
 
       // ========== COMPLETED ACTIVITIES ==========
-      const { data: completedRows } = await supabase
-        .from("activity_completions")
-        .select("student_id, activity_id, is_completed")
-        .eq("is_completed", true)
-        .gte("time_completed", startDate)
-        .lte("time_completed", endDate);
+      const completedRows = await repos.completions.listActivityCompletions({
+        columns: "student_id, activity_id, is_completed",
+        completedOnly: true,
+        between: { startDate, endDate },
+      });
 
       // Count completions per student
       const studentCompletionCounts = {};
@@ -297,12 +277,7 @@ app.get("/api/courses", async (req, res) => {
       let studentWiseDetails = [];
 
       for (const studentId of Object.keys(studentCompletionCounts)) {
-        const { data: user } = await supabase
-          .from("enrollments")
-          .select("*")
-          .eq("student_id", studentId)
-          .limit(1)
-          .single();
+        const user = await repos.enrollments.findAnyByStudent(studentId);
 
         // Dynamically detect correct name column
         const student_name =
@@ -333,25 +308,22 @@ app.get("/api/courses", async (req, res) => {
     let courseGroups = {};
     
     if (courseIds.length > 0) {
-      const { data: groups, error: groupsError } = await supabase
-        .from("groups")
-        .select("course_id, group_id, group_name, description")
-        .in("course_id", courseIds)
-        .order("group_name");
-
-      if (!groupsError && groups) {
-        // Organize groups by course_id
-        groups.forEach(group => {
-          if (!courseGroups[group.course_id]) {
-            courseGroups[group.course_id] = [];
-          }
-          courseGroups[group.course_id].push({
-            group_id: group.group_id,
-            group_name: group.group_name,
-            description: group.description
-          });
+      const groups = await repos.groups.list({
+        columns: "course_id, group_id, group_name, description",
+        courseIds,
+      });
+
+      // Organize groups by course_id
+      groups.forEach(group => {
+        if (!courseGroups[group.course_id]) {
+          courseGroups[group.course_id] = [];
+        }
+        courseGroups[group.course_id].push({
+          group_id: group.group_id,
+          group_name: group.group_name,
+          description: group.description
         });
-      }
+      });
     }
 
     // Add groups to each course
@@ -377,8 +349,13 @@ app.get("/api/courses", async (req, res) => {
       filters: {
         month: month || null,
         year: year || null,
+        ...describeDateRange(dateFilter),
         groupId: groupId || null,
         hasGroups: hasGroups || null,
+        categoryId: categoryId || null,
+        includeSubcategories: includeSubcategories === "true",
+        teacherId: teacherId || null,
+        teacherRole: teacherRole || null,
         groupFilterMode: groupFilterMode,
         total_courses: filteredData.length,
       },
@@ -399,13 +376,7 @@ app.get("/api/courses/:courseId", async (req, res) => {
     const { month, year, groupId } = req.query;
 
     // Get course basic info
-    const { data: courseData, error: courseError } = await supabase
-      .from("courses")
-      .select("*")
-      .eq("course_id", parseInt(courseId))
-      .single();
-
-    if (courseError) throw courseError;
+    const courseData = await repos.courses.findById(courseId);
 
     if (!courseData) {
       return res.status(404).json({
@@ -421,15 +392,8 @@ app.get("/api/courses/:courseId", async (req, res) => {
     
     if (groupId) {
       // Get group information
-      const { data: groupData, error: groupError } = await supabase
-        .from("groups")
-        .select("*")
-        .eq("course_id", parseInt(courseId))
-        .eq("group_id", parseInt(groupId))
-        .single();
+      const groupData = await repos.groups.findById(groupId, { courseId });
 
-      if (groupError) throw groupError;
-      
       if (!groupData) {
         return res.status(404).json({
           success: false,
@@ -445,23 +409,8 @@ app.get("/api/courses/:courseId", async (req, res) => {
 
       // Try to get student IDs in this group (handle if table doesn't exist)
       try {
-        const { data: groupMembers, error: membersError } = await supabase
-          .from("group_members")
-          .select("student_id")
-          .eq("course_id", parseInt(courseId))
-          .eq("group_id", parseInt(groupId));
-
-        if (!membersError && groupMembers) {
-          groupStudentIds = groupMembers.map(m => m.student_id);
-          groupMembersCount = groupMembers.length;
-        } else if (membersError && membersError.code === 'PGRST204') {
-          // Table doesn't exist - that's OK, we'll handle it
-          console.log(`Group members table doesn't exist for group ${groupId}`);
-          groupStudentIds = [];
-          groupMembersCount = 0;
-        } else if (membersError) {
-          throw membersError;
-        }
+        groupStudentIds = await repos.groups.memberIds(courseId, groupId);
+        groupMembersCount = groupStudentIds.length;
       } catch (tableError) {
         // Table might not exist - that's OK for now
         console.log(`Note: group_members table not accessible: ${tableError.message}`);
@@ -470,72 +419,50 @@ app.get("/api/courses/:courseId", async (req, res) => {
       }
     }
 
-    // Create date filter if month/year provided
-    let dateFilter = null;
-    try {
-      dateFilter = createMonthFilter(month, year);
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: error.message,
-      });
-    }
-
-    // Get enrollment count (with optional group filter)
-    let enrollmentQuery = supabase
-      .from("enrollments")
-      .select("*", { count: "exact", head: true })
-      .eq("course_id", parseInt(courseId))
-      .eq("status", "active");
+    // ?from=&to=, ?preset= or ?month=&year=
+    const dateFilter = getDateFilter(req, res);
+    if (dateFilter === undefined) return;
 
-    if (groupId && groupStudentIds && groupStudentIds.length > 0) {
-      enrollmentQuery = enrollmentQuery.in("student_id", groupStudentIds);
-    }
+    // Only narrow to the group when we know its members
+    const studentFilter =
+      groupId && groupStudentIds && groupStudentIds.length > 0
+        ? groupStudentIds
+        : undefined;
 
-    const { count: enrollmentCount, error: enrollError } = await enrollmentQuery;
-    if (enrollError) throw enrollError;
+    // Get enrollment count (with optional group filter)
+    const enrollmentCount = await repos.enrollments.count(courseId, {
+      activeOnly: true,
+      studentIds: studentFilter,
+    });
 
     // Get activities count (always total)
-    const { count: activitiesCount, error: activitiesError } = await supabase
-      .from("activities")
-      .select("*", { count: "exact", head: true })
-      .eq("course_id", parseInt(courseId));
-
-    if (activitiesError) throw activitiesError;
+    const activitiesCount = await repos.activities.count(courseId);
 
     // Get trackable activities count (always total)
-    const { count: trackableCount, error: trackableError } = await supabase
-      .from("activities")
-      .select("*", { count: "exact", head: true })
-      .eq("course_id", parseInt(courseId))
-      .eq("has_completion", true);
-
-    if (trackableError) throw trackableError;
+    const trackableCount = await repos.activities.count(courseId, {
+      trackableOnly: true,
+    });
 
     // === GET GROUPS FOR THIS COURSE ===
-    const { data: groups, error: groupsError } = await supabase
-      .from("groups")
-      .select("group_id, group_name, description")
-      .eq("course_id", parseInt(courseId))
-      .order("group_name");
+    const groups = await repos.groups.list({
+      columns: "group_id, group_name, description",
+      courseId,
+    });
 
     let groupsWithCounts = [];
 
-    if (!groupsError && groups && groups.length > 0) {
+    if (groups.length > 0) {
       // Try to get member counts for each group (handle if table doesn't exist)
       try {
         groupsWithCounts = await Promise.all(
           groups.map(async (group) => {
             try {
-              const { count, error } = await supabase
-                .from("group_members")
-                .select("*", { count: "exact", head: true })
-                .eq("group_id", group.group_id)
-                .eq("course_id", parseInt(courseId));
-
               return {
                 ...group,
-                member_count: count || 0,
+                member_count: await repos.groups.countMembers(
+                  courseId,
+                  group.group_id
+                ),
               };
             } catch (countError) {
               // If table doesn't exist, return 0 count
@@ -560,27 +487,13 @@ app.get("/api/courses/:courseId", async (req, res) => {
     // === FILTERED DATA (if dateFilter or group filter exists) ===
 
     // Get activity completions with optional filters
-    let completionQuery = supabase
-      .from("activity_completions")
-      .select("student_id, activity_id, is_completed, time_completed")
-      .eq("course_id", parseInt(courseId))
-      .eq("is_completed", true);
-
-    // Apply date filter
-    if (dateFilter) {
-      completionQuery = completionQuery
-        .gte("time_completed", dateFilter.startDate)
-        .lte("time_completed", dateFilter.endDate)
-        .not("time_completed", "is", null);
-    }
-
-    // Apply group filter (only if we have student IDs)
-    if (groupId && groupStudentIds && groupStudentIds.length > 0) {
-      completionQuery = completionQuery.in("student_id", groupStudentIds);
-    }
-
-    const { data: completionData, error: completionError } = await completionQuery;
-    if (completionError) throw completionError;
+    const completionData = await repos.completions.listActivityCompletions({
+      columns: "student_id, activity_id, is_completed, time_completed",
+      courseId,
+      studentIds: studentFilter,
+      completedOnly: true,
+      between: dateFilter || undefined,
+    });
 
     // Calculate unique students and activities that had completions in the period
     const uniqueStudentsWithCompletions = new Set(
@@ -594,29 +507,13 @@ app.get("/api/courses/:courseId", async (req, res) => {
     const totalCompletionsInPeriod = completionData.length;
 
     // Get course completion stats with optional filters
-    let courseCompletionQuery = supabase
-      .from("course_completions")
-      .select(
-        "completion_percentage, is_course_completed, student_id, completion_date"
-      )
-      .eq("course_id", parseInt(courseId));
-
-    // Apply date filter
-    if (dateFilter) {
-      courseCompletionQuery = courseCompletionQuery
-        .gte("completion_date", dateFilter.startDate)
-        .lte("completion_date", dateFilter.endDate)
-        .eq("is_course_completed", true)
-        .not("completion_date", "is", null);
-    }
-
-    // Apply group filter (only if we have student IDs)
-    if (groupId && groupStudentIds && groupStudentIds.length > 0) {
-      courseCompletionQuery = courseCompletionQuery.in("student_id", groupStudentIds);
-    }
-
-    const { data: completionStats, error: statsError } = await courseCompletionQuery;
-    if (statsError) throw statsError;
+    const completionStats = await repos.completions.listCourseCompletions({
+      columns:
+        "completion_percentage, is_course_completed, activities_completed, student_id, completion_date",
+      courseIds: [parseInt(courseId)],
+      studentIds: studentFilter,
+      completedBetween: dateFilter || undefined,
+    });
 
     // Calculate average completion percentage
     const avgCompletion =
@@ -630,6 +527,10 @@ app.get("/api/courses/:courseId", async (req, res) => {
     const completedStudents = completionStats.filter(
       (s) => s.is_course_completed
     ).length;
+    // Derived "every trackable activity done", next to Moodle's own status
+    const completedAllActivities = completionStats.filter(
+      (s) => s.activities_completed
+    ).length;
 
     // Determine what type of filter is applied
     const hasDateFilter = !!dateFilter;
@@ -651,9 +552,10 @@ app.get("/api/courses/:courseId", async (req, res) => {
       filters: {
         month: month || null,
         year: year || null,
+        ...describeDateRange(dateFilter),
         groupId: groupId || null,
         applied: hasAnyFilter,
-        description: getFilterDescription(month, year, groupId, groupInfo),
+        description: getFilterDescription(dateFilter, groupId, groupInfo),
       },
     };
 
@@ -673,45 +575,20 @@ app.get("/api/courses/:courseId", async (req, res) => {
         unique_activities_completed: uniqueActivitiesCompleted,
         total_completions: totalCompletionsInPeriod,
         students_who_completed_course: completedStudents,
+        students_completed_all_activities: completedAllActivities,
         avg_completion_percentage: parseFloat(avgCompletion.toFixed(2)),
-        period: dateFilter ? `${dateFilter.month}/${dateFilter.year}` : null,
-        filter_type: getFilterType(hasDateFilter, hasGroupFilter),
+        period: dateFilter ? dateFilter.label : null,
+        filter_type: getFilterType(dateFilter, hasGroupFilter),
       };
     } else {
       // If no filter, show overall completion stats
       response.overall_stats = {
         avg_completion_percentage: parseFloat(avgCompletion.toFixed(2)),
         students_completed: completedStudents,
+        students_completed_all_activities: completedAllActivities,
       };
     }
 
-    // Helper function to get filter description
-    function getFilterDescription(month, year, groupId, groupInfo) {
-      const parts = [];
-      
-      if (month && year) {
-        parts.push(`for ${month}/${year}`);
-      }
-      
-      if (groupId && groupInfo) {
-        parts.push(`in group "${groupInfo.group_name}"`);
-      }
-      
-      if (parts.length === 0) {
-        return "Showing all data";
-      }
-      
-      return `Showing data ${parts.join(" ")}`;
-    }
-
-    // Helper function to get filter type
-    function getFilterType(hasDateFilter, hasGroupFilter) {
-      if (hasDateFilter && hasGroupFilter) return "monthly_group";
-      if (hasDateFilter) return "monthly";
-      if (hasGroupFilter) return "group";
-      return "none";
-    }
-
     res.json(response);
   } catch (error) {
     console.error("Error fetching course details:", error);
@@ -720,42 +597,38 @@ app.get("/api/courses/:courseId", async (req, res) => {
 });
 
 // ============================================================================
-// ENDPOINT 3: GET STUDENTS ENROLLED IN A COURSE (WITH MONTHLY FILTER)
+// ENDPOINT 3: GET STUDENTS ENROLLED IN A COURSE (WITH DATE RANGE FILTER)
 // ============================================================================
 
 app.get("/api/courses/:courseId/students", async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { status, search, page = 1, limit = 50, month, year } = req.query;
+    const {
+      status,
+      search,
+      page = 1,
+      limit = 50,
+      month,
+      year,
+      includeDeleted,
+    } = req.query;
 
-    // Create date filter if month/year provided
-    let dateFilter = null;
-    try {
-      dateFilter = createMonthFilter(month, year);
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: error.message,
-      });
-    }
+    // ?from=&to=, ?preset= or ?month=&year=
+    const dateFilter = getDateFilter(req, res);
+    if (dateFilter === undefined) return;
 
-    // If monthly filter is applied, get students who had completions in that period
+    // If a date filter is applied, get students who had completions in that period
     let studentIds = null;
     if (dateFilter) {
-      const { data: completionsInPeriod, error: compError } = await supabase
-        .from("activity_completions")
-        .select("student_id")
-        .eq("course_id", parseInt(courseId))
-        .gte("time_completed", dateFilter.startDate)
-        .lte("time_completed", dateFilter.endDate)
-        .eq("is_completed", true)
-        .not("time_completed", "is", null);
-
-      if (compError) throw compError;
+      const completionsInPeriod =
+        await repos.completions.listActivityCompletions({
+          columns: "student_id",
+          courseId,
+          completedOnly: true,
+          between: dateFilter,
+        });
 
-      studentIds = [
-        ...new Set(completionsInPeriod?.map((c) => c.student_id) || []),
-      ];
+      studentIds = [...new Set(completionsInPeriod.map((c) => c.student_id))];
 
       // If no students had completions in this period, return empty result
       if (studentIds.length === 0) {
@@ -771,74 +644,57 @@ app.get("/api/courses/:courseId/students", async (req, res) => {
           filters: {
             month: month,
             year: year,
+            ...describeDateRange(dateFilter),
             applied: true,
-            message: `No students had activity completions in ${dateFilter.month}/${dateFilter.year}`,
+            message: `No students had activity completions in ${dateFilter.label}`,
           },
         });
       }
     }
 
-    let query = supabase
-      .from("student_course_progress")
-      .select("*", { count: "exact" })
-      .eq("course_id", parseInt(courseId));
-
-    // Filter by student IDs if monthly filter is applied
-    if (studentIds) {
-      query = query.in("student_id", studentIds);
-    }
-
-    if (status) {
-      if (status === "completed") {
-        query = query.eq("is_course_completed", true);
-      } else if (status === "incomplete") {
-        query = query.eq("is_course_completed", false);
-      }
-    }
-
-    if (search) {
-      query = query.or(
-        `student_name.ilike.%${search}%,student_email.ilike.%${search}%`
-      );
-    }
-
     // Pagination
     const offset = (parseInt(page) - 1) * parseInt(limit);
-    query = query.range(offset, offset + parseInt(limit) - 1);
-
-    const { data, error, count } = await query.order("student_name");
 
-    if (error) throw error;
+    // Students unenrolled in Moodle are hidden unless asked for
+    const { rows: data, count } = await repos.enrollments.listProgress({
+      courseId,
+      includeRemoved: includeDeleted === "true",
+      // Filter by student IDs if a date filter is applied
+      studentIds: studentIds || undefined,
+      isCompleted:
+        status === "completed"
+          ? true
+          : status === "incomplete"
+          ? false
+          : undefined,
+      search,
+      range: { from: offset, to: offset + parseInt(limit) - 1 },
+    });
 
-    // If monthly filter is applied, add completion counts for the period
+    // If a date filter is applied, add completion counts for the period
     if (dateFilter && data.length > 0) {
-      const studentIdsInResults = data.map((s) => s.student_id);
-
       // Get completion counts for each student in the period
-      const { data: monthlyCompletions, error: mcError } = await supabase
-        .from("activity_completions")
-        .select("student_id, activity_id, is_completed")
-        .eq("course_id", parseInt(courseId))
-        .in("student_id", studentIdsInResults)
-        .gte("time_completed", dateFilter.startDate)
-        .lte("time_completed", dateFilter.endDate)
-        .eq("is_completed", true)
-        .not("time_completed", "is", null);
-
-      if (!mcError) {
-        // Count completions per student
-        const completionCounts = {};
-        monthlyCompletions.forEach((c) => {
-          completionCounts[c.student_id] =
-            (completionCounts[c.student_id] || 0) + 1;
+      const monthlyCompletions =
+        await repos.completions.listActivityCompletions({
+          columns: "student_id, activity_id, is_completed",
+          courseId,
+          studentIds: data.map((s) => s.student_id),
+          completedOnly: true,
+          between: dateFilter,
         });
 
-        // Add monthly completion data to each student
-        data.forEach((student) => {
-          student.monthly_completions =
-            completionCounts[student.student_id] || 0;
-        });
-      }
+      // Count completions per student
+      const completionCounts = {};
+      monthlyCompletions.forEach((c) => {
+        completionCounts[c.student_id] =
+          (completionCounts[c.student_id] || 0) + 1;
+      });
+
+      // Add completions in the period to each student
+      data.forEach((student) => {
+        student.monthly_completions =
+          completionCounts[student.student_id] || 0;
+      });
     }
 
     res.json({
@@ -853,9 +709,10 @@ app.get("/api/courses/:courseId/students", async (req, res) => {
       filters: {
         month: month || null,
         year: year || null,
+        ...describeDateRange(dateFilter),
         applied: !!dateFilter,
         description: dateFilter
-          ? `Showing students who completed activities in ${dateFilter.month}/${dateFilter.year}`
+          ? `Showing students who completed activities in ${dateFilter.label}`
           : "Showing all enrolled students",
       },
     });
@@ -865,6 +722,38 @@ app.get("/api/courses/:courseId/students", async (req, res) => {
   }
 });
 
+// ============================================================================
+// HELPER FUNCTION: Activity Availability
+// ============================================================================
+
+const ACTIVITY_AVAILABILITY = ["available", "upcoming", "overdue"];
+
+/**
+ * "upcoming" before the activity opens (restriction or open date),
+ * "closed" after it closes, "hidden" when unpublished, else "available"
+ */
+function getAvailabilityStatus(activity, now = new Date()) {
+  const after = (date) => date && new Date(date) > now;
+  const before = (date) => date && new Date(date) <= now;
+
+  if (activity.published === false) return "hidden";
+  if (after(activity.availability_start) || after(activity.open_date)) {
+    return "upcoming";
+  }
+  if (before(activity.availability_end) || before(activity.close_date)) {
+    return "closed";
+  }
+  return "available";
+}
+
+/**
+ * Past its due date, or past its close date when it has no due date
+ */
+function isOverdue(activity, now = new Date()) {
+  const deadline = activity.due_date || activity.close_date;
+  return !!deadline && new Date(deadline) < now;
+}
+
 // ============================================================================
 // ENDPOINT 4: GET ACTIVITIES/CLASSES IN A COURSE
 // Per Course: Which Classes Are Completed
@@ -873,26 +762,64 @@ app.get("/api/courses/:courseId/students", async (req, res) => {
 app.get("/api/courses/:courseId/activities", async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { sectionNumber, activityType, hasCompletion } = req.query;
-
-    let query = supabase
-      .from("activity_completion_by_course")
-      .select("*")
-      .eq("course_id", parseInt(courseId));
+    const {
+      sectionNumber,
+      activityType,
+      hasCompletion,
+      includeDeleted,
+      availability, // available | upcoming | overdue
+      maxCompletionRate,
+    } = req.query;
 
-    if (sectionNumber) {
-      query = query.eq("section_number", parseInt(sectionNumber));
+    if (availability && !ACTIVITY_AVAILABILITY.includes(availability)) {
+      return res.status(400).json({
+        success: false,
+        error: `availability must be one of: ${ACTIVITY_AVAILABILITY.join(", ")}`,
+      });
     }
 
-    if (activityType && activityType !== "all") {
-      query = query.eq("activity_type", activityType);
-    }
+    // Activities deleted in Moodle are hidden unless asked for
+    const rows = await repos.activities.listCompletionRates(courseId, {
+      includeRemoved: includeDeleted === "true",
+      sectionNumber: sectionNumber || undefined,
+      activityType: activityType !== "all" ? activityType : undefined,
+    });
 
-    const { data, error } = await query
-      .order("section_number")
-      .order("activity_name");
+    // Dates and restrictions live on the activities table
+    const activityDates = await repos.activities.list(courseId, {
+      columns:
+        "activity_id, published, availability_start, availability_end, availability_info, open_date, close_date, due_date",
+      includeRemoved: true,
+    });
 
-    if (error) throw error;
+    const datesMap = {};
+    activityDates.forEach((a) => {
+      datesMap[a.activity_id] = a;
+    });
+
+    const now = new Date();
+    let data = rows.map((activity) => {
+      const dates = datesMap[activity.activity_id] || {};
+      return {
+        ...activity,
+        ...dates,
+        availability_status: getAvailabilityStatus(dates, now),
+      };
+    });
+
+    if (availability) {
+      data = data.filter((a) =>
+        availability === "overdue"
+          ? isOverdue(a, now)
+          : a.availability_status === availability
+      );
+    }
+
+    if (maxCompletionRate !== undefined) {
+      data = data.filter(
+        (a) => parseFloat(a.completion_rate) <= parseFloat(maxCompletionRate)
+      );
+    }
 
     // Group by sections
     const sections = {};
@@ -912,6 +839,10 @@ app.get("/api/courses/:courseId/activities", async (req, res) => {
       success: true,
       activities: data,
       sections: Object.values(sections),
+      filters: {
+        availability: availability || null,
+        maxCompletionRate: maxCompletionRate || null,
+      },
     });
   } catch (error) {
     console.error("Error fetching activities:", error);
@@ -919,6 +850,135 @@ app.get("/api/courses/:courseId/activities", async (req, res) => {
   }
 });
 
+// ============================================================================
+// ENDPOINT: GET COURSE RESOURCES (FILES) WITH SIZE TOTALS
+// Files are "stale" when not modified since the course start date.
+// ?sectionNumber=, ?activityType=, ?mimeType=, ?staleOnly=true
+// ============================================================================
+
+app.get("/api/courses/:courseId/resources", async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { sectionNumber, activityType, mimeType, staleOnly } = req.query;
+
+    const course = await repos.courses.findById(
+      courseId,
+      "course_id, full_name, start_date"
+    );
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    const activities = await repos.activities.list(courseId, {
+      columns:
+        "activity_id, activity_name, activity_type, section_number, section_name",
+      sectionNumber: sectionNumber || undefined,
+      activityType: activityType !== "all" ? activityType : undefined,
+    });
+
+    let filesQuery = db
+      .from("activity_files")
+      .select("*")
+      .eq("course_id", parseInt(courseId))
+      .in(
+        "activity_id",
+        activities.map((a) => a.activity_id)
+      )
+      .order("activity_id")
+      .order("file_key");
+
+    if (mimeType) {
+      filesQuery = filesQuery.eq("mime_type", mimeType);
+    }
+
+    const { data: files, error: filesError } = await filesQuery;
+    if (filesError) throw filesError;
+
+    const activityMap = {};
+    activities.forEach((a) => {
+      activityMap[a.activity_id] = a;
+    });
+
+    const courseStart = course.start_date ? new Date(course.start_date) : null;
+
+    let resources = files.map((file) => ({
+      ...file,
+      activity: activityMap[file.activity_id],
+      is_stale:
+        !!courseStart &&
+        file.content_type === "file" &&
+        !!file.time_modified &&
+        new Date(file.time_modified) < courseStart,
+    }));
+
+    if (staleOnly === "true") {
+      resources = resources.filter((r) => r.is_stale);
+    }
+
+    // Size totals per section and per type
+    const bySection = {};
+    const byType = {};
+    resources.forEach((r) => {
+      const size = parseInt(r.file_size) || 0;
+      const sectionKey = r.activity.section_number;
+      if (!bySection[sectionKey]) {
+        bySection[sectionKey] = {
+          section_number: r.activity.section_number,
+          section_name: r.activity.section_name,
+          file_count: 0,
+          total_size: 0,
+          stale_count: 0,
+        };
+      }
+      bySection[sectionKey].file_count++;
+      bySection[sectionKey].total_size += size;
+      if (r.is_stale) bySection[sectionKey].stale_count++;
+
+      const typeKey = r.mime_type || r.content_type;
+      if (!byType[typeKey]) {
+        byType[typeKey] = { type: typeKey, file_count: 0, total_size: 0 };
+      }
+      byType[typeKey].file_count++;
+      byType[typeKey].total_size += size;
+    });
+
+    res.json({
+      success: true,
+      course: {
+        course_id: course.course_id,
+        name: course.full_name,
+        start_date: course.start_date,
+      },
+      resources,
+      summary: {
+        total_files: resources.length,
+        total_size: resources.reduce(
+          (sum, r) => sum + (parseInt(r.file_size) || 0),
+          0
+        ),
+        stale_files: resources.filter((r) => r.is_stale).length,
+      },
+      by_section: Object.values(bySection).sort(
+        (a, b) => a.section_number - b.section_number
+      ),
+      by_type: Object.values(byType).sort((a, b) => b.total_size - a.total_size),
+      filters: {
+        sectionNumber: sectionNumber || null,
+        activityType: activityType || null,
+        mimeType: mimeType || null,
+        staleOnly: staleOnly === "true",
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching course resources:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================================================
 // ENDPOINT 5: GET STUDENT PROGRESS IN A COURSE
 // Individual Student: Which Classes Completed
@@ -931,26 +991,12 @@ app.get(
       const { courseId, studentId } = req.params;
       const { month, year } = req.query;
 
-      // Create date filter if month/year provided
-      let dateFilter = null;
-      try {
-        dateFilter = createMonthFilter(month, year);
-      } catch (error) {
-        return res.status(400).json({
-          success: false,
-          error: error.message,
-        });
-      }
+      // ?from=&to=, ?preset= or ?month=&year=
+      const dateFilter = getDateFilter(req, res);
+      if (dateFilter === undefined) return;
 
       // Get student enrollment info
-      const { data: enrollment, error: enrollError } = await supabase
-        .from("enrollments")
-        .select("*")
-        .eq("course_id", parseInt(courseId))
-        .eq("student_id", parseInt(studentId))
-        .single();
-
-      if (enrollError) throw enrollError;
+      const enrollment = await repos.enrollments.find(courseId, studentId);
 
       if (!enrollment) {
         return res.status(404).json({
@@ -959,33 +1005,55 @@ app.get(
         });
       }
 
-      // Get all activities in the course
-      const { data: activities, error: activitiesError } = await supabase
-        .from("activities")
-        .select("*")
-        .eq("course_id", parseInt(courseId))
-        .eq("has_completion", true);
+      if (enrollment.deleted_at && req.query.includeDeleted !== "true") {
+        return res.status(404).json({
+          success: false,
+          error: "Student is no longer enrolled in this course",
+        });
+      }
 
-      if (activitiesError) throw activitiesError;
+      // Get all activities in the course
+      const activities = await repos.activities.list(courseId, {
+        trackableOnly: true,
+      });
 
       // Get student's completions (with optional date filter)
-      let completionsQuery = supabase
-        .from("activity_completions")
+      const completions = await repos.completions.listActivityCompletions({
+        courseId,
+        studentIds: [parseInt(studentId)],
+        between: dateFilter || undefined,
+      });
+
+      // Moodle course completion status saved by the sync
+      const courseCompletion = await repos.completions.findCourseCompletion(
+        courseId,
+        studentId,
+        "is_course_completed, completion_date, completion_source, completion_aggregation, criteria_total, criteria_completed, completion_criteria"
+      );
+
+      // Get student's grades (not synced yet is not an error). Grade items
+      // are read separately rather than embedded so SQL backends can answer.
+      const { data: grades, error: gradesError } = await db
+        .from("student_grades")
         .select("*")
+        .is("deleted_at", null)
         .eq("course_id", parseInt(courseId))
         .eq("student_id", parseInt(studentId));
 
-      if (dateFilter) {
-        completionsQuery = completionsQuery
-          .gte("time_completed", dateFilter.startDate)
-          .lte("time_completed", dateFilter.endDate)
-          .not("time_completed", "is", null);
-      }
+      if (gradesError && gradesError.code !== "PGRST205") throw gradesError;
+
+      const { data: gradeItems, error: gradeItemsError } = await db
+        .from("grade_items")
+        .select("grade_item_id, item_name, item_type, grade_min, grade_max")
+        .eq("course_id", parseInt(courseId));
 
-      const { data: completions, error: completionsError } =
-        await completionsQuery;
+      if (gradeItemsError && gradeItemsError.code !== "PGRST205") {
+        throw gradeItemsError;
+      }
 
-      if (completionsError) throw completionsError;
+      const gradeItemMap = new Map(
+        (gradeItems || []).map((item) => [item.grade_item_id, item])
+      );
 
       // Create completion map
       const completionMap = {};
@@ -993,7 +1061,28 @@ app.get(
         completionMap[c.activity_id] = c;
       });
 
-      // Combine activities with completion status
+      const gradeMap = {};
+      let courseGrade = null;
+      (grades || []).forEach((g) => {
+        const item = gradeItemMap.get(g.grade_item_id);
+        if (!item) return;
+
+        const grade = {
+          grade_item_id: g.grade_item_id,
+          item_name: item.item_name,
+          grade_raw: g.grade_raw,
+          grade_formatted: g.grade_formatted,
+          grade_min: item.grade_min,
+          grade_max: item.grade_max,
+          percentage: g.percentage,
+          date_graded: g.date_graded,
+          feedback: g.feedback,
+        };
+        if (item.item_type === "course") courseGrade = grade;
+        else if (g.activity_id) gradeMap[g.activity_id] = grade;
+      });
+
+      // Combine activities with completion status and grade
       const activitiesWithCompletion = activities.map((activity) => ({
         ...activity,
         completion: completionMap[activity.activity_id] || {
@@ -1002,6 +1091,7 @@ app.get(
           is_failed: false,
           time_completed: null,
         },
+        grade: gradeMap[activity.activity_id] || null,
       }));
 
       // Group by sections
@@ -1044,6 +1134,11 @@ app.get(
             totalActivities > 0
               ? ((completedActivities / totalActivities) * 100).toFixed(2)
               : 0,
+          course_completion: courseCompletion || null,
+          graded_activities: activitiesWithCompletion.filter(
+            (a) => a.grade && a.grade.grade_raw !== null
+          ).length,
+          course_grade: courseGrade,
         },
         sections: Object.values(sections).sort(
           (a, b) => a.section_number - b.section_number
@@ -1052,9 +1147,10 @@ app.get(
         filters: {
           month: month || null,
           year: year || null,
+          ...describeDateRange(dateFilter),
           applied: !!dateFilter,
           description: dateFilter
-            ? `Showing activities completed in ${dateFilter.month}/${dateFilter.year}`
+            ? `Showing activities completed in ${dateFilter.label}`
             : "Showing all activities with current completion status",
         },
       };
@@ -1068,256 +1164,1419 @@ app.get(
 );
 
 // ============================================================================
-// ENDPOINT 6: GET COMPLETION STATISTICS FOR A COURSE
+// ENDPOINT: GET GRADE DISTRIBUTION PER ACTIVITY
+// ?activityId= one activity, ?groupId= only students in that group
 // ============================================================================
 
-app.get("/api/courses/:courseId/stats", async (req, res) => {
+const GRADE_HISTOGRAM_BIN = 10;
+
+/**
+ * Count, average, median, min/max and a 10-point histogram of grade
+ * percentages (grades above 100% land in the top bin)
+ */
+function summarizeGrades(percentages) {
+  const sorted = [...percentages].sort((a, b) => a - b);
+  const count = sorted.length;
+  const mid = Math.floor(count / 2);
+
+  const histogram = [];
+  for (let from = 0; from < 100; from += GRADE_HISTOGRAM_BIN) {
+    histogram.push({ from, to: from + GRADE_HISTOGRAM_BIN, count: 0 });
+  }
+  sorted.forEach((p) => {
+    const bin = Math.min(
+      histogram.length - 1,
+      Math.max(0, Math.floor(p / GRADE_HISTOGRAM_BIN))
+    );
+    histogram[bin].count++;
+  });
+
+  return {
+    graded_count: count,
+    average_percentage:
+      count > 0
+        ? parseFloat((sorted.reduce((sum, p) => sum + p, 0) / count).toFixed(2))
+        : null,
+    median_percentage:
+      count === 0
+        ? null
+        : count % 2
+        ? sorted[mid]
+        : parseFloat(((sorted[mid - 1] + sorted[mid]) / 2).toFixed(2)),
+    min_percentage: count > 0 ? sorted[0] : null,
+    max_percentage: count > 0 ? sorted[count - 1] : null,
+    histogram,
+  };
+}
+
+app.get("/api/courses/:courseId/grades", async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { month, year, groupId } = req.query;
+    const { activityId, groupId } = req.query;
 
-    // Create date filter if month/year provided
-    let dateFilter = null;
-    try {
-      dateFilter = createMonthFilter(month, year);
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: error.message,
-      });
+    let itemsQuery = db
+      .from("grade_items")
+      .select("*")
+      .is("deleted_at", null)
+      .eq("course_id", parseInt(courseId))
+      .order("grade_item_id");
+
+    if (activityId) {
+      itemsQuery = itemsQuery.eq("activity_id", parseInt(activityId));
     }
 
-    // Get student IDs for group filter if groupId is provided
-    let groupStudentIds = null;
-    let groupInfo = null;
-    let groupMembersAvailable = false;
-    
+    const { data: gradeItems, error: itemsError } = await itemsQuery;
+    if (itemsError) throw itemsError;
+
+    let gradesQuery = db
+      .from("student_grades")
+      .select("grade_item_id, student_id, percentage")
+      .is("deleted_at", null)
+      .eq("course_id", parseInt(courseId))
+      .not("percentage", "is", null);
+
     if (groupId) {
-      // Get group information
-      const { data: groupData, error: groupError } = await supabase
-        .from("groups")
-        .select("*")
-        .eq("course_id", parseInt(courseId))
-        .eq("group_id", parseInt(groupId))
-        .single();
+      gradesQuery = gradesQuery.in(
+        "student_id",
+        await repos.groups.memberIds(courseId, groupId)
+      );
+    }
 
-      if (groupError) throw groupError;
-      
-      if (!groupData) {
-        return res.status(404).json({
-          success: false,
-          error: "Group not found in this course",
-        });
-      }
+    const { data: grades, error: gradesError } = await gradesQuery;
+    if (gradesError) throw gradesError;
 
-      groupInfo = {
-        group_id: groupData.group_id,
-        group_name: groupData.group_name,
-        description: groupData.description
-      };
+    // Activity details for items linked to a course module
+    const activities = await repos.activities.list(courseId, {
+      columns:
+        "activity_id, activity_name, activity_type, section_number, section_name",
+    });
 
-      // Try to get student IDs in this group (handle if table doesn't exist)
-      try {
-        const { data: groupMembers, error: membersError } = await supabase
-          .from("group_members")
-          .select("student_id")
-          .eq("course_id", parseInt(courseId))
-          .eq("group_id", parseInt(groupId));
-
-        if (!membersError && groupMembers) {
-          groupStudentIds = groupMembers.map(m => m.student_id);
-          groupMembersAvailable = true;
-        } else if (membersError && membersError.code === 'PGRST205') {
-          // Table doesn't exist - that's OK
-          console.log(`Note: group_members table doesn't exist`);
-          groupStudentIds = [];
-          groupMembersAvailable = false;
-        } else if (membersError) {
-          // Other error
-          console.log(`Error accessing group_members: ${membersError.message}`);
-          groupStudentIds = [];
-          groupMembersAvailable = false;
-        }
-      } catch (tableError) {
-        // Table might not exist - that's OK for now
-        console.log(`Note: group_members table not accessible: ${tableError.message}`);
-        groupStudentIds = [];
-        groupMembersAvailable = false;
+    const activityMap = {};
+    activities.forEach((a) => {
+      activityMap[a.activity_id] = a;
+    });
+
+    const percentagesByItem = {};
+    grades.forEach((g) => {
+      if (!percentagesByItem[g.grade_item_id]) {
+        percentagesByItem[g.grade_item_id] = [];
       }
-    }
+      percentagesByItem[g.grade_item_id].push(parseFloat(g.percentage));
+    });
 
-    // Get overall stats from view (unfiltered baseline)
-    const { data: stats, error: statsError } = await supabase
-      .from("course_completion_stats")
-      .select("*")
-      .eq("course_id", parseInt(courseId))
-      .single();
+    const summarize = (item) => ({
+      grade_item_id: item.grade_item_id,
+      item_name: item.item_name,
+      item_type: item.item_type,
+      item_module: item.item_module,
+      grade_min: item.grade_min,
+      grade_max: item.grade_max,
+      activity: item.activity_id ? activityMap[item.activity_id] || null : null,
+      ...summarizeGrades(percentagesByItem[item.grade_item_id] || []),
+    });
 
-    if (statsError) throw statsError;
+    // Items of activities removed in Moodle are left out
+    const activityItems = gradeItems
+      .filter((item) => item.item_type === "mod")
+      .filter((item) => !item.activity_id || activityMap[item.activity_id])
+      .map(summarize);
+    const courseItem = gradeItems.find((item) => item.item_type === "course");
 
-    // Get activities with completion data
-    const { data: activities, error: activitiesError } = await supabase
-      .from("activity_completion_by_course")
-      .select("*")
-      .eq("course_id", parseInt(courseId));
+    res.json({
+      success: true,
+      course_id: parseInt(courseId),
+      activities: activityItems,
+      course_total: courseItem && !activityId ? summarize(courseItem) : null,
+      filters: {
+        activityId: activityId || null,
+        groupId: groupId || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching grade distribution:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (activitiesError) throw activitiesError;
+// ============================================================================
+// ENDPOINT: GET ENGAGEMENT FOR A COURSE
+// Days since last course access per student, and daily active learners
+// rebuilt from the access snapshots of each sync.
+// ?days=30 window for the daily series, ?groupId= only that group
+// ============================================================================
 
-    // If monthly filter OR group filter is applied, we need to recalculate stats
-    let filteredStats = null;
-    let filteredByType = null;
-    let filteredBySection = null;
-    let recalculatedStats = null;
+const LAST_ACCESS_BUCKETS = [
+  { label: "0-1 days", maxDays: 1 },
+  { label: "2-7 days", maxDays: 7 },
+  { label: "8-14 days", maxDays: 14 },
+  { label: "15-30 days", maxDays: 30 },
+  { label: "31+ days", maxDays: Infinity },
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    const hasDateFilter = !!dateFilter;
-    const hasGroupFilter = !!groupId;
-    const hasAnyFilter = hasDateFilter || (hasGroupFilter && groupMembersAvailable);
+app.get("/api/courses/:courseId/engagement", async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { groupId } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
 
-    if (hasAnyFilter) {
-      // Build query for filtered completions
-      let completionsQuery = supabase
-        .from("activity_completions")
-        .select("activity_id, student_id, is_completed, is_passed, is_failed, time_completed")
-        .eq("course_id", parseInt(courseId));
+    const groupStudentIds = groupId
+      ? await repos.groups.memberIds(courseId, groupId)
+      : null;
 
-      // Apply date filter
-      if (hasDateFilter) {
-        completionsQuery = completionsQuery
-          .gte("time_completed", dateFilter.startDate)
-          .lte("time_completed", dateFilter.endDate)
-          .not("time_completed", "is", null);
-      }
+    const enrollments = await repos.enrollments.list(courseId, {
+      columns: "student_id, student_name, last_course_access",
+      studentIds: groupStudentIds || undefined,
+    });
+
+    const now = Date.now();
+    const buckets = [
+      { label: "never", count: 0 },
+      ...LAST_ACCESS_BUCKETS.map((b) => ({ label: b.label, count: 0 })),
+    ];
 
-      // Apply group filter (only if we have student IDs)
-      if (hasGroupFilter && groupMembersAvailable && groupStudentIds && groupStudentIds.length > 0) {
-        completionsQuery = completionsQuery.in("student_id", groupStudentIds);
+    enrollments.forEach((e) => {
+      if (!e.last_course_access) {
+        buckets[0].count++;
+        return;
       }
+      const daysSince = Math.floor(
+        (now - new Date(e.last_course_access).getTime()) / DAY_MS
+      );
+      const index = LAST_ACCESS_BUCKETS.findIndex((b) => daysSince <= b.maxDays);
+      buckets[index + 1].count++;
+    });
 
-      const { data: filteredCompletions, error: fcError } = await completionsQuery;
-      if (fcError) throw fcError;
+    // A student is active on the day of a captured last course access
+    const windowStart = new Date(now - (days - 1) * DAY_MS);
+    windowStart.setUTCHours(0, 0, 0, 0);
 
-      // Calculate filtered statistics
-      const totalCompletions = filteredCompletions?.filter(
-        (c) => c.is_completed
-      ).length || 0;
-      const totalPassed = filteredCompletions?.filter((c) => c.is_passed).length || 0;
-      const totalFailed = filteredCompletions?.filter((c) => c.is_failed).length || 0;
-      const uniqueStudents = new Set(
-        filteredCompletions?.map((c) => c.student_id) || []
-      ).size;
-      const uniqueActivities = new Set(
-        filteredCompletions?.map((c) => c.activity_id) || []
-      ).size;
+    let snapshotsQuery = db
+      .from("course_access_snapshots")
+      .select("student_id, last_course_access")
+      .eq("course_id", parseInt(courseId))
+      .gte("last_course_access", windowStart.toISOString());
 
-      recalculatedStats = {
-        total_completions: totalCompletions,
-        total_passed: totalPassed,
-        total_failed: totalFailed,
-        unique_students: uniqueStudents,
-        unique_activities: uniqueActivities,
-        avg_completions_per_student:
-          uniqueStudents > 0
-            ? (totalCompletions / uniqueStudents).toFixed(2)
-            : 0,
-      };
+    if (groupStudentIds) {
+      snapshotsQuery = snapshotsQuery.in("student_id", groupStudentIds);
+    }
 
-      // Calculate filtered stats by activity type
-      const completionsByActivity = {};
-      filteredCompletions?.forEach((c) => {
-        completionsByActivity[c.activity_id] =
-          (completionsByActivity[c.activity_id] || 0) + 1;
+    const { data: snapshots, error: snapshotsError } = await snapshotsQuery;
+    if (snapshotsError) throw snapshotsError;
+
+    const enrolledIds = new Set(enrollments.map((e) => e.student_id));
+    const activeByDay = {};
+    snapshots
+      .filter((s) => enrolledIds.has(s.student_id))
+      .forEach((s) => {
+        const day = new Date(s.last_course_access).toISOString().slice(0, 10);
+        if (!activeByDay[day]) activeByDay[day] = new Set();
+        activeByDay[day].add(s.student_id);
       });
 
-      filteredByType = {};
-      activities.forEach((activity) => {
-        const completionCount =
-          completionsByActivity[activity.activity_id] || 0;
+    const dailyActive = [];
+    for (let i = 0; i < days; i++) {
+      const day = new Date(windowStart.getTime() + i * DAY_MS)
+        .toISOString()
+        .slice(0, 10);
+      dailyActive.push({
+        date: day,
+        active_students: activeByDay[day] ? activeByDay[day].size : 0,
+      });
+    }
 
-        if (!filteredByType[activity.activity_type]) {
-          filteredByType[activity.activity_type] = {
-            total_activities: 0,
-            activities_with_completions: 0,
-            total_completions: 0,
-            avg_completion_rate: 0,
-          };
-        }
+    const activeWithin = (maxDays) =>
+      enrollments.filter(
+        (e) =>
+          e.last_course_access &&
+          now - new Date(e.last_course_access).getTime() <= maxDays * DAY_MS
+      ).length;
 
-        filteredByType[activity.activity_type].total_activities++;
-        if (completionCount > 0) {
-          filteredByType[activity.activity_type].activities_with_completions++;
-          filteredByType[activity.activity_type].total_completions +=
-            completionCount;
-        }
-      });
+    res.json({
+      success: true,
+      course_id: parseInt(courseId),
+      summary: {
+        total_students: enrollments.length,
+        active_last_7_days: activeWithin(7),
+        active_last_30_days: activeWithin(30),
+        never_accessed: buckets[0].count,
+      },
+      last_access_buckets: buckets,
+      daily_active: dailyActive,
+      filters: {
+        days,
+        groupId: groupId || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching engagement:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      // Calculate average completion rate per type for filtered data
-      Object.keys(filteredByType).forEach((type) => {
-        const typeActivities = activities.filter(a => a.activity_type === type);
-        const totalStudents = hasGroupFilter && groupMembersAvailable ? 
-          (groupStudentIds?.length || 0) : 
-          (stats?.enrolled_students || 0);
-        
-        if (totalStudents > 0) {
-          const avgRate = (filteredByType[type].total_completions / (totalStudents * filteredByType[type].total_activities)) * 100;
-          filteredByType[type].avg_completion_rate = avgRate.toFixed(2);
-        }
-      });
+// ============================================================================
+// HELPER FUNCTION: Completion Trend Series
+// ============================================================================
 
-      // Calculate filtered stats by section
-      filteredBySection = {};
-      activities.forEach((activity) => {
-        const completionCount =
-          completionsByActivity[activity.activity_id] || 0;
-        const key = activity.section_number;
+// Longest series a trends request may ask for (about 2.7 years of days)
+const MAX_TREND_BUCKETS = 1000;
+
+/**
+ * The period of a trends request: its date filter, else from the day of the
+ * first completion up to now. Answers 400 and returns undefined when invalid.
+ */
+function getTrendRange(req, res, completions) {
+  const dateFilter = getDateFilter(req, res);
+  if (dateFilter !== null) return dateFilter;
+
+  const first = completions.reduce((min, c) => {
+    const time = new Date(c.time_completed).getTime();
+    return min === null || time < min ? time : min;
+  }, null);
+  const timeZone = req.query.tz || DEFAULT_TIMEZONE;
+
+  return resolveDateRange(
+    first !== null
+      ? { from: toLocalDate(new Date(first), timeZone) }
+      : { preset: "today" },
+    { timeZone }
+  );
+}
 
-        if (!filteredBySection[key]) {
-          filteredBySection[key] = {
-            section_number: activity.section_number,
-            section_name: activity.section_name,
-            total_activities: 0,
-            activities_with_completions: 0,
-            total_completions: 0,
-            avg_completion_rate: 0,
-          };
-        }
+/**
+ * Completions per bucket, the cumulative completion percentage against
+ * `possibleCompletions` (students x trackable activities) and students whose
+ * first ever completion falls in the bucket. Completions before the range
+ * count towards the cumulative figures only.
+ *
+ * @param {Object[]} completions Completed rows with student_id, time_completed
+ * @param {Object} range Resolved date range (see date-range.js)
+ * @param {string} interval "day", "week" or "month"
+ * @param {number} possibleCompletions
+ */
+function buildTrendSeries(completions, range, interval, possibleCompletions) {
+  const start = new Date(range.startDate);
+  const end = new Date(range.endDate);
+  const bucketStarts = listBuckets(range.from, range.to, interval);
+  const bucketIndex = new Map(bucketStarts.map((b, i) => [b, i]));
+  const indexOf = (time) =>
+    bucketIndex.get(getBucketStart(toLocalDate(time, range.timezone), interval));
+
+  const buckets = bucketStarts.map((bucketStart) => ({
+    // The first and last buckets are cut to the range
+    period_start: bucketStart < range.from ? range.from : bucketStart,
+    period_end: [
+      addDays(getNextBucketStart(bucketStart, interval), -1),
+      range.to,
+    ].sort()[0],
+    completions: 0,
+    cumulative_completions: 0,
+    cumulative_completion_percentage: 0,
+    new_active_students: 0,
+    cumulative_active_students: 0,
+  }));
+
+  let completionsBefore = 0;
+  const firstCompletion = new Map();
+  completions.forEach((c) => {
+    const time = new Date(c.time_completed);
+    if (time > end) return;
+
+    const first = firstCompletion.get(c.student_id);
+    if (!first || time < first) firstCompletion.set(c.student_id, time);
+
+    if (time < start) completionsBefore++;
+    else buckets[indexOf(time)].completions++;
+  });
+
+  let activeBefore = 0;
+  firstCompletion.forEach((time) => {
+    if (time < start) activeBefore++;
+    else buckets[indexOf(time)].new_active_students++;
+  });
+
+  let cumulative = completionsBefore;
+  let active = activeBefore;
+  buckets.forEach((bucket) => {
+    cumulative += bucket.completions;
+    active += bucket.new_active_students;
+    bucket.cumulative_completions = cumulative;
+    bucket.cumulative_active_students = active;
+    bucket.cumulative_completion_percentage =
+      possibleCompletions > 0
+        ? parseFloat(((cumulative / possibleCompletions) * 100).toFixed(2))
+        : 0;
+  });
 
-        filteredBySection[key].total_activities++;
-        if (completionCount > 0) {
-          filteredBySection[key].activities_with_completions++;
-          filteredBySection[key].total_completions += completionCount;
-        }
-      });
+  return {
+    buckets,
+    summary: {
+      completions_before_range: completionsBefore,
+      completions_in_range: cumulative - completionsBefore,
+      new_active_students: active - activeBefore,
+      cumulative_completion_percentage:
+        buckets.length > 0
+          ? buckets[buckets.length - 1].cumulative_completion_percentage
+          : 0,
+    },
+  };
+}
 
-      // Calculate average completion rate per section for filtered data
-      Object.keys(filteredBySection).forEach((key) => {
-        const totalStudents = hasGroupFilter && groupMembersAvailable ? 
-          (groupStudentIds?.length || 0) : 
-          (stats?.enrolled_students || 0);
-        
-        if (totalStudents > 0) {
-          const avgRate = (filteredBySection[key].total_completions / (totalStudents * filteredBySection[key].total_activities)) * 100;
-          filteredBySection[key].avg_completion_rate = avgRate.toFixed(2);
-        }
+/**
+ * Answers 400 when the range holds more than MAX_TREND_BUCKETS buckets of
+ * `interval`; returns whether the request may go on
+ */
+function checkTrendBuckets(res, range, interval) {
+  const count = listBuckets(range.from, range.to, interval).length;
+  if (count <= MAX_TREND_BUCKETS) return true;
+
+  res.status(400).json({
+    success: false,
+    error: `${count} ${interval} buckets requested, at most ${MAX_TREND_BUCKETS}; use a longer interval or a shorter range`,
+  });
+  return false;
+}
+
+// ============================================================================
+// ENDPOINT: GET COMPLETION TRENDS FOR A COURSE
+// Activity completions per day/week/month from time_completed, with the
+// cumulative completion percentage and newly active students (first
+// completion). ?interval=day|week|month (default week), date filters
+// (default: since the first completion), ?groupId= only that group
+// ============================================================================
+
+app.get("/api/courses/:courseId/trends", async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { interval = "week", groupId } = req.query;
+
+    if (!BUCKET_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        error: `interval must be one of: ${BUCKET_INTERVALS.join(", ")}`,
       });
     }
 
-    // Group by activity type (baseline - unfiltered)
-    const byType = {};
-    activities.forEach((activity) => {
-      if (!byType[activity.activity_type]) {
-        byType[activity.activity_type] = {
-          total: 0,
-          avg_completion_rate: parseFloat(activity.completion_rate || 0).toFixed(2),
-          activities: [],
-        };
-      }
-      byType[activity.activity_type].total++;
-      byType[activity.activity_type].activities.push(activity);
-    });
+    // Checked before loading anything; the default range needs the data
+    if (getDateFilter(req, res) === undefined) return;
 
-    // Calculate average completion rate per type (unfiltered)
-    Object.keys(byType).forEach((type) => {
-      const typeActivities = activities.filter(a => a.activity_type === type);
+    const course = await repos.courses.findById(
+      courseId,
+      "course_id, short_name, full_name"
+    );
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    const groupStudentIds = groupId
+      ? await repos.groups.memberIds(courseId, groupId)
+      : undefined;
+
+    const enrollments = await repos.enrollments.list(courseId, {
+      columns: "student_id",
+      studentIds: groupStudentIds,
+    });
+    const activities = await repos.activities.list(courseId, {
+      columns: "activity_id",
+      trackableOnly: true,
+    });
+
+    // Only enrolled students and trackable activities, like the percentage
+    const studentIds = new Set(enrollments.map((e) => e.student_id));
+    const activityIds = new Set(activities.map((a) => a.activity_id));
+    const completions = (
+      await repos.completions.listActivityCompletions({
+        columns: "student_id, activity_id, time_completed",
+        courseId,
+        studentIds: groupStudentIds,
+        completedOnly: true,
+      })
+    ).filter(
+      (c) =>
+        c.time_completed &&
+        studentIds.has(c.student_id) &&
+        activityIds.has(c.activity_id)
+    );
+
+    const range = getTrendRange(req, res, completions);
+    if (!range || !checkTrendBuckets(res, range, interval)) return;
+
+    const { buckets, summary } = buildTrendSeries(
+      completions,
+      range,
+      interval,
+      studentIds.size * activityIds.size
+    );
+
+    res.json({
+      success: true,
+      course: {
+        course_id: course.course_id,
+        name: course.full_name,
+        short_name: course.short_name,
+      },
+      interval,
+      summary: {
+        students: studentIds.size,
+        trackable_activities: activityIds.size,
+        ...summary,
+      },
+      buckets,
+      filters: {
+        interval,
+        ...describeDateRange(range),
+        groupId: groupId || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching course trends:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// ENDPOINT: GET COMPLETION TRENDS ACROSS COURSES BY CATEGORY
+// The course trend series summed per course category, plus one over all
+// courses. Same ?interval= and date filters, ?categoryId= (with
+// ?includeSubcategories=true) and ?visible= narrow the courses.
+// ============================================================================
+
+app.get("/api/trends", async (req, res) => {
+  try {
+    const { interval = "week", categoryId, includeSubcategories, visible } =
+      req.query;
+
+    if (!BUCKET_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        error: `interval must be one of: ${BUCKET_INTERVALS.join(", ")}`,
+      });
+    }
+
+    if (getDateFilter(req, res) === undefined) return;
+
+    const courses = await repos.courses.list({
+      columns: "course_id, full_name, category_id, category_name",
+      courseIds: categoryId
+        ? await repos.courses.idsInCategory(categoryId, {
+            includeSubcategories: includeSubcategories === "true",
+          })
+        : undefined,
+      visible: visible !== undefined ? visible === "true" : undefined,
+    });
+
+    // Without filters every course is read, no need to list them
+    const courseIds =
+      categoryId || visible !== undefined
+        ? courses.map((c) => c.course_id)
+        : undefined;
+
+    const enrollments = await repos.enrollments.list(undefined, {
+      columns: "course_id, student_id",
+      courseIds,
+    });
+    const activities = await repos.activities.list(undefined, {
+      columns: "course_id, activity_id",
+      courseIds,
+      trackableOnly: true,
+    });
+
+    const key = (courseId, id) => `${courseId}:${id}`;
+    const enrolled = new Set(
+      enrollments.map((e) => key(e.course_id, e.student_id))
+    );
+    const trackable = new Set(
+      activities.map((a) => key(a.course_id, a.activity_id))
+    );
+    const completions = (
+      await repos.completions.listActivityCompletions({
+        columns: "course_id, student_id, activity_id, time_completed",
+        courseIds,
+        completedOnly: true,
+      })
+    ).filter(
+      (c) =>
+        c.time_completed &&
+        enrolled.has(key(c.course_id, c.student_id)) &&
+        trackable.has(key(c.course_id, c.activity_id))
+    );
+
+    const range = getTrendRange(req, res, completions);
+    if (!range || !checkTrendBuckets(res, range, interval)) return;
+
+    // Students x trackable activities, per course
+    const countBy = (rows) =>
+      rows.reduce((counts, row) => {
+        counts[row.course_id] = (counts[row.course_id] || 0) + 1;
+        return counts;
+      }, {});
+    const studentCounts = countBy(enrollments);
+    const activityCounts = countBy(activities);
+    const possible = (course) =>
+      (studentCounts[course.course_id] || 0) *
+      (activityCounts[course.course_id] || 0);
+
+    const categories = new Map();
+    courses.forEach((course) => {
+      if (!categories.has(course.category_id)) {
+        categories.set(course.category_id, {
+          category_id: course.category_id,
+          category_name: course.category_name,
+          courseIds: new Set(),
+          enrollments: 0,
+          possible: 0,
+        });
+      }
+      const category = categories.get(course.category_id);
+      category.courseIds.add(course.course_id);
+      category.enrollments += studentCounts[course.course_id] || 0;
+      category.possible += possible(course);
+    });
+
+    const series = (courseIdSet, possibleCompletions) =>
+      buildTrendSeries(
+        completions.filter((c) => courseIdSet.has(c.course_id)),
+        range,
+        interval,
+        possibleCompletions
+      );
+
+    const byCategory = [...categories.values()]
+      .map((category) => ({
+        category_id: category.category_id,
+        category_name: category.category_name,
+        course_count: category.courseIds.size,
+        enrollments: category.enrollments,
+        ...series(category.courseIds, category.possible),
+      }))
+      .sort((a, b) =>
+        (a.category_name || "").localeCompare(b.category_name || "")
+      );
+
+    const allCourseIds = new Set(courses.map((c) => c.course_id));
+    const overall = series(
+      allCourseIds,
+      courses.reduce((sum, course) => sum + possible(course), 0)
+    );
+
+    res.json({
+      success: true,
+      interval,
+      categories: byCategory,
+      overall: {
+        course_count: courses.length,
+        enrollments: enrollments.filter((e) => allCourseIds.has(e.course_id))
+          .length,
+        ...overall,
+      },
+      filters: {
+        interval,
+        ...describeDateRange(range),
+        categoryId: categoryId || null,
+        includeSubcategories: includeSubcategories === "true",
+        visible: visible !== undefined ? visible === "true" : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching trends:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// ENDPOINT: GET AT-RISK STUDENTS FOR A COURSE
+// Scores each enrolled student on missed expected activities, inactivity,
+// failed activities and pace (see student-risk.js), highest risk first.
+// Only flagged students unless ?includeLowRisk=true; ?weights= and
+// ?thresholds= ("name:value,...") override the configured scoring,
+// ?groupId= only that group
+// ============================================================================
+
+app.get("/api/courses/:courseId/at-risk", async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { groupId, includeLowRisk, weights, thresholds } = req.query;
+
+    let config;
+    try {
+      config = resolveRiskConfig({ weights, thresholds });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const course = await repos.courses.findById(
+      courseId,
+      "course_id, short_name, full_name, start_date, end_date"
+    );
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    const groupStudentIds = groupId
+      ? await repos.groups.memberIds(courseId, groupId)
+      : undefined;
+
+    const enrollments = await repos.enrollments.list(courseId, {
+      columns:
+        "student_id, student_name, student_email, enrollment_date, " +
+        "enrollment_start, first_access, last_course_access",
+      studentIds: groupStudentIds,
+    });
+    const activities = await repos.activities.list(courseId, {
+      columns: "activity_id, completion_expected",
+      trackableOnly: true,
+    });
+    const completions = await repos.completions.listActivityCompletions({
+      columns: "student_id, activity_id, is_completed, is_failed",
+      courseId,
+      studentIds: groupStudentIds,
+    });
+
+    const activityIds = new Set(activities.map((a) => a.activity_id));
+    const completionsByStudent = {};
+    completions
+      .filter((c) => activityIds.has(c.activity_id))
+      .forEach((c) => {
+        if (!completionsByStudent[c.student_id]) {
+          completionsByStudent[c.student_id] = [];
+        }
+        completionsByStudent[c.student_id].push(c);
+      });
+
+    const now = Date.now();
+    const scored = enrollments
+      .map((enrollment) => ({
+        student_id: enrollment.student_id,
+        student_name: enrollment.student_name,
+        student_email: enrollment.student_email,
+        last_course_access: enrollment.last_course_access,
+        ...scoreStudent(
+          {
+            enrollment,
+            activities,
+            completions: completionsByStudent[enrollment.student_id] || [],
+            course,
+          },
+          config,
+          now
+        ),
+      }))
+      .sort(
+        (a, b) =>
+          b.risk_score - a.risk_score ||
+          (a.student_name || "").localeCompare(b.student_name || "")
+      );
+
+    const countLevel = (level) =>
+      scored.filter((s) => s.risk_level === level).length;
+
+    res.json({
+      success: true,
+      course: {
+        course_id: course.course_id,
+        name: course.full_name,
+        short_name: course.short_name,
+        end_date: course.end_date,
+      },
+      summary: {
+        total_students: scored.length,
+        flagged_students: scored.filter((s) => s.flagged).length,
+        high_risk: countLevel("high"),
+        medium_risk: countLevel("medium"),
+        low_risk: countLevel("low"),
+        trackable_activities: activities.length,
+        activities_with_expected_date: activities.filter(
+          (a) => a.completion_expected
+        ).length,
+      },
+      students:
+        includeLowRisk === "true" ? scored : scored.filter((s) => s.flagged),
+      config,
+      filters: {
+        groupId: groupId || null,
+        includeLowRisk: includeLowRisk === "true",
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching at-risk students:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// HELPER FUNCTION: Segment Comparison
+// ============================================================================
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+const percentOf = (part, whole) =>
+  whole > 0 ? Number(((part / whole) * 100).toFixed(2)) : 0;
+const difference = (value, average) =>
+  value === null || average === null
+    ? null
+    : Number((value - average).toFixed(2));
+
+/**
+ * Completion figures for one set of students: the rate over all trackable
+ * activities, per section and per activity type, and the median days from
+ * enrolling to completing the course.
+ *
+ * @param {number[]} studentIds
+ * @param {object} data activities, completedKeys (Set of
+ *   "student_id:activity_id"), completionDates (student_id -> course
+ *   completion date) and startDates (student_id -> enrollment start)
+ */
+function summarizeSegment(studentIds, data) {
+  const { activities, completedKeys, completionDates, startDates } = data;
+  const sections = {};
+  const types = {};
+  let completed = 0;
+
+  activities.forEach((activity) => {
+    const done = studentIds.filter((id) =>
+      completedKeys.has(`${id}:${activity.activity_id}`)
+    ).length;
+    completed += done;
+
+    if (!sections[activity.section_number]) {
+      sections[activity.section_number] = {
+        section_number: activity.section_number,
+        section_name: activity.section_name,
+        activities: 0,
+        completions: 0,
+      };
+    }
+    if (!types[activity.activity_type]) {
+      types[activity.activity_type] = {
+        activity_type: activity.activity_type,
+        activities: 0,
+        completions: 0,
+      };
+    }
+    for (const entry of [
+      sections[activity.section_number],
+      types[activity.activity_type],
+    ]) {
+      entry.activities++;
+      entry.completions += done;
+    }
+  });
+
+  const withRate = ({ completions, ...entry }) => ({
+    ...entry,
+    completions,
+    completion_rate: percentOf(
+      completions,
+      entry.activities * studentIds.length
+    ),
+  });
+
+  const completers = studentIds.filter((id) => completionDates.has(id));
+  const daysToComplete = completers
+    .filter((id) => startDates.has(id))
+    .map(
+      (id) =>
+        (new Date(completionDates.get(id)) - new Date(startDates.get(id))) /
+        DAY_MS
+    )
+    .filter((days) => days >= 0);
+  const medianDays = median(daysToComplete);
+
+  return {
+    students: studentIds.length,
+    completion_rate: percentOf(
+      completed,
+      activities.length * studentIds.length
+    ),
+    students_completed: completers.length,
+    course_completion_rate: percentOf(completers.length, studentIds.length),
+    median_days_to_complete:
+      medianDays === null ? null : Number(medianDays.toFixed(1)),
+    by_section: Object.values(sections)
+      .sort((a, b) => a.section_number - b.section_number)
+      .map(withRate),
+    by_activity_type: Object.values(types)
+      .sort((a, b) => a.activity_type.localeCompare(b.activity_type))
+      .map(withRate),
+  };
+}
+
+/**
+ * `segment` with each rate's difference from the course `average` added
+ */
+function withDeltas(segment, average) {
+  const deltaFor = (entries, key, entry) => {
+    const match = entries.find((e) => e[key] === entry[key]);
+    return difference(
+      entry.completion_rate,
+      match ? match.completion_rate : null
+    );
+  };
+
+  return {
+    ...segment,
+    by_section: segment.by_section.map((s) => ({
+      ...s,
+      delta: deltaFor(average.by_section, "section_number", s),
+    })),
+    by_activity_type: segment.by_activity_type.map((t) => ({
+      ...t,
+      delta: deltaFor(average.by_activity_type, "activity_type", t),
+    })),
+    delta: {
+      completion_rate: difference(
+        segment.completion_rate,
+        average.completion_rate
+      ),
+      course_completion_rate: difference(
+        segment.course_completion_rate,
+        average.course_completion_rate
+      ),
+      median_days_to_complete: difference(
+        segment.median_days_to_complete,
+        average.median_days_to_complete
+      ),
+    },
+  };
+}
+
+// ============================================================================
+// ENDPOINT: COMPARE GROUPS OR COHORTS IN A COURSE
+// ?groups=1,2,3 compares those groups, ?cohorts=all every enrollment month
+// (or ?cohorts=2024-01,2024-02 only those), months in the reporting
+// timezone. Each gets completion rates overall, per section and per
+// activity type, and the median days to complete the course, with deltas
+// against the whole course. Date filters count only completions in range.
+// ============================================================================
+
+app.get("/api/courses/:courseId/compare", async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { groups, cohorts } = req.query;
+
+    if (!groups === !cohorts) {
+      return res.status(400).json({
+        success: false,
+        error: "Use either groups=<id,id,...> or cohorts=all|<YYYY-MM,...>",
+      });
+    }
+
+    const groupIds = groups ? groups.split(",").map((id) => id.trim()) : [];
+    if (groupIds.some((id) => !/^\d+$/.test(id))) {
+      return res.status(400).json({
+        success: false,
+        error: "groups must be a comma-separated list of group ids",
+      });
+    }
+
+    const cohortMonths =
+      cohorts && cohorts !== "all"
+        ? cohorts.split(",").map((month) => month.trim())
+        : null;
+    if (cohortMonths && cohortMonths.some((m) => !/^\d{4}-\d{2}$/.test(m))) {
+      return res.status(400).json({
+        success: false,
+        error: "cohorts must be all or a comma-separated list of YYYY-MM months",
+      });
+    }
+
+    const dateFilter = getDateFilter(req, res);
+    if (dateFilter === undefined) return;
+    const timeZone = dateFilter
+      ? dateFilter.timezone
+      : req.query.tz || DEFAULT_TIMEZONE;
+
+    const course = await repos.courses.findById(
+      courseId,
+      "course_id, short_name, full_name"
+    );
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    const enrollments = await repos.enrollments.list(courseId, {
+      columns: "student_id, enrollment_date, enrollment_start, first_access",
+    });
+    const activities = await repos.activities.list(courseId, {
+      columns: "activity_id, section_number, section_name, activity_type",
+      trackableOnly: true,
+    });
+    const completions = await repos.completions.listActivityCompletions({
+      columns: "student_id, activity_id",
+      courseId,
+      completedOnly: true,
+      between: dateFilter || undefined,
+    });
+    const courseCompletions = await repos.completions.listCourseCompletions({
+      columns: "student_id, is_course_completed, completion_date",
+      courseIds: [parseInt(courseId)],
+      completedBetween: dateFilter || undefined,
+    });
+
+    const enrolledIds = enrollments.map((e) => e.student_id);
+    const startDates = new Map();
+    enrollments.forEach((e) => {
+      const start = e.enrollment_start || e.enrollment_date || e.first_access;
+      if (start) startDates.set(e.student_id, start);
+    });
+
+    const data = {
+      activities,
+      completedKeys: new Set(
+        completions.map((c) => `${c.student_id}:${c.activity_id}`)
+      ),
+      completionDates: new Map(
+        courseCompletions
+          .filter((c) => c.is_course_completed && c.completion_date)
+          .map((c) => [c.student_id, c.completion_date])
+      ),
+      startDates,
+    };
+
+    // Enrolled students of each group or cohort, in the order to report them
+    let segments;
+    if (groups) {
+      const courseGroups = await repos.groups.list({
+        columns: "group_id, group_name",
+        courseId,
+      });
+      const missing = groupIds.filter(
+        (id) => !courseGroups.some((g) => g.group_id === parseInt(id))
+      );
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          error: `Group ${missing.join(", ")} not found in this course`,
+        });
+      }
+
+      const members = await repos.groups.listMembers(courseId);
+      const enrolled = new Set(enrolledIds);
+      segments = [...new Set(groupIds.map((id) => parseInt(id)))].map((id) => ({
+        group_id: id,
+        group_name: courseGroups.find((g) => g.group_id === id).group_name,
+        studentIds: members
+          .filter((m) => m.group_id === id && enrolled.has(m.student_id))
+          .map((m) => m.student_id),
+      }));
+    } else {
+      const byMonth = {};
+      enrollments.forEach((e) => {
+        const start = e.enrollment_start || e.enrollment_date;
+        const month = start
+          ? toLocalDate(new Date(start), timeZone).slice(0, 7)
+          : null;
+        if (!byMonth[month]) byMonth[month] = [];
+        byMonth[month].push(e.student_id);
+      });
+
+      segments = (cohortMonths || Object.keys(byMonth).sort())
+        .filter((month, i, months) => months.indexOf(month) === i)
+        .map((month) => ({
+          cohort: month === "null" ? null : month,
+          studentIds: byMonth[month] || [],
+        }));
+    }
+
+    const average = summarizeSegment(enrolledIds, data);
+
+    res.json({
+      success: true,
+      course: {
+        course_id: course.course_id,
+        name: course.full_name,
+        short_name: course.short_name,
+      },
+      compare_by: groups ? "group" : "cohort",
+      course_average: average,
+      segments: segments.map(({ studentIds, ...segment }) => ({
+        ...segment,
+        ...withDeltas(summarizeSegment(studentIds, data), average),
+      })),
+      filters: {
+        groups: groups ? groupIds : null,
+        cohorts: cohorts || null,
+        ...describeDateRange(dateFilter),
+        timezone: timeZone,
+      },
+    });
+  } catch (error) {
+    console.error("Error comparing course segments:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// ENDPOINT: GET ACTIVITY FUNNEL FOR A COURSE
+// Trackable activities in course page order as funnel steps. A student stays
+// in the funnel while they have completed every step so far; per step:
+// students who completed it in any order, students still in the funnel
+// before and after it, and those who dropped off there. Drop-offs add up to
+// the students who did not complete every step. The ?top= steps with the
+// most drop-offs (default 3) are listed and flagged is_top_drop_off. Date
+// filters count only completions in range, ?groupId= only that group
+// ============================================================================
+
+app.get("/api/courses/:courseId/funnel", async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { groupId } = req.query;
+    const top = Math.min(Math.max(parseInt(req.query.top) || 3, 1), 50);
+
+    const dateFilter = getDateFilter(req, res);
+    if (dateFilter === undefined) return;
+
+    const course = await repos.courses.findById(
+      courseId,
+      "course_id, short_name, full_name"
+    );
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: "Course not found",
+      });
+    }
+
+    let groupInfo = null;
+    let groupStudentIds;
+    if (groupId) {
+      const group = await repos.groups.findById(groupId, { courseId });
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          error: "Group not found in this course",
+        });
+      }
+
+      groupInfo = { group_id: group.group_id, group_name: group.group_name };
+      groupStudentIds = await repos.groups.memberIds(courseId, groupId);
+    }
+
+    const enrollments = await repos.enrollments.list(courseId, {
+      columns: "student_id",
+      studentIds: groupStudentIds,
+    });
+    const activities = await repos.activities.listInCourseOrder(courseId, {
+      columns:
+        "activity_id, activity_name, activity_type, section_number, " +
+        "section_name, section_position",
+      trackableOnly: true,
+    });
+    const completions = await repos.completions.listActivityCompletions({
+      columns: "student_id, activity_id",
+      courseId,
+      studentIds: groupStudentIds,
+      completedOnly: true,
+      between: dateFilter || undefined,
+    });
+
+    const enrolledIds = enrollments.map((e) => e.student_id);
+    const completedBy = new Map(
+      activities.map((a) => [a.activity_id, new Set()])
+    );
+    completions.forEach((c) => {
+      if (completedBy.has(c.activity_id)) {
+        completedBy.get(c.activity_id).add(c.student_id);
+      }
+    });
+
+    // Students still in the funnel: they completed every step so far
+    let inOrder = enrolledIds;
+    const steps = activities.map((activity, index) => {
+      const completedStep = completedBy.get(activity.activity_id);
+      const reached = enrolledIds.filter((id) => completedStep.has(id));
+      const previous = inOrder;
+      inOrder = previous.filter((id) => completedStep.has(id));
+      const droppedOff = previous.length - inOrder.length;
+
+      return {
+        step: index + 1,
+        activity_id: activity.activity_id,
+        activity_name: activity.activity_name,
+        activity_type: activity.activity_type,
+        section_number: activity.section_number,
+        section_name: activity.section_name,
+        students_reached: reached.length,
+        students_reached_in_order: inOrder.length,
+        reached_rate: percentOf(reached.length, enrolledIds.length),
+        previous_step_students: previous.length,
+        dropped_off: droppedOff,
+        drop_off_rate: percentOf(droppedOff, previous.length),
+      };
+    });
+
+    const topDropOffs = steps
+      .filter((s) => s.dropped_off > 0)
+      .sort(
+        (a, b) =>
+          b.dropped_off - a.dropped_off ||
+          b.drop_off_rate - a.drop_off_rate ||
+          a.step - b.step
+      )
+      .slice(0, top)
+      .map((s) => ({
+        step: s.step,
+        activity_id: s.activity_id,
+        activity_name: s.activity_name,
+        section_name: s.section_name,
+        dropped_off: s.dropped_off,
+        drop_off_rate: s.drop_off_rate,
+      }));
+    const highlighted = new Set(topDropOffs.map((s) => s.step));
+
+    res.json({
+      success: true,
+      course: {
+        course_id: course.course_id,
+        name: course.full_name,
+        short_name: course.short_name,
+      },
+      summary: {
+        students: enrolledIds.length,
+        steps: steps.length,
+        completed_all_in_order: steps.length > 0 ? inOrder.length : 0,
+        completion_rate: percentOf(
+          steps.length > 0 ? inOrder.length : 0,
+          enrolledIds.length
+        ),
+      },
+      steps: steps.map((s) => ({
+        ...s,
+        is_top_drop_off: highlighted.has(s.step),
+      })),
+      top_drop_offs: topDropOffs,
+      filters: {
+        ...describeDateRange(dateFilter),
+        groupId: groupId || null,
+        group: groupInfo,
+        top,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching activity funnel:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// ENDPOINT 6: GET COMPLETION STATISTICS FOR A COURSE
+// ============================================================================
+
+app.get("/api/courses/:courseId/stats", async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { month, year, groupId } = req.query;
+
+    // ?from=&to=, ?preset= or ?month=&year=
+    const dateFilter = getDateFilter(req, res);
+    if (dateFilter === undefined) return;
+
+    // Get student IDs for group filter if groupId is provided
+    let groupStudentIds = null;
+    let groupInfo = null;
+    let groupMembersAvailable = false;
+    
+    if (groupId) {
+      // Get group information
+      const groupData = await repos.groups.findById(groupId, { courseId });
+
+      if (!groupData) {
+        return res.status(404).json({
+          success: false,
+          error: "Group not found in this course",
+        });
+      }
+
+      groupInfo = {
+        group_id: groupData.group_id,
+        group_name: groupData.group_name,
+        description: groupData.description
+      };
+
+      // Try to get student IDs in this group (handle if table doesn't exist)
+      try {
+        groupStudentIds = await repos.groups.memberIds(courseId, groupId);
+        groupMembersAvailable = true;
+      } catch (tableError) {
+        // Table might not exist - that's OK for now
+        console.log(`Note: group_members table not accessible: ${tableError.message}`);
+        groupStudentIds = [];
+        groupMembersAvailable = false;
+      }
+    }
+
+    // Get overall stats from view (unfiltered baseline)
+    const stats = await repos.courses.getCompletionStats(courseId);
+
+    // Get activities with completion data (without activities deleted in Moodle)
+    const activities = await repos.activities.listCompletionRates(courseId);
+
+    // If a date filter OR group filter is applied, we need to recalculate stats
+    let filteredStats = null;
+    let filteredByType = null;
+    let filteredBySection = null;
+    let recalculatedStats = null;
+
+    const hasDateFilter = !!dateFilter;
+    const hasGroupFilter = !!groupId;
+    const hasAnyFilter = hasDateFilter || (hasGroupFilter && groupMembersAvailable);
+
+    if (hasAnyFilter) {
+      // Filtered completions, by date and/or group (only if we have student IDs)
+      const filteredCompletions =
+        await repos.completions.listActivityCompletions({
+          columns:
+            "activity_id, student_id, is_completed, is_passed, is_failed, time_completed",
+          courseId,
+          studentIds:
+            hasGroupFilter && groupMembersAvailable && groupStudentIds?.length > 0
+              ? groupStudentIds
+              : undefined,
+          between: dateFilter || undefined,
+        });
+
+      // Calculate filtered statistics
+      const totalCompletions = filteredCompletions?.filter(
+        (c) => c.is_completed
+      ).length || 0;
+      const totalPassed = filteredCompletions?.filter((c) => c.is_passed).length || 0;
+      const totalFailed = filteredCompletions?.filter((c) => c.is_failed).length || 0;
+      const uniqueStudents = new Set(
+        filteredCompletions?.map((c) => c.student_id) || []
+      ).size;
+      const uniqueActivities = new Set(
+        filteredCompletions?.map((c) => c.activity_id) || []
+      ).size;
+
+      recalculatedStats = {
+        total_completions: totalCompletions,
+        total_passed: totalPassed,
+        total_failed: totalFailed,
+        unique_students: uniqueStudents,
+        unique_activities: uniqueActivities,
+        avg_completions_per_student:
+          uniqueStudents > 0
+            ? (totalCompletions / uniqueStudents).toFixed(2)
+            : 0,
+      };
+
+      // Calculate filtered stats by activity type
+      const completionsByActivity = {};
+      filteredCompletions?.forEach((c) => {
+        completionsByActivity[c.activity_id] =
+          (completionsByActivity[c.activity_id] || 0) + 1;
+      });
+
+      filteredByType = {};
+      activities.forEach((activity) => {
+        const completionCount =
+          completionsByActivity[activity.activity_id] || 0;
+
+        if (!filteredByType[activity.activity_type]) {
+          filteredByType[activity.activity_type] = {
+            total_activities: 0,
+            activities_with_completions: 0,
+            total_completions: 0,
+            avg_completion_rate: 0,
+          };
+        }
+
+        filteredByType[activity.activity_type].total_activities++;
+        if (completionCount > 0) {
+          filteredByType[activity.activity_type].activities_with_completions++;
+          filteredByType[activity.activity_type].total_completions +=
+            completionCount;
+        }
+      });
+
+      // Calculate average completion rate per type for filtered data
+      Object.keys(filteredByType).forEach((type) => {
+        const typeActivities = activities.filter(a => a.activity_type === type);
+        const totalStudents = hasGroupFilter && groupMembersAvailable ? 
+          (groupStudentIds?.length || 0) : 
+          (stats?.enrolled_students || 0);
+        
+        if (totalStudents > 0) {
+          const avgRate = (filteredByType[type].total_completions / (totalStudents * filteredByType[type].total_activities)) * 100;
+          filteredByType[type].avg_completion_rate = avgRate.toFixed(2);
+        }
+      });
+
+      // Calculate filtered stats by section
+      filteredBySection = {};
+      activities.forEach((activity) => {
+        const completionCount =
+          completionsByActivity[activity.activity_id] || 0;
+        const key = activity.section_number;
+
+        if (!filteredBySection[key]) {
+          filteredBySection[key] = {
+            section_number: activity.section_number,
+            section_name: activity.section_name,
+            total_activities: 0,
+            activities_with_completions: 0,
+            total_completions: 0,
+            avg_completion_rate: 0,
+          };
+        }
+
+        filteredBySection[key].total_activities++;
+        if (completionCount > 0) {
+          filteredBySection[key].activities_with_completions++;
+          filteredBySection[key].total_completions += completionCount;
+        }
+      });
+
+      // Calculate average completion rate per section for filtered data
+      Object.keys(filteredBySection).forEach((key) => {
+        const totalStudents = hasGroupFilter && groupMembersAvailable ? 
+          (groupStudentIds?.length || 0) : 
+          (stats?.enrolled_students || 0);
+        
+        if (totalStudents > 0) {
+          const avgRate = (filteredBySection[key].total_completions / (totalStudents * filteredBySection[key].total_activities)) * 100;
+          filteredBySection[key].avg_completion_rate = avgRate.toFixed(2);
+        }
+      });
+    }
+
+    // Group by activity type (baseline - unfiltered)
+    const byType = {};
+    activities.forEach((activity) => {
+      if (!byType[activity.activity_type]) {
+        byType[activity.activity_type] = {
+          total: 0,
+          avg_completion_rate: parseFloat(activity.completion_rate || 0).toFixed(2),
+          activities: [],
+        };
+      }
+      byType[activity.activity_type].total++;
+      byType[activity.activity_type].activities.push(activity);
+    });
+
+    // Calculate average completion rate per type (unfiltered)
+    Object.keys(byType).forEach((type) => {
+      const typeActivities = activities.filter(a => a.activity_type === type);
       const totalCompletionRate = typeActivities.reduce(
         (sum, a) => sum + parseFloat(a.completion_rate || 0),
         0
@@ -1367,9 +2626,10 @@ app.get("/api/courses/:courseId/stats", async (req, res) => {
       filters: {
         month: month || null,
         year: year || null,
+        ...describeDateRange(dateFilter),
         groupId: groupId || null,
         applied: hasAnyFilter,
-        description: getFilterDescription(month, year, groupId, groupInfo, groupMembersAvailable),
+        description: getStatsFilterDescription(dateFilter, groupId, groupInfo, groupMembersAvailable),
       },
     };
 
@@ -1386,7 +2646,7 @@ app.get("/api/courses/:courseId/stats", async (req, res) => {
         by_section: Object.values(filteredBySection || {}).sort(
           (a, b) => a.section_number - b.section_number
         ),
-        period: dateFilter ? `${dateFilter.month}/${dateFilter.year}` : null,
+        period: dateFilter ? dateFilter.label : null,
         group: groupInfo && groupMembersAvailable ? {
           group_id: groupInfo.group_id,
           group_name: groupInfo.group_name,
@@ -1396,16 +2656,16 @@ app.get("/api/courses/:courseId/stats", async (req, res) => {
           group_name: groupInfo.group_name,
           note: "Member data unavailable"
         } : null),
-        filter_type: getFilterType(hasDateFilter, hasGroupFilter && groupMembersAvailable),
+        filter_type: getFilterType(dateFilter, hasGroupFilter && groupMembersAvailable),
       };
     }
 
     // Helper function to get filter description
-    function getFilterDescription(month, year, groupId, groupInfo, membersAvailable) {
+    function getStatsFilterDescription(dateFilter, groupId, groupInfo, membersAvailable) {
       const parts = [];
       
-      if (month && year) {
-        parts.push(`for ${month}/${year}`);
+      if (dateFilter) {
+        parts.push(`for ${dateFilter.label}`);
       }
       
       if (groupId && groupInfo) {
@@ -1423,14 +2683,6 @@ app.get("/api/courses/:courseId/stats", async (req, res) => {
       return `Showing data ${parts.join(" ")}`;
     }
 
-    // Helper function to get filter type
-    function getFilterType(hasDateFilter, hasGroupFilter) {
-      if (hasDateFilter && hasGroupFilter) return "monthly_group";
-      if (hasDateFilter) return "monthly";
-      if (hasGroupFilter) return "group";
-      return "none";
-    }
-
     res.json(response);
   } catch (error) {
     console.error("Error fetching course stats:", error);
@@ -1454,42 +2706,19 @@ app.get("/api/students/filter", async (req, res) => {
       limit = 50,
     } = req.query;
 
-    let query = supabase
-      .from("student_course_progress")
-      .select("*", { count: "exact" });
-
-    if (courseId) {
-      query = query.eq("course_id", parseInt(courseId));
-    }
-
-    if (minCompletion) {
-      query = query.gte("completion_percentage", parseFloat(minCompletion));
-    }
-
-    if (maxCompletion) {
-      query = query.lte("completion_percentage", parseFloat(maxCompletion));
-    }
-
-    if (isCompleted !== undefined) {
-      query = query.eq("is_course_completed", isCompleted === "true");
-    }
-
-    if (search) {
-      query = query.or(
-        `student_name.ilike.%${search}%,student_email.ilike.%${search}%`
-      );
-    }
-
     // Pagination
     const offset = (parseInt(page) - 1) * parseInt(limit);
-    query = query.range(offset, offset + parseInt(limit) - 1);
 
-    const { data, error, count } = await query.order("completion_percentage", {
-      ascending: false,
+    const { rows: data, count } = await repos.enrollments.listProgress({
+      courseId: courseId || undefined,
+      minCompletion: minCompletion ? parseFloat(minCompletion) : undefined,
+      maxCompletion: maxCompletion ? parseFloat(maxCompletion) : undefined,
+      isCompleted: isCompleted !== undefined ? isCompleted === "true" : undefined,
+      search,
+      range: { from: offset, to: offset + parseInt(limit) - 1 },
+      orderBy: { column: "completion_percentage", ascending: false },
     });
 
-    if (error) throw error;
-
     res.json({
       success: true,
       students: data,
@@ -1513,13 +2742,10 @@ app.get("/api/students/filter", async (req, res) => {
 // Get all courses for dropdown
 app.get("/api/filters/courses", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("courses")
-      .select("course_id, short_name, full_name, visible")
-      .eq("visible", true)
-      .order("full_name");
-
-    if (error) throw error;
+    const data = await repos.courses.list({
+      columns: "course_id, short_name, full_name, visible",
+      visible: true,
+    });
 
     res.json({ success: true, courses: data });
   } catch (error) {
@@ -1532,15 +2758,9 @@ app.get("/api/filters/activity-types", async (req, res) => {
   try {
     const { courseId } = req.query;
 
-    let query = supabase.from("activities").select("activity_type");
-
-    if (courseId) {
-      query = query.eq("course_id", parseInt(courseId));
-    }
-
-    const { data, error } = await query;
-
-    if (error) throw error;
+    const data = await repos.activities.list(courseId || undefined, {
+      columns: "activity_type",
+    });
 
     const uniqueTypes = [
       ...new Set(data.map((item) => item.activity_type)),
@@ -1564,12 +2784,9 @@ app.get("/api/filters/sections", async (req, res) => {
       });
     }
 
-    const { data, error } = await supabase
-      .from("activities")
-      .select("section_number, section_name")
-      .eq("course_id", parseInt(courseId));
-
-    if (error) throw error;
+    const data = await repos.activities.list(courseId, {
+      columns: "section_number, section_name",
+    });
 
     const uniqueSections = [
       ...new Map(
@@ -1602,13 +2819,7 @@ app.get("/api/export/course/:courseId", async (req, res) => {
 
     if (format === "students") {
       // Export student progress
-      const { data: students, error } = await supabase
-        .from("student_course_progress")
-        .select("*")
-        .eq("course_id", parseInt(courseId));
-
-      if (error) throw error;
-      data = students;
+      ({ rows: data } = await repos.enrollments.listProgress({ courseId }));
       headers = [
         "student_id",
         "student_name",
@@ -1620,13 +2831,7 @@ app.get("/api/export/course/:courseId", async (req, res) => {
       ];
     } else if (format === "activities") {
       // Export activities
-      const { data: activities, error } = await supabase
-        .from("activity_completion_by_course")
-        .select("*")
-        .eq("course_id", parseInt(courseId));
-
-      if (error) throw error;
-      data = activities;
+      data = await repos.activities.listCompletionRates(courseId);
       headers = [
         "activity_id",
         "activity_name",
@@ -1671,677 +2876,523 @@ app.get("/api/export/course/:courseId", async (req, res) => {
 });
 
 // ============================================================================
-// GET COURSE GROUPS WITH DETAILS
+// ENDPOINT: GET STAFF (TEACHERS, MANAGERS, ...) OF A COURSE
+// ?role=editingteacher to narrow to one role
 // ============================================================================
-app.get("/api/courses/:courseId/groups-summary", async (req, res) => {
+
+app.get("/api/courses/:courseId/staff", async (req, res) => {
   try {
     const { courseId } = req.params;
+    const { role, includeDeleted } = req.query;
 
-    // Get groups with member counts
-    const { data: groups, error: groupsError } = await supabase
-      .from("groups")
-      .select(`
-        *,
-        group_members!left (student_id)
-      `)
+    let query = db
+      .from("course_staff")
+      .select("*")
       .eq("course_id", parseInt(courseId))
-      .order("group_name");
-
-    if (groupsError) throw groupsError;
+      .order("primary_role")
+      .order("full_name");
 
-    // Calculate member counts for each group
-    const groupsWithCounts = groups.map(group => {
-      // Count unique student IDs
-      const memberCount = new Set(
-        group.group_members?.map(m => m.student_id) || []
-      ).size;
+    if (includeDeleted !== "true") {
+      query = query.is("deleted_at", null);
+    }
 
-      return {
-        group_id: group.group_id,
-        group_name: group.group_name,
-        description: group.description,
-        member_count: memberCount,
-        created_at: group.created_at,
-        updated_at: group.updated_at
-      };
-    });
+    if (role) {
+      query = query.contains("role_shortnames", [role]);
+    }
 
-    // Get course details
-    const { data: course, error: courseError } = await supabase
-      .from("courses")
-      .select("course_id, short_name, full_name")
-      .eq("course_id", parseInt(courseId))
-      .single();
+    const { data: staff, error } = await query;
+    if (error) throw error;
 
-    if (courseError) throw courseError;
+    const byRole = {};
+    staff.forEach((member) => {
+      member.role_shortnames.forEach((shortname) => {
+        byRole[shortname] = (byRole[shortname] || 0) + 1;
+      });
+    });
 
     res.json({
       success: true,
-      course: {
-        course_id: course.course_id,
-        name: course.full_name,
-        short_name: course.short_name
-      },
-      groups: groupsWithCounts,
-      total_groups: groupsWithCounts.length,
-      total_members: groupsWithCounts.reduce((sum, g) => sum + g.member_count, 0)
+      staff,
+      total: staff.length,
+      by_role: byRole,
     });
   } catch (error) {
-    console.error("Error fetching course groups summary:", error);
+    console.error("Error fetching course staff:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ============================================================================
-// ENDPOINT: GET ALL GROUPS FOR FILTERING (FIXED VERSION)
+// ENDPOINT: GET COURSES TAUGHT BY A USER WITH COMPLETION STATS
+// ?role= one role instead of any teaching role,
+// ?maxCompletionRate= / ?minCompletionRate= to find struggling courses
 // ============================================================================
-app.get("/api/filters/groups", async (req, res) => {
-  try {
-    const { courseId } = req.query;
-
-    // Step 1: Get groups
-    let groupsQuery = supabase
-      .from("groups")
-      .select("group_id, group_name, description, course_id")
-      .order("group_name");
 
-    if (courseId) {
-      groupsQuery = groupsQuery.eq("course_id", parseInt(courseId));
-    }
+app.get("/api/teachers/:userId/courses", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, maxCompletionRate, minCompletionRate } = req.query;
 
-    const { data: groups, error: groupsError } = await groupsQuery;
-    if (groupsError) throw groupsError;
+    const courseIds = await repos.courses.idsWithStaff(
+      userId,
+      role ? [role] : TEACHING_ROLES
+    );
 
-    if (!groups || groups.length === 0) {
-      return res.json({
-        success: true,
-        groups: [],
-        total: 0
-      });
+    if (courseIds.length === 0) {
+      return res.json({ success: true, courses: [], total: 0 });
     }
 
-    // Step 2: Get course details for these groups
-    const courseIds = [...new Set(groups.map(g => g.course_id))];
-    const { data: courses, error: coursesError } = await supabase
-      .from("courses")
-      .select("course_id, short_name, full_name")
-      .in("course_id", courseIds);
+    const courses = await repos.courses.list({
+      columns:
+        "course_id, short_name, full_name, category_id, category_name, visible",
+      courseIds,
+    });
 
-    if (coursesError) throw coursesError;
+    const completions = await repos.completions.listCourseCompletions({
+      columns: "course_id, is_course_completed, completion_percentage",
+      courseIds,
+    });
 
-    // Create a map of course_id -> course details
-    const courseMap = {};
-    if (courses) {
-      courses.forEach(course => {
-        courseMap[course.course_id] = {
-          short_name: course.short_name,
-          full_name: course.full_name
-        };
-      });
-    }
+    let result = courses.map((course) => {
+      const rows = completions.filter((c) => c.course_id === course.course_id);
+      const completed = rows.filter((c) => c.is_course_completed).length;
 
-    // Step 3: Format the response
-    const formattedGroups = groups.map(group => {
-      const courseInfo = courseMap[group.course_id] || {};
-      
       return {
-        value: group.group_id,
-        label: `${group.group_name} (${courseInfo.short_name || courseInfo.full_name || `Course ${group.course_id}`})`,
-        group_id: group.group_id,
-        group_name: group.group_name,
-        description: group.description || "",
-        course_id: group.course_id,
-        course_name: courseInfo.full_name || courseInfo.short_name || `Course ${group.course_id}`,
-        course_short_name: courseInfo.short_name || ""
+        ...course,
+        students: rows.length,
+        students_completed: completed,
+        completion_rate:
+          rows.length > 0
+            ? parseFloat(((completed / rows.length) * 100).toFixed(2))
+            : 0,
+        avg_completion_percentage:
+          rows.length > 0
+            ? parseFloat(
+                (
+                  rows.reduce(
+                    (sum, c) => sum + parseFloat(c.completion_percentage),
+                    0
+                  ) / rows.length
+                ).toFixed(2)
+              )
+            : 0,
       };
     });
 
-    res.json({ 
-      success: true, 
-      groups: formattedGroups,
-      total: formattedGroups.length 
+    if (maxCompletionRate !== undefined) {
+      result = result.filter(
+        (c) => c.completion_rate <= parseFloat(maxCompletionRate)
+      );
+    }
+    if (minCompletionRate !== undefined) {
+      result = result.filter(
+        (c) => c.completion_rate >= parseFloat(minCompletionRate)
+      );
+    }
+
+    res.json({
+      success: true,
+      courses: result,
+      total: result.length,
+      filters: {
+        role: role || null,
+        maxCompletionRate: maxCompletionRate || null,
+        minCompletionRate: minCompletionRate || null,
+      },
     });
   } catch (error) {
-    console.error("Error fetching groups for filters:", error);
+    console.error("Error fetching teacher courses:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // ============================================================================
-// HEALTH CHECK
+// ENDPOINT: GET COURSE CATEGORY TREE
+// Each category carries its own courses' stats and a roll-up over all of its
+// subcategories. ?visible=true|false filters categories and courses.
 // ============================================================================
 
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
-});
-
-class MoodleAPIClient {
-  constructor(url, token) {
-    this.baseUrl = url;
-    this.token = token;
-  }
-
-  /**
-   * Call any Moodle Web Service function
-   */
-  async callFunction(functionName, params = {}) {
-    try {
-      const response = await axios.get(this.baseUrl, {
-        params: {
-          wstoken: this.token,
-          wsfunction: functionName,
-          moodlewsrestformat: "json",
-          ...params,
-        },
-        timeout: 30000,
-      });
-
-      if (response.data.exception) {
-        throw new Error(response.data.message || "Moodle API Error");
-      }
+app.get("/api/categories", async (req, res) => {
+  try {
+    const { visible } = req.query;
 
-      return response.data;
-    } catch (error) {
-      console.error(`Error calling ${functionName}:`, error.message);
-      throw error;
+    let categoriesQuery = db
+      .from("course_categories")
+      .select("*")
+      .is("deleted_at", null)
+      .order("sort_order");
+    if (visible !== undefined) {
+      categoriesQuery = categoriesQuery.eq("visible", visible === "true");
     }
-  }
 
-  /**
-   * Get all courses
-   */
-  async getCourses() {
-    return await this.callFunction("core_course_get_courses");
-  }
+    const { data: categories, error: categoriesError } = await categoriesQuery;
+    if (categoriesError) throw categoriesError;
 
-  /**
-   * Get enrolled users in a course
-   */
-  async getEnrolledUsers(courseId) {
-    return await this.callFunction("core_enrol_get_enrolled_users", {
-      courseid: courseId,
+    const courses = await repos.courses.list({
+      columns: "course_id, category_id",
+      visible: visible !== undefined ? visible === "true" : undefined,
     });
-  }
 
-  /**
-   * Get course contents (sections and activities)
-   */
-  async getCourseContents(courseId) {
-    return await this.callFunction("core_course_get_contents", {
-      courseid: courseId,
+    const completions = await repos.completions.listCourseCompletions({
+      columns: "course_id, is_course_completed, completion_percentage",
     });
-  }
 
-  /**
-   * Get course completion status for a user
-   */
-  async getCourseCompletionStatus(courseId, userId) {
-    return await this.callFunction(
-      "core_completion_get_course_completion_status",
-      {
-        courseid: courseId,
-        userid: userId,
+    // Per-course totals: students tracked, completed, sum of percentages
+    const courseStats = {};
+    completions.forEach((c) => {
+      if (!courseStats[c.course_id]) {
+        courseStats[c.course_id] = { students: 0, completed: 0, percentageSum: 0 };
       }
-    );
-  }
+      const stats = courseStats[c.course_id];
+      stats.students++;
+      if (c.is_course_completed) stats.completed++;
+      stats.percentageSum += parseFloat(c.completion_percentage) || 0;
+    });
 
-  /**
-   * Get activities completion status for a user
-   */
-  async getActivitiesCompletionStatus(courseId, userId) {
-    return await this.callFunction(
-      "core_completion_get_activities_completion_status",
-      {
-        courseid: courseId,
-        userid: userId,
-      }
+    const emptyTotals = () => ({
+      courses: 0,
+      students: 0,
+      completed: 0,
+      percentageSum: 0,
+    });
+    const nodes = new Map(
+      categories.map((category) => [
+        category.category_id,
+        { ...category, own: emptyTotals(), children: [] },
+      ])
     );
-  }
 
-  /**
-   * Get all groups in a course
-   */
-  async getCourseGroups(courseId) {
-    return await this.callFunction("core_group_get_course_groups", {
-      courseid: courseId,
+    courses.forEach((course) => {
+      const node = nodes.get(course.category_id);
+      if (!node) return;
+
+      const stats = courseStats[course.course_id];
+      node.own.courses++;
+      if (stats) {
+        node.own.students += stats.students;
+        node.own.completed += stats.completed;
+        node.own.percentageSum += stats.percentageSum;
+      }
     });
-  }
 
-  /**
-   * Get members of a specific group
-   */
-  async getGroupMembers(groupId) {
-    console.log(
-      `   ⚠ getGroupMembers: Function not available, returning empty array`
-    );
-    return await this.callFunction("core_group_get_group_members", {
-      groupid: groupId,
+    const roots = [];
+    nodes.forEach((node) => {
+      const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+      if (parent) parent.children.push(node);
+      else roots.push(node);
     });
-  }
-}
 
-// ============================================================================
-// ENDPOINT: SYNC SINGLE COURSE FROM MOODLE TO SUPABASE
-// ============================================================================
+    const formatTotals = (totals) => ({
+      course_count: totals.courses,
+      students: totals.students,
+      students_completed: totals.completed,
+      completion_rate:
+        totals.students > 0
+          ? parseFloat(((totals.completed / totals.students) * 100).toFixed(2))
+          : 0,
+      avg_completion_percentage:
+        totals.students > 0
+          ? parseFloat((totals.percentageSum / totals.students).toFixed(2))
+          : 0,
+    });
 
-app.post("/api/moodle/sync/course/:courseId", async (req, res) => {
-  const startTime = Date.now();
-  const { courseId } = req.params;
+    // Depth-first so every category sums its children's roll-ups; returns
+    // the raw roll-up totals next to the formatted node
+    const buildTree = (node) => {
+      const rollup = { ...node.own };
+      const children = node.children.map((child) => {
+        const built = buildTree(child);
+        rollup.courses += built.totals.courses;
+        rollup.students += built.totals.students;
+        rollup.completed += built.totals.completed;
+        rollup.percentageSum += built.totals.percentageSum;
+        return built.category;
+      });
 
-  console.log("\n" + "=".repeat(80));
-  console.log(` STARTING MOODLE SYNC FOR COURSE ${courseId}`);
-  console.log("=".repeat(80));
+      return {
+        totals: rollup,
+        category: {
+          category_id: node.category_id,
+          category_name: node.category_name,
+          id_number: node.id_number,
+          parent_id: node.parent_id,
+          path: node.path,
+          depth: node.depth,
+          visible: node.visible,
+          stats: formatTotals(node.own),
+          rollup: formatTotals(rollup),
+          children,
+        },
+      };
+    };
 
-  try {
-    const moodle = new MoodleAPIClient(
-      process.env.MOODLE_URL,
-      process.env.MOODLE_TOKEN
-    );
+    const tree = roots.map((root) => buildTree(root).category);
 
-    const syncResults = {
-      course: { success: 0, failed: 0 },
-      enrollments: { success: 0, failed: 0 },
-      activities: { success: 0, failed: 0 },
-      completions: { success: 0, failed: 0 },
-      courseCompletions: { success: 0, failed: 0 },
-      groups: { success: 0, failed: 0 },
-      groupMembers: { success: 0, failed: 0 },
-      errors: [],
-    };
+    res.json({
+      success: true,
+      categories: tree,
+      total_categories: categories.length,
+    });
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // ========================================================================
-    // STEP 1: Fetch and Save Course Information
-    // ========================================================================
-    console.log("\n📚 Step 1/6: Fetching course information...");
+// ============================================================================
+// GET COURSE GROUPS WITH DETAILS
+// ============================================================================
+app.get("/api/courses/:courseId/groups-summary", async (req, res) => {
+  try {
+    const { courseId } = req.params;
 
-    const courses = await moodle.getCourses();
-    const course = courses.find((c) => c.id === parseInt(courseId));
+    // Get course details
+    const course = await repos.courses.findById(
+      courseId,
+      "course_id, short_name, full_name"
+    );
 
     if (!course) {
       return res.status(404).json({
         success: false,
-        error: `Course ${courseId} not found`,
+        error: "Course not found",
       });
     }
 
-    console.log(`   ✓ Found: ${course.fullname}`);
-
-    const courseData = {
-      course_id: course.id,
-      short_name: course.shortname,
-      full_name: course.fullname,
-      category_id: course.categoryid || 0,
-      category_name: null,
-      summary: course.summary || "",
-      format: course.format || "topics",
-      start_date: course.startdate ? new Date(course.startdate * 1000) : null,
-      end_date: course.enddate ? new Date(course.enddate * 1000) : null,
-      visible: course.visible === 1,
-      updated_at: new Date(),
-    };
-
-    const { error: courseError } = await supabase
-      .from("courses")
-      .upsert([courseData], { onConflict: "course_id" });
-
-    if (courseError) {
-      console.error("   ✗ Error saving course:", courseError.message);
-      syncResults.course.failed = 1;
-      syncResults.errors.push(`Course: ${courseError.message}`);
-    } else {
-      console.log("   ✓ Course saved to Supabase");
-      syncResults.course.success = 1;
-    }
-
-    // ========================================================================
-    // STEP 2: Fetch and Save Enrolled Students
-    // ========================================================================
-    console.log("\n👥 Step 2/6: Fetching enrolled students...");
-
-    const enrolledUsers = await moodle.getEnrolledUsers(courseId);
-    console.log(`   ✓ Found ${enrolledUsers.length} enrolled users`);
-
-    const students = enrolledUsers.filter(
-      (user) =>
-        user.roles &&
-        user.roles.some(
-          (role) => role.shortname === "student" || role.roleid === 5
-        )
-    );
+    const groups = await repos.groups.list({ courseId });
+    const members = await repos.groups.listMembers(courseId);
 
-    console.log(`   ✓ Filtered to ${students.length} students`);
-
-    if (students.length > 0) {
-      const enrollmentsData = students.map((student) => ({
-        course_id: parseInt(courseId),
-        student_id: student.id,
-        student_name: `${student.firstname} ${student.lastname}`,
-        student_email: student.email || "",
-        student_first_name: student.firstname,
-        student_last_name: student.lastname,
-        enrollment_date: student.firstaccess
-          ? new Date(student.firstaccess * 1000)
-          : new Date(),
-        role: "student",
-        status: "active",
-        updated_at: new Date(),
-      }));
+    // Calculate member counts for each group
+    const groupsWithCounts = groups.map(group => {
+      // Count unique student IDs
+      const memberCount = new Set(
+        members
+          .filter(m => m.group_id === group.group_id)
+          .map(m => m.student_id)
+      ).size;
 
-      const { error: enrollError } = await supabase
-        .from("enrollments")
-        .upsert(enrollmentsData, { onConflict: "course_id,student_id" });
-
-      if (enrollError) {
-        console.error("   ✗ Error saving enrollments:", enrollError.message);
-        syncResults.enrollments.failed = students.length;
-        syncResults.errors.push(`Enrollments: ${enrollError.message}`);
-      } else {
-        console.log(`   ✓ Saved ${students.length} enrollments to Supabase`);
-        syncResults.enrollments.success = students.length;
-      }
-    }
+      return {
+        group_id: group.group_id,
+        group_name: group.group_name,
+        description: group.description,
+        member_count: memberCount,
+        created_at: group.created_at,
+        updated_at: group.updated_at
+      };
+    });
 
-    // ========================================================================
-    // STEP 3: Fetch and Save Course Activities
-    // ========================================================================
-    console.log("\n📝 Step 3/6: Fetching course content and activities...");
-
-    const courseContents = await moodle.getCourseContents(courseId);
-    console.log(`   ✓ Found ${courseContents.length} sections`);
-
-    const allActivities = [];
-    courseContents.forEach((section) => {
-      if (section.modules && section.modules.length > 0) {
-        section.modules.forEach((module) => {
-          allActivities.push({
-            course_id: parseInt(courseId),
-            activity_id: module.id,
-            section_id: section.id,
-            section_number: section.section,
-            section_name: section.name,
-            activity_name: module.name,
-            activity_type: module.modname,
-            activity_url: module.url || null,
-            description: module.description || "",
-            visible: module.visible === 1,
-            availability_start: null,
-            availability_end: null,
-            has_completion: (module.completion || 0) > 0,
-            completion_expected: module.completionexpected
-              ? new Date(module.completionexpected * 1000)
-              : null,
-            updated_at: new Date(),
-          });
-        });
-      }
+    res.json({
+      success: true,
+      course: {
+        course_id: course.course_id,
+        name: course.full_name,
+        short_name: course.short_name
+      },
+      groups: groupsWithCounts,
+      total_groups: groupsWithCounts.length,
+      total_members: groupsWithCounts.reduce((sum, g) => sum + g.member_count, 0)
     });
+  } catch (error) {
+    console.error("Error fetching course groups summary:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    console.log(`   ✓ Found ${allActivities.length} activities`);
+// ============================================================================
+// ENDPOINT: GET ALL GROUPS FOR FILTERING (FIXED VERSION)
+// ============================================================================
+app.get("/api/filters/groups", async (req, res) => {
+  try {
+    const { courseId } = req.query;
 
-    if (allActivities.length > 0) {
-      const { error: activitiesError } = await supabase
-        .from("activities")
-        .upsert(allActivities, { onConflict: "course_id,activity_id" });
+    // Step 1: Get groups
+    const groups = await repos.groups.list({
+      columns: "group_id, group_name, description, course_id",
+      courseId: courseId || undefined,
+    });
 
-      if (activitiesError) {
-        console.error("   ✗ Error saving activities:", activitiesError.message);
-        syncResults.activities.failed = allActivities.length;
-        syncResults.errors.push(`Activities: ${activitiesError.message}`);
-      } else {
-        console.log(
-          `   ✓ Saved ${allActivities.length} activities to Supabase`
-        );
-        syncResults.activities.success = allActivities.length;
-      }
+    if (groups.length === 0) {
+      return res.json({
+        success: true,
+        groups: [],
+        total: 0
+      });
     }
 
-    // ========================================================================
-    // STEP 4: Fetch and Save Groups
-    // ========================================================================
-    console.log("\n👥 Step 4/6: Fetching groups...");
-
-    try {
-      const courseGroups = await moodle.getCourseGroups(courseId);
-      console.log(`   ✓ Found ${courseGroups.length} groups`);
-
-      if (courseGroups.length > 0) {
-        // Save groups
-        const groupsData = courseGroups.map((group) => ({
-          group_id: group.id,
-          course_id: parseInt(courseId),
-          group_name: group.name,
-          description: group.description || "",
-          updated_at: new Date(),
-        }));
+    // Step 2: Get course details for these groups
+    const courseIds = [...new Set(groups.map(g => g.course_id))];
+    const courses = await repos.courses.list({
+      columns: "course_id, short_name, full_name",
+      courseIds,
+    });
 
-        const { error: groupsError } = await supabase
-          .from("groups")
-          .upsert(groupsData, { onConflict: "course_id,group_id" });
+    // Create a map of course_id -> course details
+    const courseMap = {};
+    courses.forEach(course => {
+      courseMap[course.course_id] = {
+        short_name: course.short_name,
+        full_name: course.full_name
+      };
+    });
 
-        if (groupsError) {
-          console.error("   ✗ Error saving groups:", groupsError.message);
-          syncResults.groups.failed = courseGroups.length;
-          syncResults.errors.push(`Groups: ${groupsError.message}`);
-        } else {
-          console.log(`   ✓ Saved ${courseGroups.length} groups to Supabase`);
-          syncResults.groups.success = courseGroups.length;
-        }
+    // Step 3: Format the response
+    const formattedGroups = groups.map(group => {
+      const courseInfo = courseMap[group.course_id] || {};
+      
+      return {
+        value: group.group_id,
+        label: `${group.group_name} (${courseInfo.short_name || courseInfo.full_name || `Course ${group.course_id}`})`,
+        group_id: group.group_id,
+        group_name: group.group_name,
+        description: group.description || "",
+        course_id: group.course_id,
+        course_name: courseInfo.full_name || courseInfo.short_name || `Course ${group.course_id}`,
+        course_short_name: courseInfo.short_name || ""
+      };
+    });
 
-        // Note: Group members sync is skipped as it requires additional permissions
-        // and the Moodle API function might not be available in all setups
-        console.log(
-          `   ℹ Group members sync skipped - requires additional permissions`
-        );
-      } else {
-        console.log("   ℹ No groups found in this course");
-      }
-    } catch (error) {
-      console.log(`   ⚠ Warning fetching groups: ${error.message}`);
-      // Don't fail the entire sync if groups fail
-      syncResults.errors.push(`Groups warning: ${error.message}`);
-    }
+    res.json({ 
+      success: true, 
+      groups: formattedGroups,
+      total: formattedGroups.length 
+    });
+  } catch (error) {
+    console.error("Error fetching groups for filters:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // ========================================================================
-    // STEP 5: Fetch and Save Activity Completions
-    // ========================================================================
-    console.log("\n✅ Step 5/6: Fetching completion data for all students...");
+// ============================================================================
+// HEALTH CHECK
+// ============================================================================
 
-    const allCompletions = [];
-    let processedStudents = 0;
-    let studentsWithCompletions = 0;
+app.get("/health", (req, res) => {
+  res.json({ status: "ok", timestamp: new Date().toISOString() });
+});
 
-    for (const student of students) {
-      processedStudents++;
-      process.stdout.write(
-        `   Processing ${processedStudents}/${students.length}: ${student.firstname} ${student.lastname}\r`
-      );
+// ============================================================================
+// SYNC SERVICE & BACKGROUND JOBS
+// ============================================================================
 
-      try {
-        const activitiesCompletion = await moodle.getActivitiesCompletionStatus(
-          courseId,
-          student.id
-        );
+const courseSync = new CourseSyncService(db, MoodleClient.fromEnv(), {
+  concurrency: MOODLE_CONCURRENCY,
+});
 
-        if (
-          activitiesCompletion.statuses &&
-          activitiesCompletion.statuses.length > 0
-        ) {
-          studentsWithCompletions++;
-
-          activitiesCompletion.statuses.forEach((status) => {
-            const activity = allActivities.find(
-              (a) => a.activity_id === status.cmid
-            );
-
-            allCompletions.push({
-              course_id: parseInt(courseId),
-              student_id: student.id,
-              activity_id: status.cmid,
-              activity_name: activity ? activity.activity_name : "",
-              activity_type: activity ? activity.activity_type : "",
-              completion_state: status.state || 0,
-              is_completed: status.state >= 1,
-              is_passed: status.state === 2,
-              is_failed: status.state === 3,
-              time_completed: status.timecompleted
-                ? new Date(status.timecompleted * 1000)
-                : null,
-              tracking_type: status.tracking || 0,
-              updated_at: new Date(),
-            });
-          });
-        }
+// Background sync jobs, one at a time unless SYNC_JOB_CONCURRENCY says otherwise
+const syncJobs = new SyncJobQueue(
+  db,
+  {
+    course: (job, onProgress) =>
+      courseSync.syncCourse(job.course_id, onProgress, {
+        mode: job.params.mode,
+      }),
+    "all-courses": (job, onProgress) =>
+      courseSync.syncAllCourses(onProgress, { mode: job.params.mode }),
+  },
+  { concurrency: parseInt(process.env.SYNC_JOB_CONCURRENCY) || 1 }
+);
 
-        await new Promise((resolve) => setTimeout(resolve, 100)); // Rate limiting
-      } catch (error) {
-        if (!error.message.includes("No completion criteria")) {
-          console.log(
-            `\n   ⚠ Error fetching completions for student ${student.id}: ${error.message}`
-          );
-          syncResults.errors.push(
-            `Student ${student.id} completions: ${error.message}`
-          );
-        }
-      }
-    }
+// ============================================================================
+// HELPER FUNCTION: Parse Sync Mode
+// ============================================================================
 
-    console.log(
-      `\n   ✓ Fetched ${allCompletions.length} completion records from ${studentsWithCompletions}/${students.length} students`
-    );
+function parseSyncMode(mode = "full") {
+  if (!SYNC_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${SYNC_MODES.join(", ")}`);
+  }
+  return mode;
+}
 
-    if (allCompletions.length > 0) {
-      console.log("   💾 Saving completions to Supabase...");
+// ============================================================================
+// ENDPOINT: SYNC SINGLE COURSE FROM MOODLE TO SUPABASE
+// Enqueues a background job and answers 202 with its ID; ?wait=true runs the
+// sync inside the request and answers with the result instead.
+// ?mode=full|incremental (default full)
+// ============================================================================
 
-      const batchSize = 100;
-      let savedCount = 0;
+app.post("/api/moodle/sync/course/:courseId", async (req, res) => {
+  const { courseId } = req.params;
 
-      for (let i = 0; i < allCompletions.length; i += batchSize) {
-        const batch = allCompletions.slice(i, i + batchSize);
+  let mode;
+  try {
+    mode = parseSyncMode(req.query.mode);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
 
-        const { error: completionsError } = await supabase
-          .from("activity_completions")
-          .upsert(batch, { onConflict: "course_id,student_id,activity_id" });
+  if (req.query.wait === "true") {
+    try {
+      res.json(await courseSync.syncCourse(courseId, undefined, { mode }));
+    } catch (error) {
+      console.error("\n❌ SYNC FAILED:", error.message);
+      console.error(error.stack);
 
-        if (completionsError) {
-          console.error(
-            `\n   ✗ Error saving completions batch: ${completionsError.message}`
-          );
-          syncResults.completions.failed += batch.length;
-          syncResults.errors.push(`Completions: ${completionsError.message}`);
-        } else {
-          savedCount += batch.length;
-          syncResults.completions.success += batch.length;
-          process.stdout.write(
-            `   Saved ${savedCount}/${allCompletions.length} completions\r`
-          );
-        }
-      }
-      console.log(`\n   ✓ Saved all completions to Supabase`);
-    } else {
-      console.log("   ℹ No completion data available");
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
     }
+    return;
+  }
 
-    // ========================================================================
-    // STEP 6: Calculate and Save Course Completions Summary
-    // ========================================================================
-    console.log("\n📊 Step 6/6: Calculating course completion statistics...");
-
-    const trackableActivities = allActivities.filter((a) => a.has_completion);
-    console.log(`   Found ${trackableActivities.length} trackable activities`);
+  try {
+    const { job, existing } = await syncJobs.enqueue("course", {
+      courseId: parseInt(courseId),
+      params: { mode },
+    });
 
-    if (trackableActivities.length > 0) {
-      const courseCompletionsData = [];
+    res.status(202).json({
+      success: true,
+      message: existing
+        ? `Sync for course ${courseId} is already ${job.status}`
+        : `Sync for course ${courseId} queued`,
+      jobId: job.job_id,
+      status: job.status,
+      statusUrl: `/api/moodle/sync/jobs/${job.job_id}`,
+    });
+  } catch (error) {
+    console.error("Error queuing course sync:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      for (const student of students) {
-        const studentCompletions = allCompletions.filter(
-          (c) => c.student_id === student.id && c.is_completed
-        );
+// ============================================================================
+// ENDPOINT: SYNC JOB STATUS
+// ============================================================================
 
-        const completedCount = studentCompletions.length;
-        const totalCount = trackableActivities.length;
-        const completionPercentage =
-          totalCount > 0 ? (completedCount / totalCount) * 100 : 0;
-
-        const isCourseCompleted = completionPercentage >= 100;
-
-        courseCompletionsData.push({
-          course_id: parseInt(courseId),
-          student_id: student.id,
-          total_activities: totalCount,
-          completed_activities: completedCount,
-          completion_percentage: parseFloat(completionPercentage.toFixed(2)),
-          is_course_completed: isCourseCompleted,
-          completion_date:
-            isCourseCompleted && studentCompletions.length > 0
-              ? studentCompletions[studentCompletions.length - 1].time_completed
-              : null,
-          updated_at: new Date(),
-        });
-      }
+app.get("/api/moodle/sync/jobs", async (req, res) => {
+  try {
+    const { status, courseId, limit = 20 } = req.query;
 
-      const { error: ccError } = await supabase
-        .from("course_completions")
-        .upsert(courseCompletionsData, { onConflict: "course_id,student_id" });
-
-      if (ccError) {
-        console.error("   ✗ Error saving course completions:", ccError.message);
-        syncResults.courseCompletions.failed = students.length;
-        syncResults.errors.push(`CourseCompletions: ${ccError.message}`);
-      } else {
-        console.log(
-          `   ✓ Saved course completion stats for ${students.length} students`
-        );
-        syncResults.courseCompletions.success = students.length;
-      }
-    } else {
-      console.log("   ℹ Skipping course completions (no trackable activities)");
-    }
+    const jobs = await syncJobs.list({
+      status,
+      courseId: courseId ? parseInt(courseId) : undefined,
+      limit: parseInt(limit),
+    });
 
-    // ========================================================================
-    // FINAL RESULTS
-    // ========================================================================
-    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (error) {
+    console.error("Error listing sync jobs:", error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    console.log("\n" + "=".repeat(80));
-    console.log("✅ SYNC COMPLETED SUCCESSFULLY!");
-    console.log("=".repeat(80));
-    console.log(` Processing Time: ${processingTime}s`);
-    console.log(` Course: ${syncResults.course.success} saved`);
-    console.log(` Enrollments: ${syncResults.enrollments.success} saved`);
-    console.log(` Activities: ${syncResults.activities.success} saved`);
-    console.log(` Groups: ${syncResults.groups.success} saved`);
-    console.log(` Completions: ${syncResults.completions.success} saved`);
-    console.log(
-      ` Course Stats: ${syncResults.courseCompletions.success} saved`
-    );
+app.get("/api/moodle/sync/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await syncJobs.get(req.params.jobId);
 
-    if (syncResults.errors.length > 0) {
-      console.log(`\n⚠ Errors encountered:`);
-      syncResults.errors.forEach((err) => console.log(`   - ${err}`));
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `Sync job ${req.params.jobId} not found`,
+      });
     }
-    console.log("=".repeat(80) + "\n");
 
-    res.json({
-      success: true,
-      message: `Course ${courseId} synced successfully`,
-      courseInfo: {
-        id: course.id,
-        name: course.fullname,
-        shortname: course.shortname,
-      },
-      results: syncResults,
-      processingTime: `${processingTime}s`,
-      timestamp: new Date().toISOString(),
-    });
+    res.json({ success: true, job });
   } catch (error) {
-    console.error("\n❌ SYNC FAILED:", error.message);
-    console.error(error.stack);
-
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
-    });
+    console.error("Error fetching sync job:", error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -2350,84 +3401,43 @@ app.post("/api/moodle/sync/course/:courseId", async (req, res) => {
 // ============================================================================
 
 app.post("/api/moodle/sync/all-courses", async (req, res) => {
-  console.log("\n Starting sync for ALL courses...");
-
+  let mode;
   try {
-    const moodle = new MoodleAPIClient(
-      process.env.MOODLE_URL,
-      process.env.MOODLE_TOKEN
-    );
-
-    const courses = await moodle.getCourses();
-    const visibleCourses = courses.filter((c) => c.visible === 1 && c.id > 1); // Skip site course (ID 1)
-
-    console.log(`Found ${visibleCourses.length} visible courses to sync`);
-
-    const results = [];
-    let successCount = 0;
-    let failCount = 0;
-
-    for (let i = 0; i < visibleCourses.length; i++) {
-      const course = visibleCourses[i];
-      console.log(
-        `\n[${i + 1}/${visibleCourses.length}] Syncing: ${
-          course.fullname
-        } (ID: ${course.id})`
-      );
-
-      try {
-        // Call the single course sync internally
-        // const response = await axios.post(
-        //   `http://localhost:${PORT || 3000}/api/moodle/sync/course/${course.id}`
-        // );
-        const response = await axios.post(
-          `${API_URL}/api/moodle/sync/course/${course.id}`
-        );
+    mode = parseSyncMode(req.query.mode);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
 
-        results.push({
-          courseId: course.id,
-          courseName: course.fullname,
-          success: true,
-          data: response.data,
-        });
-        successCount++;
-      } catch (error) {
-        console.error(
-          `   ✗ Failed to sync course ${course.id}: ${error.message}`
-        );
-        results.push({
-          courseId: course.id,
-          courseName: course.fullname,
-          success: false,
-          error: error.message,
-        });
-        failCount++;
-      }
+  if (req.query.wait === "true") {
+    try {
+      res.json(await courseSync.syncAllCourses(undefined, { mode }));
+    } catch (error) {
+      console.error("Error syncing all courses:", error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
     }
+    return;
+  }
 
-    console.log("\n" + "=".repeat(80));
-    console.log("ALL COURSES SYNC COMPLETED");
-    console.log("=".repeat(80));
-    console.log(`Success: ${successCount}/${visibleCourses.length}`);
-    console.log(`Failed: ${failCount}/${visibleCourses.length}`);
-    console.log("=".repeat(80) + "\n");
+  try {
+    const { job, existing } = await syncJobs.enqueue("all-courses", {
+      params: { mode },
+    });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Synced ${successCount}/${visibleCourses.length} courses`,
-      summary: {
-        total: visibleCourses.length,
-        success: successCount,
-        failed: failCount,
-      },
-      results: results,
+      message: existing
+        ? `Sync for all courses is already ${job.status}`
+        : "Sync for all courses queued",
+      jobId: job.job_id,
+      status: job.status,
+      statusUrl: `/api/moodle/sync/jobs/${job.job_id}`,
     });
   } catch (error) {
-    console.error("Error syncing all courses:", error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    console.error("Error queuing all-courses sync:", error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -2437,10 +3447,7 @@ app.post("/api/moodle/sync/all-courses", async (req, res) => {
 
 app.get("/api/moodle/test-connection", async (req, res) => {
   try {
-    const moodle = new MoodleAPIClient(
-      process.env.MOODLE_URL,
-      process.env.MOODLE_TOKEN
-    );
+    const moodle = MoodleClient.fromEnv();
 
     console.log("Testing Moodle connection...");
     const courses = await moodle.getCourses();
@@ -2477,37 +3484,28 @@ app.get("/api/moodle/sync/status/:courseId", async (req, res) => {
     const { courseId } = req.params;
 
     // Get course info
-    const { data: course, error: courseError } = await supabase
-      .from("courses")
-      .select("*")
-      .eq("course_id", parseInt(courseId))
-      .single();
+    const course = await repos.courses.findById(courseId);
 
-    if (courseError) throw courseError;
-
-    // Get counts
-    const { count: enrollmentCount } = await supabase
-      .from("enrollments")
-      .select("*", { count: "exact", head: true })
-      .eq("course_id", parseInt(courseId));
-
-    const { count: activityCount } = await supabase
-      .from("activities")
-      .select("*", { count: "exact", head: true })
-      .eq("course_id", parseInt(courseId));
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: `Course ${courseId} has not been synced`,
+      });
+    }
 
-    const { count: completionCount } = await supabase
-      .from("activity_completions")
-      .select("*", { count: "exact", head: true })
-      .eq("course_id", parseInt(courseId));
+    // Get counts, without rows removed in Moodle
+    const enrollmentCount = await repos.enrollments.count(courseId);
+    const activityCount = await repos.activities.count(courseId);
+    const completionCount =
+      await repos.completions.countActivityCompletions(courseId);
 
     res.json({
       success: true,
       course: course,
       stats: {
-        enrollments: enrollmentCount || 0,
-        activities: activityCount || 0,
-        completions: completionCount || 0,
+        enrollments: enrollmentCount,
+        activities: activityCount,
+        completions: completionCount,
         lastUpdated: course.updated_at,
       },
     });
@@ -2519,90 +3517,153 @@ app.get("/api/moodle/sync/status/:courseId", async (req, res) => {
   }
 });
 
-cron.schedule(
-  "0 22 * * *",
-  async () => {
-    console.log("\n==================== CRON START ====================");
-    console.log("System TZ:", Intl.DateTimeFormat().resolvedOptions().timeZone);
-    console.log("Now:", new Date().toISOString());
-    console.log(
-      "Running full Moodle sync @",
-      new Date().toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })
-    );
+// ============================================================================
+// START SERVER
+// ============================================================================
 
-    try {
-      const response = await axios.post(
-        `${API_URL}/api/moodle/sync/all-courses`
+// Only listen and schedule the nightly sync when run directly, so the app
+// and sync service can be required (e.g. from tests) without side effects
+if (require.main === module) {
+  cron.schedule(
+    "0 22 * * *",
+    async () => {
+      console.log("\n==================== CRON START ====================");
+      console.log("System TZ:", Intl.DateTimeFormat().resolvedOptions().timeZone);
+      console.log("Now:", new Date().toISOString());
+      console.log(
+        `Running ${SYNC_CRON_MODE} Moodle sync @`,
+        new Date().toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })
       );
-      console.log("All Courses Synced Successfully!", response.data.summary);
-    } catch (err) {
-      console.error("Sync Failed:", err.message);
-    }
 
-    console.log("==================== CRON END ======================\n");
-  },
-  {
-    scheduled: true,
-    timezone: "Asia/Kolkata",
-  }
-);
+      try {
+        const result = await courseSync.syncAllCourses(undefined, {
+          mode: SYNC_CRON_MODE,
+        });
+        console.log("All Courses Synced Successfully!", result.summary);
+      } catch (err) {
+        console.error("Sync Failed:", err.message);
+      }
 
-// Log once at startup
-console.log("CRON ACTIVE → Auto sync ALL courses every night @ 10 PM IST");
+      console.log("==================== CRON END ======================\n");
+    },
+    {
+      scheduled: true,
+      timezone: "Asia/Kolkata",
+    }
+  );
 
-// ============================================================================
-// START SERVER
-// ============================================================================
+  // Log once at startup
+  console.log("CRON ACTIVE → Auto sync ALL courses every night @ 10 PM IST");
 
-app.listen(PORT, () => {
-  console.log("=".repeat(80));
-  console.log("MOODLE COURSE ENROLLMENT & COMPLETION API");
-  console.log("=".repeat(80));
-  console.log(`Server: http://localhost:${PORT}`);
-  console.log(`Supabase: ${process.env.SUPABASE_URL}`);
-  console.log("\n KEY FEATURES:");
-  console.log("  ✓ Per course: How many students enrolled");
-  console.log("  ✓ Per course: Which classes/activities completed");
-  console.log("  ✓ Student progress tracking");
-  console.log("  ✓ Completion statistics");
-  console.log("\n API ENDPOINTS:");
-  console.log("─".repeat(80));
-  console.log("COURSES:");
-  console.log(
-    `  GET  /api/courses                              - All courses with enrollment`
-  );
-  console.log(
-    `  GET  /api/courses/:courseId                    - Course details + stats`
-  );
-  console.log(
-    `  GET  /api/courses/:courseId/students           - Students in course`
-  );
-  console.log(
-    `  GET  /api/courses/:courseId/activities         - Activities/classes in course`
-  );
-  console.log(
-    `  GET  /api/courses/:courseId/stats              - Course completion stats`
-  );
-  console.log("\nSTUDENTS:");
-  console.log(
-    `  GET  /api/courses/:courseId/students/:studentId/progress - Student progress`
-  );
-  console.log(
-    `  GET  /api/students/filter                      - Filter students by completion`
-  );
-  console.log("\nFILTERS:");
-  console.log(
-    `  GET  /api/filters/courses                      - Course list for dropdown`
-  );
-  console.log(
-    `  GET  /api/filters/activity-types               - Activity types`
-  );
-  console.log(
-    `  GET  /api/filters/sections                     - Sections in course`
-  );
-  console.log("\nEXPORT:");
-  console.log(`  GET  /api/export/course/:courseId?format=students|activities`);
-  console.log("=".repeat(80));
-});
+  app.listen(PORT, () => {
+    syncJobs
+      .restore()
+      .catch((error) =>
+        console.error("Failed to restore sync jobs:", error.message)
+      );
+
+    console.log("=".repeat(80));
+    console.log("MOODLE COURSE ENROLLMENT & COMPLETION API");
+    console.log("=".repeat(80));
+    console.log(`Server: http://localhost:${PORT}`);
+    console.log(
+      `Storage: ${db.dialect || "supabase"}${
+        db.dialect ? "" : ` (${process.env.SUPABASE_URL})`
+      }`
+    );
+    console.log(`Reporting timezone: ${DEFAULT_TIMEZONE}`);
+    console.log("\n KEY FEATURES:");
+    console.log("  ✓ Per course: How many students enrolled");
+    console.log("  ✓ Per course: Which classes/activities completed");
+    console.log("  ✓ Student progress tracking");
+    console.log("  ✓ Completion statistics");
+    console.log("\n API ENDPOINTS:");
+    console.log("─".repeat(80));
+    console.log("COURSES:");
+    console.log(
+      `  GET  /api/courses                              - All courses with enrollment`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId                    - Course details + stats`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/students           - Students in course`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/activities         - Activities/classes in course`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/resources          - Files with size totals + stale flag`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/stats              - Course completion stats`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/grades             - Grade distribution per activity`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/engagement         - Last access buckets + daily active`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/trends             - Completions per day/week/month`
+    );
+    console.log(
+      `  GET  /api/trends                               - Completion trends by category`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/at-risk            - Students ranked by risk score`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/compare            - Compare groups or enrollment cohorts`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/funnel             - Activity funnel and drop-offs`
+    );
+    console.log(
+      `  GET  /api/categories                           - Category tree with roll-up completion`
+    );
+    console.log(
+      `  GET  /api/courses/:courseId/staff              - Teachers and other staff`
+    );
+    console.log(
+      `  GET  /api/teachers/:userId/courses             - Courses taught + completion`
+    );
+    console.log("\nSTUDENTS:");
+    console.log(
+      `  GET  /api/courses/:courseId/students/:studentId/progress - Student progress`
+    );
+    console.log(
+      `  GET  /api/students/filter                      - Filter students by completion`
+    );
+    console.log("\nFILTERS:");
+    console.log(
+      `  GET  /api/filters/courses                      - Course list for dropdown`
+    );
+    console.log(
+      `  GET  /api/filters/activity-types               - Activity types`
+    );
+    console.log(
+      `  GET  /api/filters/sections                     - Sections in course`
+    );
+    console.log("\nSYNC:");
+    console.log(
+      `  POST /api/moodle/sync/course/:courseId         - Queue course sync (202 + jobId)`
+    );
+    console.log(
+      `  POST /api/moodle/sync/all-courses              - Queue sync of all visible courses`
+    );
+    console.log(
+      `  GET  /api/moodle/sync/jobs                     - Recent sync jobs`
+    );
+    console.log(
+      `  GET  /api/moodle/sync/jobs/:jobId              - Sync job progress`
+    );
+    console.log("\nDATE FILTERS (courses, course details, students, stats, progress):");
+    console.log(`  ?from=YYYY-MM-DD&to=YYYY-MM-DD | ?preset=last7d|thisTerm|ytd|... | ?month=&year=  (+ ?tz=)`);
+    console.log("\nEXPORT:");
+    console.log(`  GET  /api/export/course/:courseId?format=students|activities`);
+    console.log("=".repeat(80));
+  });
+}
 
 module.exports = app;
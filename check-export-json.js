@@ -0,0 +1,160 @@
+/**
+ * CHECK: `export --json` PRINTS ONLY JSON
+ * Runs the exporter as a dry run against a local stand-in for the Moodle
+ * web service, from a folder with its own .env (so dotenv runs as it does in
+ * a real setup), and parses stdout with JSON.parse.
+ *
+ * Usage: npm run check:export-json
+ */
+
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+
+const COURSE_ID = 2;
+
+const student = (id, firstname) => ({
+  id,
+  firstname,
+  lastname: "Student",
+  fullname: `${firstname} Student`,
+  email: `${firstname.toLowerCase()}@example.org`,
+  roles: [{ roleid: 5, shortname: "student" }],
+  firstaccess: 1704067200,
+  lastcourseaccess: 1704153600,
+});
+
+// Canned answers per wsfunction; anything else gets a Moodle exception
+const RESPONSES = {
+  core_course_get_courses: () => [
+    {
+      id: COURSE_ID,
+      fullname: "Check Course",
+      shortname: "check",
+      categoryid: 1,
+      visible: 1,
+      format: "topics",
+      startdate: 1704067200,
+      enddate: 0,
+    },
+  ],
+  core_course_get_categories: () => [
+    { id: 1, name: "Checks", parent: 0, path: "/1", depth: 1, visible: 1 },
+  ],
+  core_enrol_get_enrolled_users: () => [
+    student(10, "Ann"),
+    student(11, "Bob"),
+  ],
+  core_course_get_contents: () => [
+    {
+      id: 20,
+      section: 0,
+      name: "General",
+      modules: [
+        { id: 100, name: "Quiz", modname: "quiz", visible: 1, completion: 2 },
+      ],
+    },
+  ],
+  core_completion_get_activities_completion_status: (params) => ({
+    statuses:
+      params.userid === "10"
+        ? [{ cmid: 100, state: 1, timecompleted: 1704240000, tracking: 2 }]
+        : [],
+  }),
+  core_completion_get_course_completion_status: () => ({
+    exception: "moodle_exception",
+    errorcode: "nocriteriaset",
+    message: "No completion criteria set for this course",
+  }),
+  gradereport_user_get_grade_items: () => ({ usergrades: [] }),
+  core_group_get_course_groups: () => [],
+  core_group_get_group_members: () => [],
+};
+
+function startFakeMoodle() {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const params = Object.fromEntries(
+        new URLSearchParams(body || req.url.split("?")[1] || "")
+      );
+      const respond = RESPONSES[params.wsfunction];
+      const data = respond
+        ? respond(params)
+        : {
+            exception: "webservice_access_exception",
+            errorcode: "accessexception",
+            message: `Unexpected function ${params.wsfunction}`,
+          };
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(data));
+    });
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server))
+  );
+}
+
+async function main() {
+  const server = await startFakeMoodle();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "export-json-"));
+
+  try {
+    fs.writeFileSync(
+      path.join(workDir, ".env"),
+      `MOODLE_URL=http://127.0.0.1:${server.address().port}/webservice/rest/server.php\n` +
+        "MOODLE_TOKEN=check\n"
+    );
+
+    // Leave MOODLE_* to the .env file above
+    const env = { ...process.env, MOODLE_RETRIES: "0" };
+    delete env.MOODLE_URL;
+    delete env.MOODLE_TOKEN;
+    delete env.DOTENV_CONFIG_QUIET;
+
+    const { stdout, stderr } = await new Promise((resolve, reject) =>
+      execFile(
+        process.execPath,
+        [
+          path.join(__dirname, "complete-course-dashboard.js"),
+          "export",
+          String(COURSE_ID),
+          "--dry-run",
+          "--json",
+        ],
+        { cwd: workDir, env, timeout: 60000 },
+        (error, stdout, stderr) =>
+          error && !stdout
+            ? reject(new Error(`Exporter failed: ${stderr || error.message}`))
+            : resolve({ stdout, stderr })
+      )
+    );
+
+    let report;
+    try {
+      report = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error(
+        `stdout is not JSON (${error.message}):\n${stdout}${stderr}`
+      );
+    }
+
+    if (report.command !== "export" || report.failed !== 0) {
+      throw new Error(`Unexpected report:\n${JSON.stringify(report, null, 2)}`);
+    }
+
+    console.log(`✅ export --json printed a parseable report (${report.total} course)`);
+  } finally {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
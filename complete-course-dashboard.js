@@ -1,29 +1,70 @@
 /**
  * COMPLETE COURSE DASHBOARD - ALL DATA
- * Saves data directly to Supabase without file exports
+ * Saves data to Supabase and/or JSON, CSV and XLSX files (see export-sinks.js)
  */
 
 // Load environment variables
-require('dotenv').config();
-
-const MoodleActivityTracker = require("./moodle-tracker");
+require('dotenv').config({ quiet: true });
+
+const { MoodleClient, MoodleApiError } = require("./moodle-client");
+const { mapWithConcurrency } = require("./concurrency");
+const {
+  isStudent,
+  toCourseRow,
+  toEnrollmentRow,
+  toActivityRows,
+  toCompletionRows,
+  toCourseCompletionRow,
+  parseCourseCompletionStatus,
+} = require("./sync-rows");
+const {
+  SINK_TYPES,
+  DEFAULT_OUTPUT_DIR,
+  createSinks,
+} = require("./export-sinks");
+const { isStudentActive, getPerformanceLevel } = require("./student-risk");
 const { createClient } = require('@supabase/supabase-js');
+const { parseArgs } = require("util");
+
+const SAVE_BATCH_SIZE = 100;
+
+// What an export can be limited to with --only; completions are saved for
+// both activities (activity_completions) and the course (course_completions)
+const EXPORT_PARTS = ["course", "students", "activities", "completions"];
 
 class CompleteCourseData {
-  constructor(moodleUrl, token) {
-    console.log('\n🔧 Environment Variables Status:');
-    console.log('   SUPABASE_URL:', process.env.SUPABASE_URL ? '✓ Loaded' : '✗ Missing');
-    console.log('   SUPABASE_SERVICE_KEY:', process.env.SUPABASE_SERVICE_KEY ? '✓ Loaded' : '✗ Missing');
-    
-    this.tracker = new MoodleActivityTracker(moodleUrl, token);
-    this.initializeSupabase();
+  /**
+   * @param {object} [options]
+   * @param {number} [options.concurrency] Parallel per-student Moodle calls
+   *   (defaults to MOODLE_CONCURRENCY or 5)
+   * @param {boolean} [options.useSupabase=true] Create the Supabase client;
+   *   when false the Supabase variables are not required
+   * @param {boolean} [options.showProgress=true] Print the per-student
+   *   progress line while fetching completions
+   * @param {Function} [options.log=console.log] Where progress messages go
+   */
+  constructor(moodleUrl, token, options = {}) {
+    this.log = options.log || console.log;
+    this.moodle = new MoodleClient(moodleUrl, token, { log: this.log });
+    this.concurrency =
+      options.concurrency || parseInt(process.env.MOODLE_CONCURRENCY) || 5;
+    this.showProgress = options.showProgress ?? true;
+    this.supabase = null;
+
+    if (options.useSupabase ?? true) {
+      this.log('\n🔧 Environment Variables Status:');
+      this.log('   SUPABASE_URL:', process.env.SUPABASE_URL ? '✓ Loaded' : '✗ Missing');
+      this.log('   SUPABASE_SERVICE_KEY:', process.env.SUPABASE_SERVICE_KEY ? '✓ Loaded' : '✗ Missing');
+
+      this.initializeSupabase();
+    }
   }
 
   initializeSupabase() {
     const supabaseUrl = process.env.SUPABASE_URL;
     const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
     
-    console.log('\n🔧 Initializing Supabase Client...');
+    this.log('\n🔧 Initializing Supabase Client...');
     
     if (!supabaseUrl || !supabaseKey) {
       throw new Error('Supabase URL and Service Key must be provided in environment variables');
@@ -35,7 +76,7 @@ class CompleteCourseData {
           persistSession: false
         }
       });
-      console.log('✅ Supabase client initialized successfully');
+      this.log('✅ Supabase client initialized successfully');
     } catch (error) {
       console.error('❌ Failed to initialize Supabase client:', error.message);
       throw error;
@@ -43,21 +84,21 @@ class CompleteCourseData {
   }
 
   async testSupabaseConnection() {
-    console.log('\n🔌 Testing Supabase connection...');
+    this.log('\n🔌 Testing Supabase connection...');
     
     try {
       const { data, error } = await this.supabase
-        .from('students')
-        .select('*')
+        .from('courses')
+        .select('course_id')
         .limit(1);
 
       if (error && error.code === '42P01') {
-        console.log('⚠️  Tables might not exist yet. This is normal for first run.');
+        this.log('⚠️  Tables might not exist yet. This is normal for first run.');
       } else if (error) {
         throw error;
       }
 
-      console.log('✅ Supabase connection test passed');
+      this.log('✅ Supabase connection test passed');
       return true;
     } catch (error) {
       console.error('❌ Supabase connection test failed:', error.message);
@@ -66,16 +107,17 @@ class CompleteCourseData {
   }
 
   /**
-   * Get detailed course information
+   * Get detailed course information. The Moodle course and its category are
+   * kept on `source` for saveToSupabase.
    */
-  async getCourseInformation(courseId) {
+  async getCourseInformation(courseId, source = {}) {
     try {
-      const courses = await this.tracker.callApi("core_course_get_courses", {
-        options: { ids: [courseId] },
-      });
+      const courses = await this.moodle.getCourses([courseId]);
 
       if (courses && courses.length > 0) {
         const course = courses[0];
+        source.course = course;
+        source.category = await this.getCategory(course.categoryid);
         return {
           id: course.id,
           fullname: course.fullname,
@@ -104,7 +146,7 @@ class CompleteCourseData {
         enablecompletion: true,
       };
     } catch (error) {
-      console.log(`⚠️  Could not get full course info: ${error.message}`);
+      this.log(`⚠️  Could not get full course info: ${error.message}`);
       return {
         id: courseId,
         fullname: `Course ${courseId}`,
@@ -113,11 +155,29 @@ class CompleteCourseData {
     }
   }
 
+  /**
+   * Moodle category of a course, or null when it cannot be read
+   */
+  async getCategory(categoryId) {
+    if (!categoryId) return null;
+
+    try {
+      const categories = await this.moodle.getCategories([
+        { key: "id", value: categoryId },
+      ]);
+      return categories.find((c) => c.id === categoryId) || null;
+    } catch (error) {
+      this.log(`⚠️  Could not get category ${categoryId}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Get detailed enrolled students information
    */
-  async getEnrolledStudentsDetails(courseId) {
-    const users = await this.tracker.getEnrolledUsers(courseId);
+  async getEnrolledStudentsDetails(courseId, source = {}) {
+    const users = await this.moodle.getEnrolledUsers(courseId);
+    source.users = users;
 
     return users.map((user) => ({
       id: user.id,
@@ -139,8 +199,9 @@ class CompleteCourseData {
   /**
    * Get detailed course content with publishing status
    */
-  async getCourseContentDetails(courseId) {
-    const contents = await this.tracker.getCourseContents(courseId);
+  async getCourseContentDetails(courseId, source = {}) {
+    const contents = await this.moodle.getCourseContents(courseId);
+    source.contents = contents;
 
     return contents.map((section) => ({
       sectionId: section.id,
@@ -172,77 +233,109 @@ class CompleteCourseData {
   }
 
   /**
-   * Get completion data for all students for all activities
+   * Get completion data for all students for all activities. Raw Moodle
+   * activity statuses and course completion statuses are kept on `source`
+   * by student ID; `source.courseStatuses` is null when the course has no
+   * completion criteria.
    */
-  async getAllStudentCompletions(courseId, students, sections) {
-    const completions = [];
+  async getAllStudentCompletions(courseId, students, sections, source = {}) {
     const totalStudents = students.length;
+    let processed = 0;
 
-    for (let i = 0; i < students.length; i++) {
-      const student = students[i];
+    source.activityStatuses = {};
+    source.courseStatuses = {};
 
-      process.stdout.write(
-        `  Processing ${i + 1}/${totalStudents}: ${student.fullname}\r`
-      );
+    const completionsByStudent = await mapWithConcurrency(
+      students,
+      this.concurrency,
+      async (student) => {
+        const studentRows = [];
 
-      try {
-        const studentCompletions = await this.tracker.getActivitiesCompletion(
-          courseId,
-          student.id
-        );
+        try {
+          const studentCompletions =
+            await this.moodle.getActivitiesCompletionStatus(courseId, student.id);
 
-        // Create a map of completions by activity ID
-        const completionMap = {};
-        for (const comp of studentCompletions.statuses || []) {
-          completionMap[comp.cmid] = comp;
+          source.activityStatuses[student.id] = studentCompletions.statuses || [];
+
+          // Create a map of completions by activity ID
+          const completionMap = {};
+          for (const comp of studentCompletions.statuses || []) {
+            completionMap[comp.cmid] = comp;
+          }
+
+          // Match completions with activities
+          for (const section of sections) {
+            for (const activity of section.activities) {
+              const completion = completionMap[activity.activityId] || {};
+
+              studentRows.push({
+                studentId: student.id,
+                studentName: student.fullname,
+                studentEmail: student.email,
+                sectionNumber: section.sectionNumber,
+                sectionName: section.sectionName,
+                activityId: activity.activityId,
+                activityName: activity.activityName,
+                activityType: activity.activityType,
+                published: activity.published,
+                visible: activity.visible,
+                hasCompletionTracking: activity.hasCompletion,
+                completionState: completion.state || 0,
+                completionStatus: this.getCompletionStatus(completion.state),
+                isCompleted: (completion.state || 0) >= 1,
+                isPassed: (completion.state || 0) === 2,
+                isFailed: (completion.state || 0) === 3,
+                completionDate: this.formatTimestamp(completion.timecompleted),
+                trackingType: this.getTrackingType(completion.tracking),
+                overriddenBy: completion.overrideby,
+              });
+            }
+          }
+        } catch (error) {
+          this.log(
+            `\n⚠️  Warning: Could not get completions for ${student.fullname}: ${error.message}`
+          );
         }
 
-        // Match completions with activities
-        for (const section of sections) {
-          for (const activity of section.activities) {
-            const completion = completionMap[activity.activityId] || {};
-
-            completions.push({
-              studentId: student.id,
-              studentName: student.fullname,
-              studentEmail: student.email,
-              sectionNumber: section.sectionNumber,
-              sectionName: section.sectionName,
-              activityId: activity.activityId,
-              activityName: activity.activityName,
-              activityType: activity.activityType,
-              published: activity.published,
-              visible: activity.visible,
-              hasCompletionTracking: activity.hasCompletion,
-              completionState: completion.state || 0,
-              completionStatus: this.getCompletionStatus(completion.state),
-              isCompleted: (completion.state || 0) >= 1,
-              isPassed: (completion.state || 0) === 2,
-              isFailed: (completion.state || 0) === 3,
-              completionDate: this.formatTimestamp(completion.timecompleted),
-              trackingType: this.getTrackingType(completion.tracking),
-              overriddenBy: completion.overrideby,
-            });
+        if (source.courseStatuses) {
+          try {
+            const { completionstatus } =
+              await this.moodle.getCourseCompletionStatus(courseId, student.id);
+            source.courseStatuses[student.id] = completionstatus;
+          } catch (error) {
+            if (MoodleApiError.isNoCompletionCriteria(error)) {
+              source.courseStatuses = null;
+            } else {
+              this.log(
+                `\n⚠️  Warning: Could not get course completion for ${student.fullname}: ${error.message}`
+              );
+            }
           }
         }
-      } catch (error) {
-        console.log(
-          `\n⚠️  Warning: Could not get completions for ${student.fullname}: ${error.message}`
-        );
+
+        processed++;
+        if (this.showProgress) {
+          process.stdout.write(
+            `  Processed ${processed}/${totalStudents}: ${student.fullname}\r`
+          );
+        }
+
+        return studentRows;
       }
-    }
+    );
 
-    console.log(""); // New line after progress
-    return completions;
+    this.log(""); // New line after progress
+    return completionsByStudent.flat();
   }
 
   /**
-   * Get ALL course data - Complete dashboard
+   * Get ALL course data - Complete dashboard. With `parts` narrowed (see
+   * EXPORT_PARTS) only the Moodle data those parts need is fetched.
    */
-  async getCompleteCourseData(courseId) {
-    console.log("\n" + "=".repeat(80));
-    console.log("📊 FETCHING COMPLETE COURSE DATA");
-    console.log("=".repeat(80));
+  async getCompleteCourseData(courseId, { parts = EXPORT_PARTS } = {}) {
+    this.log("\n" + "=".repeat(80));
+    this.log("📊 FETCHING COMPLETE COURSE DATA");
+    this.log("=".repeat(80));
 
     const startTime = Date.now();
 
@@ -254,6 +347,8 @@ class CompleteCourseData {
       courseSummary: {},
       activityStatistics: [],
       studentStatistics: [],
+      // Raw Moodle responses, mapped to the API server's tables on save
+      source: {},
       metadata: {
         fetchedAt: new Date().toISOString(),
         processingTime: 0,
@@ -261,40 +356,64 @@ class CompleteCourseData {
     };
 
     try {
-      console.log("\n📚 Step 1/5: Fetching course information...");
-      courseData.courseInfo = await this.getCourseInformation(courseId);
-      console.log(`✓ Course: ${courseData.courseInfo.fullname}`);
-
-      console.log("\n👥 Step 2/5: Fetching enrolled students...");
-      courseData.enrolledStudents = await this.getEnrolledStudentsDetails(courseId);
-      console.log(`✓ Found ${courseData.enrolledStudents.length} enrolled students`);
-
-      console.log("\n📖 Step 3/5: Fetching course content...");
-      courseData.courseContent = await this.getCourseContentDetails(courseId);
-      const totalActivities = courseData.courseContent.reduce(
-        (sum, section) => sum + section.activities.length,
-        0
-      );
-      console.log(`✓ Found ${courseData.courseContent.length} sections with ${totalActivities} activities`);
-
-      console.log("\n✅ Step 4/5: Fetching completion data for all students...");
-      courseData.studentCompletions = await this.getAllStudentCompletions(
+      this.log("\n📚 Step 1/5: Fetching course information...");
+      courseData.courseInfo = await this.getCourseInformation(
         courseId,
-        courseData.enrolledStudents,
-        courseData.courseContent
+        courseData.source
       );
-      console.log(`✓ Processed ${courseData.studentCompletions.length} completion records`);
+      this.log(`✓ Course: ${courseData.courseInfo.fullname}`);
+
+      const withCompletions = parts.includes("completions");
+
+      if (withCompletions || parts.includes("students")) {
+        this.log("\n👥 Step 2/5: Fetching enrolled students...");
+        courseData.enrolledStudents = await this.getEnrolledStudentsDetails(
+          courseId,
+          courseData.source
+        );
+        this.log(`✓ Found ${courseData.enrolledStudents.length} enrolled students`);
+      } else {
+        this.log("\n👥 Step 2/5: Skipped (students not selected)");
+      }
 
-      console.log("\n📊 Step 5/5: Calculating statistics...");
+      if (withCompletions || parts.includes("activities")) {
+        this.log("\n📖 Step 3/5: Fetching course content...");
+        courseData.courseContent = await this.getCourseContentDetails(
+          courseId,
+          courseData.source
+        );
+        const totalActivities = courseData.courseContent.reduce(
+          (sum, section) => sum + section.activities.length,
+          0
+        );
+        this.log(`✓ Found ${courseData.courseContent.length} sections with ${totalActivities} activities`);
+      } else {
+        this.log("\n📖 Step 3/5: Skipped (activities not selected)");
+      }
+
+      if (withCompletions) {
+        this.log("\n✅ Step 4/5: Fetching completion data for all students...");
+        courseData.studentCompletions = await this.getAllStudentCompletions(
+          courseId,
+          courseData.enrolledStudents,
+          courseData.courseContent,
+          courseData.source
+        );
+        this.log(`✓ Processed ${courseData.studentCompletions.length} completion records`);
+      } else {
+        this.log("\n✅ Step 4/5: Skipped (completions not selected)");
+      }
+
+      this.log("\n📊 Step 5/5: Calculating statistics...");
       courseData.courseSummary = this.calculateCourseSummary(courseData);
       courseData.activityStatistics = this.calculateActivityStatistics(courseData);
       courseData.studentStatistics = this.calculateStudentStatistics(courseData);
-      console.log(`✓ Statistics calculated`);
+      this.log(`✓ Statistics calculated`);
 
       courseData.metadata.processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
-      console.log("\n✅ COMPLETE! All course data fetched successfully");
-      console.log(`⏱️  Total processing time: ${courseData.metadata.processingTime}s`);
+      this.log("\n✅ COMPLETE! All course data fetched successfully");
+      this.log(`⏱️  Total processing time: ${courseData.metadata.processingTime}s`);
 
       return courseData;
     } catch (error) {
@@ -441,214 +560,139 @@ class CompleteCourseData {
   }
 
   /**
-   * Save all course data to Supabase
+   * Map the raw Moodle data of `courseData` to rows of the API server's
+   * tables, the same rows the course sync writes. Only tables belonging to
+   * `parts` are included, in the order they must be written.
+   *
+   * @returns {Array<{ table: string, onConflict: string, rows: object[] }>}
    */
-  async saveToSupabase(courseData) {
-    console.log("\n💾 Saving data to Supabase...");
-    
-    try {
-      console.log("  Saving students...");
-      await this.saveStudentsToSupabase(courseData.enrolledStudents);
-      
-      console.log("  Saving course content...");
-      await this.saveCourseContentToSupabase(courseData.courseContent);
-      
-      console.log("  Saving student statistics...");
-      await this.saveStudentStatisticsToSupabase(courseData.studentStatistics);
-      
-      console.log("  Saving activity statistics...");
-      await this.saveActivityStatisticsToSupabase(courseData.activityStatistics);
-      
-      console.log("  Saving completions...");
-      await this.saveCompletionsToSupabase(courseData.studentCompletions);
-      
-      console.log("✅ All data saved to Supabase successfully!");
-    } catch (error) {
-      console.error(`❌ Error saving to Supabase: ${error.message}`);
-      throw error;
+  buildRows(courseData, parts = EXPORT_PARTS) {
+    const { source } = courseData;
+    if (!source.course) {
+      throw new Error(
+        `Course ${courseData.courseInfo.id} was not found in Moodle, nothing to save`
+      );
     }
-  }
-
-  /**
-   * Save students to Supabase
-   */
-  async saveStudentsToSupabase(students) {
-    const studentsData = students.map(student => ({
-      id: parseInt(student.id),
-      username: student.username,
-      firstname: student.firstname,
-      lastname: student.lastname,
-      fullname: student.fullname,
-      email: student.email,
-      firstaccess: student.firstaccess ? new Date(student.firstaccess) : null,
-      lastaccess: student.lastaccess ? new Date(student.lastaccess) : null,
-      lastcourseaccess: student.lastcourseaccess ? new Date(student.lastcourseaccess) : null,
-      roles: student.roles,
-      enrolledcourses: student.enrolledcourses
-    }));
 
-    const { error } = await this.supabase
-      .from('students')
-      .upsert(studentsData, { onConflict: 'id' });
+    const courseId = source.course.id;
+    const tables = [];
+
+    if (parts.includes("course")) {
+      tables.push({
+        table: "courses",
+        onConflict: "course_id",
+        rows: [
+          toCourseRow(
+            source.course,
+            source.category ? { category_name: source.category.name } : null
+          ),
+        ],
+      });
+    }
 
-    if (error) {
-      console.error('❌ Error saving students:', error);
-      throw error;
+    const students = (source.users || []).filter(isStudent);
+    if (parts.includes("students")) {
+      tables.push({
+        table: "enrollments",
+        onConflict: "course_id,student_id",
+        rows: students.map((student) => toEnrollmentRow(courseId, student)),
+      });
     }
-  }
 
-  /**
-   * Save course content to Supabase
-   */
-  async saveCourseContentToSupabase(courseContent) {
-    console.log("  Saving course content...");
-    
-    try {
-      const flatContent = [];
-      
-      courseContent.forEach((section) => {
-        section.activities.forEach((activity) => {
-          // Use property assignment to ensure lowercase
-          const item = {};
-          item.sectionnumber = section.sectionNumber;
-          item.sectionname = section.sectionName;
-          item.sectionvisible = section.visible;
-          item.activityid = parseInt(activity.activityId);
-          item.activityname = activity.activityName;
-          item.activitytype = activity.activityType;
-          item.modplural = activity.modplural;
-          item.indent = activity.indent;
-          item.url = activity.url;
-          item.visible = activity.visible;
-          item.visibleoncoursepage = activity.visibleoncoursepage;
-          item.uservisible = activity.uservisible;
-          item.availabilityinfo = activity.availabilityinfo;
-          item.published = activity.published;
-          item.hascompletion = activity.hasCompletion;
-          item.completionexpected = activity.completionExpected;
-          item.completionexpecteddate = activity.completionExpectedDate ? new Date(activity.completionExpectedDate) : null;
-          item.addeddate = activity.addedDate ? new Date(activity.addedDate) : null;
-          item.description = activity.description;
-          
-          flatContent.push(item);
-        });
+    const activities = toActivityRows(courseId, source.contents || []);
+    if (parts.includes("activities")) {
+      tables.push({
+        table: "activities",
+        onConflict: "course_id,activity_id",
+        rows: activities,
       });
+    }
 
-      console.log(`  Inserting ${flatContent.length} items...`);
+    if (!parts.includes("completions")) return tables;
 
-      // Use a fresh client to avoid caching issues
-      const freshClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
-      
-      const { error } = await freshClient
-        .from('course_content')
-        .upsert(flatContent, { onConflict: 'activityid' });
+    const activitiesById = new Map(activities.map((a) => [a.activity_id, a]));
+    const completions = students.flatMap((student) =>
+      toCompletionRows(
+        courseId,
+        student.id,
+        (source.activityStatuses || {})[student.id],
+        activitiesById
+      )
+    );
+    tables.push({
+      table: "activity_completions",
+      onConflict: "course_id,student_id,activity_id",
+      rows: completions,
+    });
 
-      if (error) throw error;
-      
-      console.log(`✅ Successfully saved course content`);
-      
-    } catch (error) {
-      console.error('❌ Error saving course content:', error.message);
-      throw error;
+    const trackableCount = activities.filter((a) => a.has_completion).length;
+    if (trackableCount > 0 || source.courseStatuses) {
+      tables.push({
+        table: "course_completions",
+        onConflict: "course_id,student_id",
+        rows: students.map((student) => {
+          const status =
+            source.courseStatuses && source.courseStatuses[student.id];
+          return toCourseCompletionRow(
+            courseId,
+            student.id,
+            trackableCount,
+            completions.filter((c) => c.student_id === student.id),
+            status ? parseCourseCompletionStatus(status) : null
+          );
+        }),
+      });
     }
-  }
-
-  /**
-   * Save student statistics to Supabase
-   */
-  async saveStudentStatisticsToSupabase(studentStatistics) {
-    const statsData = studentStatistics.map(stat => ({
-      studentid: parseInt(stat.studentId),
-      studentname: stat.studentName,
-      studentemail: stat.studentEmail,
-      firstaccess: stat.firstAccess ? new Date(stat.firstAccess) : null,
-      lastaccess: stat.lastAccess ? new Date(stat.lastAccess) : null,
-      lastcourseaccess: stat.lastCourseAccess ? new Date(stat.lastCourseAccess) : null,
-      roles: stat.roles,
-      totalactivities: stat.totalActivities,
-      activitiescompleted: stat.activitiesCompleted,
-      activitiespassed: stat.activitiesPassed,
-      activitiesfailed: stat.activitiesFailed,
-      activitiesremaining: stat.activitiesRemaining,
-      completionpercentage: parseFloat(stat.completionPercentage),
-      passpercentage: parseFloat(stat.passPercentage),
-      isactive: stat.isActive,
-      performancelevel: stat.performanceLevel
-    }));
-
-    const { error } = await this.supabase
-      .from('student_statistics')
-      .upsert(statsData, { onConflict: 'studentid' });
 
-    if (error) throw error;
+    return tables;
   }
 
   /**
-   * Save activity statistics to Supabase
+   * Save course data to Supabase, into the same tables and with the same
+   * rows as the API server's course sync, all keyed by course. Removed
+   * students and activities are not reconciled; a sync takes care of that.
+   * Rows already built with buildRows can be passed as `tables`.
+   *
+   * @returns {Object<string, number>} Rows written per table
    */
-  async saveActivityStatisticsToSupabase(activityStatistics) {
-    const statsData = activityStatistics.map(stat => ({
-      activityid: parseInt(stat.activityId),
-      activityname: stat.activityName,
-      activitytype: stat.activityType,
-      sectionname: stat.sectionName,
-      published: stat.published,
-      hastracking: stat.hasTracking,
-      totalstudents: stat.totalStudents,
-      studentscompleted: stat.studentsCompleted,
-      studentspassed: stat.studentsPassed,
-      studentsfailed: stat.studentsFailed,
-      studentsnotstarted: stat.studentsNotStarted,
-      completionrate: parseFloat(stat.completionRate),
-      passrate: parseFloat(stat.passRate),
-      addeddate: stat.addedDate ? new Date(stat.addedDate) : null,
-      expectedcompletiondate: stat.expectedCompletionDate ? new Date(stat.expectedCompletionDate) : null
-    }));
+  async saveToSupabase(
+    courseData,
+    { parts = EXPORT_PARTS, tables = this.buildRows(courseData, parts) } = {}
+  ) {
+    this.log("\n💾 Saving data to Supabase...");
+
+    const written = {};
 
-    const { error } = await this.supabase
-      .from('activity_statistics')
-      .upsert(statsData, { onConflict: 'activityid' });
+    try {
+      for (const { table, onConflict, rows } of tables) {
+        this.log(`  Saving ${rows.length} ${table} rows...`);
+        await this.upsertRows(table, rows, onConflict);
+        written[table] = rows.length;
+      }
 
-    if (error) throw error;
+      this.log("✅ All data saved to Supabase successfully!");
+      return written;
+    } catch (error) {
+      console.error(`❌ Error saving to Supabase: ${error.message}`);
+      throw error;
+    }
   }
 
   /**
-   * Save completions to Supabase
+   * Upsert rows in batches, failing on the first error
    */
-  async saveCompletionsToSupabase(completions) {
-    const completionsData = completions.map(comp => ({
-      studentid: parseInt(comp.studentId),
-      studentname: comp.studentName,
-      studentemail: comp.studentEmail,
-      sectionnumber: comp.sectionNumber,
-      sectionname: comp.sectionName,
-      activityid: parseInt(comp.activityId),
-      activityname: comp.activityName,
-      activitytype: comp.activityType,
-      published: comp.published,
-      visible: comp.visible,
-      hascompletiontracking: comp.hasCompletionTracking,
-      completionstate: comp.completionState,
-      completionstatus: comp.completionStatus,
-      iscompleted: comp.isCompleted,
-      ispassed: comp.isPassed,
-      isfailed: comp.isFailed,
-      completiondate: comp.completionDate ? new Date(comp.completionDate) : null,
-      trackingtype: comp.trackingType,
-      overriddenby: comp.overriddenBy
-    }));
+  async upsertRows(table, rows, onConflict) {
+    for (let i = 0; i < rows.length; i += SAVE_BATCH_SIZE) {
+      const batch = rows.slice(i, i + SAVE_BATCH_SIZE);
 
-    const batchSize = 100;
-    for (let i = 0; i < completionsData.length; i += batchSize) {
-      const batch = completionsData.slice(i, i + batchSize);
-      
       const { error } = await this.supabase
-        .from('completions')
-        .upsert(batch, { onConflict: 'studentid,activityid' });
+        .from(table)
+        .upsert(batch, { onConflict });
 
-      if (error) throw error;
-      
-      console.log(`    Batch ${Math.floor(i/batchSize) + 1} completed (${Math.min(i + batchSize, completionsData.length)}/${completionsData.length})`);
+      if (error) {
+        console.error(`❌ Error saving ${table}:`, error.message);
+        throw error;
+      }
     }
   }
 
@@ -716,73 +760,63 @@ class CompleteCourseData {
   }
 
   isStudentActive(student) {
-    if (!student.lastcourseaccess) return false;
-
-    const lastAccess = new Date(student.lastcourseaccess);
-    const daysSinceAccess =
-      (Date.now() - lastAccess.getTime()) / (1000 * 60 * 60 * 24);
-
-    return daysSinceAccess <= 7;
+    return isStudentActive(student.lastcourseaccess);
   }
 
   getPerformanceLevel(completionRate) {
-    if (completionRate >= 0.9) return "Excellent";
-    if (completionRate >= 0.7) return "Good";
-    if (completionRate >= 0.5) return "Average";
-    if (completionRate >= 0.3) return "Below Average";
-    return "Poor";
+    return getPerformanceLevel(completionRate);
   }
 
   /**
    * Print comprehensive summary
    */
   printSummary(courseData) {
-    console.log("\n" + "=".repeat(80));
-    console.log("📊 COURSE DASHBOARD SUMMARY");
-    console.log("=".repeat(80));
-
-    console.log("\n📚 Course Information:");
-    console.log(`   Name: ${courseData.courseInfo.fullname}`);
-    console.log(`   Short Name: ${courseData.courseInfo.shortname}`);
-    console.log(`   Visible: ${courseData.courseInfo.visible ? "Yes" : "No"}`);
-    console.log(
+    this.log("\n" + "=".repeat(80));
+    this.log("📊 COURSE DASHBOARD SUMMARY");
+    this.log("=".repeat(80));
+
+    this.log("\n📚 Course Information:");
+    this.log(`   Name: ${courseData.courseInfo.fullname}`);
+    this.log(`   Short Name: ${courseData.courseInfo.shortname}`);
+    this.log(`   Visible: ${courseData.courseInfo.visible ? "Yes" : "No"}`);
+    this.log(
       `   Completion Enabled: ${
         courseData.courseInfo.enablecompletion ? "Yes" : "No"
       }`
     );
     if (courseData.courseInfo.startdate) {
-      console.log(`   Start Date: ${courseData.courseInfo.startdate}`);
+      this.log(`   Start Date: ${courseData.courseInfo.startdate}`);
     }
     if (courseData.courseInfo.enddate) {
-      console.log(`   End Date: ${courseData.courseInfo.enddate}`);
+      this.log(`   End Date: ${courseData.courseInfo.enddate}`);
     }
 
     const summary = courseData.courseSummary;
-    console.log("\n📊 Course Statistics:");
-    console.log(`   Total Students: ${summary.totalStudents}`);
-    console.log(`   Total Sections: ${summary.totalSections}`);
-    console.log(`   Total Activities: ${summary.totalActivities}`);
-    console.log(`   Published Activities: ${summary.publishedActivities}`);
-    console.log(`   Unpublished Activities: ${summary.unpublishedActivities}`);
-    console.log(
+    this.log("\n📊 Course Statistics:");
+    this.log(`   Total Students: ${summary.totalStudents}`);
+    this.log(`   Total Sections: ${summary.totalSections}`);
+    this.log(`   Total Activities: ${summary.totalActivities}`);
+    this.log(`   Published Activities: ${summary.publishedActivities}`);
+    this.log(`   Unpublished Activities: ${summary.unpublishedActivities}`);
+    this.log(
       `   Activities with Completion Tracking: ${summary.activitiesWithTracking}`
     );
-    console.log(
+    this.log(
       `   Overall Completion Rate: ${summary.overallCompletionRate}%`
     );
 
-    console.log("\n📝 Activities by Type:");
+    this.log("\n📝 Activities by Type:");
     Object.entries(summary.activitiesByType).forEach(([type, count]) => {
-      console.log(`   ${type}: ${count}`);
+      this.log(`   ${type}: ${count}`);
     });
 
     const topStudents = courseData.studentStatistics
       .sort((a, b) => b.completionPercentage - a.completionPercentage)
       .slice(0, 5);
 
-    console.log("\n🏆 Top 5 Students:");
+    this.log("\n🏆 Top 5 Students:");
     topStudents.forEach((student, index) => {
-      console.log(
+      this.log(
         `   ${index + 1}. ${student.studentName}: ${
           student.completionPercentage
         }% (${student.activitiesCompleted}/${student.totalActivities})`
@@ -795,9 +829,9 @@ class CompleteCourseData {
       .slice(0, 5);
 
     if (lowCompletionActivities.length > 0) {
-      console.log("\n⚠️  Activities with Low Completion (<50%):");
+      this.log("\n⚠️  Activities with Low Completion (<50%):");
       lowCompletionActivities.forEach((activity, index) => {
-        console.log(
+        this.log(
           `   ${index + 1}. ${activity.activityName}: ${
             activity.completionRate
           }% (${activity.studentsCompleted}/${activity.totalStudents})`
@@ -805,41 +839,382 @@ class CompleteCourseData {
       });
     }
 
-    console.log("\n" + "=".repeat(80));
+    this.log("\n" + "=".repeat(80));
+  }
+}
+
+// ==================== COMMAND LINE ====================
+
+const CLI_USAGE = `Usage: npm run export -- [command] [courses...] [options]
+
+Commands:
+  export                 Fetch the selected courses and save them (default)
+  list                   Show which courses a selection resolves to
+
+Courses:
+  5 7 12-15              Course IDs and inclusive ranges, also as 5,7,12-15
+  --all-visible          Every visible course
+  --category <id>        Courses in a category or its subcategories
+                         (repeatable; with --all-visible, visible ones only)
+  Without a selection, DEFAULT_COURSE_ID is exported.
+
+Options:
+  --only <parts>         Limit the export to ${EXPORT_PARTS.join(",")}
+  --sink <sinks>         Where to write: ${SINK_TYPES.join(",")}
+                         (repeatable, default supabase)
+  --out-dir <dir>        Folder for file sinks (default ${DEFAULT_OUTPUT_DIR})
+  --dry-run              Fetch and summarize without writing anything
+  --json                 Print one JSON report on stdout, nothing else
+  --quiet                Print one line per course
+  -h, --help             Show this help
+`;
+
+const CLI_COMMANDS = ["export", "list"];
+
+class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliUsageError";
+  }
+}
+
+/**
+ * Expand "5", "5,7" and "12-15" arguments into a list of course IDs
+ */
+function parseCourseIds(args) {
+  const ids = [];
+
+  for (const token of args.flatMap((arg) => arg.split(","))) {
+    if (!token) continue;
+
+    const match = token.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new CliUsageError(`Invalid course ID or range: ${token}`);
+    }
+
+    const start = parseInt(match[1]);
+    const end = match[2] !== undefined ? parseInt(match[2]) : start;
+    if (end < start) {
+      throw new CliUsageError(`Invalid course range: ${token}`);
+    }
+
+    for (let id = start; id <= end; id++) ids.push(id);
   }
+
+  return ids;
 }
 
-async function main() {
-  console.log("=".repeat(80));
-  console.log("📚 COMPLETE COURSE DATA EXTRACTOR");
-  console.log("=".repeat(80));
+/**
+ * Parse process arguments into export options
+ */
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        "all-visible": { type: "boolean", default: false },
+        category: { type: "string", multiple: true, default: [] },
+        only: { type: "string" },
+        sink: { type: "string", multiple: true, default: [] },
+        "out-dir": { type: "string", default: DEFAULT_OUTPUT_DIR },
+        "dry-run": { type: "boolean", default: false },
+        json: { type: "boolean", default: false },
+        quiet: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    throw new CliUsageError(error.message);
+  }
 
-  require('dotenv').config();
+  const { values, positionals } = parsed;
+  const command = CLI_COMMANDS.includes(positionals[0])
+    ? positionals.shift()
+    : "export";
+
+  const categoryIds = values.category.map((value) => {
+    const id = parseInt(value);
+    if (!/^\d+$/.test(value) || id < 1) {
+      throw new CliUsageError(`Invalid category ID: ${value}`);
+    }
+    return id;
+  });
+
+  const parts = values.only
+    ? [...new Set(values.only.split(",").map((p) => p.trim()).filter(Boolean))]
+    : EXPORT_PARTS;
+  const unknownParts = parts.filter((part) => !EXPORT_PARTS.includes(part));
+  if (unknownParts.length > 0 || parts.length === 0) {
+    throw new CliUsageError(
+      `--only accepts ${EXPORT_PARTS.join(", ")} (got "${values.only}")`
+    );
+  }
+
+  const sinks = values.sink.length
+    ? [...new Set(values.sink.flatMap((v) => v.split(",")).map((v) => v.trim()).filter(Boolean))]
+    : ["supabase"];
+  const unknownSinks = sinks.filter((sink) => !SINK_TYPES.includes(sink));
+  if (unknownSinks.length > 0 || sinks.length === 0) {
+    throw new CliUsageError(
+      `--sink accepts ${SINK_TYPES.join(", ")} (got "${values.sink.join(",")}")`
+    );
+  }
+
+  if (values.json && values.quiet) {
+    throw new CliUsageError("--json and --quiet cannot be combined");
+  }
+
+  return {
+    command,
+    courseIds: parseCourseIds(positionals),
+    allVisible: values["all-visible"],
+    categoryIds,
+    parts,
+    sinks,
+    outputDir: values["out-dir"],
+    dryRun: values["dry-run"],
+    output: values.json ? "json" : values.quiet ? "quiet" : "text",
+    help: values.help,
+  };
+}
+
+/**
+ * Turn a course selection into the list of course IDs to export: the
+ * explicit IDs first, then the Moodle courses matching --all-visible and
+ * --category (both must match when both are given). The site course is
+ * never selected that way.
+ */
+async function resolveCourseIds(moodle, options) {
+  const ids = [...options.courseIds];
+
+  if (options.allVisible || options.categoryIds.length > 0) {
+    let categoryIds = null;
+    if (options.categoryIds.length > 0) {
+      const categories = await moodle.getCategories([
+        { key: "ids", value: options.categoryIds.join(",") },
+      ]);
+      const found = new Set(categories.map((c) => c.id));
+      const missing = options.categoryIds.filter((id) => !found.has(id));
+      if (missing.length > 0) {
+        throw new CliUsageError(`Category not found: ${missing.join(", ")}`);
+      }
+
+      // addsubcategories also returns every category below the requested ones
+      categoryIds = found;
+    }
+
+    const courses = await moodle.getCourses();
+    courses
+      .filter((course) => course.id > 1 && course.format !== "site")
+      .filter((course) => !options.allVisible || course.visible === 1)
+      .filter((course) => !categoryIds || categoryIds.has(course.categoryid))
+      .forEach((course) => ids.push(course.id));
+  }
+
+  if (ids.length === 0 && !options.allVisible && options.categoryIds.length === 0) {
+    ids.push(parseInt(process.env.DEFAULT_COURSE_ID) || 5);
+  }
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Export one course to every sink; failures are reported in the result
+ * instead of thrown so the remaining courses still run
+ */
+async function exportCourse(courseDashboard, courseId, sinks, options) {
+  const result = {
+    courseId,
+    name: null,
+    status: "failed",
+    rows: {},
+    files: [],
+    summary: null,
+    error: null,
+  };
+
+  try {
+    const courseData = await courseDashboard.getCompleteCourseData(courseId, {
+      parts: options.parts,
+    });
+    result.name = courseData.courseInfo.fullname;
+    result.summary = courseData.courseSummary;
+
+    if (options.output === "text") {
+      courseDashboard.printSummary(courseData);
+    }
+
+    const tables = courseDashboard.buildRows(courseData, options.parts);
+    tables.forEach(({ table, rows }) => (result.rows[table] = rows.length));
+
+    if (options.dryRun) {
+      result.status = "dry-run";
+    } else {
+      for (const sink of sinks) {
+        result.files.push(...(await sink.write(courseData, tables)));
+      }
+      result.status = "saved";
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+function formatRowCounts(rows) {
+  const counts = Object.entries(rows).map(([table, n]) => `${table} ${n}`);
+  return counts.length > 0 ? counts.join(", ") : "no rows";
+}
+
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${CLI_USAGE}`);
+    process.exit(2);
+  }
+
+  if (options.help) {
+    console.log(CLI_USAGE);
+    return;
+  }
+
+  // --json and --quiet keep stdout for their own output only
+  const log = options.output === "text" ? console.log : () => {};
+
+  log("=".repeat(80));
+  log("📚 COMPLETE COURSE DATA EXTRACTOR");
+  log("=".repeat(80));
 
   const MOODLE_URL = process.env.MOODLE_URL || "http://omkaravidya.online/webservice/rest/server.php";
   const TOKEN = process.env.MOODLE_TOKEN || "38fff46a850ec4d191e01a2916bad4b3";
-  const COURSE_ID = parseInt(process.env.DEFAULT_COURSE_ID) || 5;
-
-  console.log(`\n⚙️  Configuration:`);
-  console.log(`   Course ID: ${COURSE_ID}`);
-  console.log(`   Moodle URL: ${MOODLE_URL}`);
-  console.log(`   Token: ${TOKEN ? '✓ Provided' : '✗ Missing'}`);
 
   try {
-    const courseDashboard = new CompleteCourseData(MOODLE_URL, TOKEN);
-    
-    const connectionOk = await courseDashboard.testSupabaseConnection();
-    if (!connectionOk) return;
+    const dryRun = options.dryRun || options.command === "list";
+    const useSupabase = !dryRun && options.sinks.includes("supabase");
+    const courseDashboard = new CompleteCourseData(MOODLE_URL, TOKEN, {
+      useSupabase,
+      showProgress: options.output === "text",
+      log,
+    });
+    const sinks = createSinks(options.sinks, {
+      courseDashboard,
+      outputDir: options.outputDir,
+      log,
+    });
 
-    const courseData = await courseDashboard.getCompleteCourseData(COURSE_ID);
-    courseDashboard.printSummary(courseData);
-    await courseDashboard.saveToSupabase(courseData);
-    
-    console.log("\n✅ ALL COURSE DATA EXTRACTED AND SAVED TO SUPABASE SUCCESSFULLY!");
-    
+    const courseIds = await resolveCourseIds(courseDashboard.moodle, options);
+
+    log(`\n⚙️  Configuration:`);
+    log(`   Courses: ${courseIds.join(", ") || "none"}`);
+    log(`   Parts: ${options.parts.join(", ")}`);
+    log(`   Sinks: ${options.sinks.join(", ")}`);
+    log(`   Dry run: ${dryRun ? "Yes" : "No"}`);
+    log(`   Moodle URL: ${MOODLE_URL}`);
+    log(`   Token: ${TOKEN ? '✓ Provided' : '✗ Missing'}`);
+
+    if (options.command === "list") {
+      const courses =
+        courseIds.length > 0
+          ? await courseDashboard.moodle.getCourses(courseIds)
+          : [];
+      const byId = new Map(courses.map((course) => [course.id, course]));
+      const listed = courseIds.map((id) => {
+        const course = byId.get(id);
+        return course
+          ? {
+              courseId: id,
+              shortName: course.shortname,
+              fullName: course.fullname,
+              categoryId: course.categoryid,
+              visible: course.visible === 1,
+            }
+          : { courseId: id, found: false };
+      });
+
+      if (options.output === "json") {
+        console.log(JSON.stringify({ command: "list", courses: listed }, null, 2));
+      } else {
+        listed.forEach((c) =>
+          console.log(
+            c.found === false
+              ? `${c.courseId}\t(not found)`
+              : `${c.courseId}\t${c.shortName}\t${c.fullName}${c.visible ? "" : " (hidden)"}`
+          )
+        );
+      }
+      return;
+    }
+
+    if (useSupabase) {
+      const connectionOk = await courseDashboard.testSupabaseConnection();
+      if (!connectionOk) {
+        throw new Error("Supabase connection test failed");
+      }
+    }
+
+    const results = [];
+    for (let i = 0; i < courseIds.length; i++) {
+      log(`\n▶ Course ${courseIds[i]} [${i + 1}/${courseIds.length}]`);
+      const result = await exportCourse(
+        courseDashboard,
+        courseIds[i],
+        sinks,
+        options
+      );
+      results.push(result);
+
+      if (options.output === "quiet") {
+        console.log(
+          result.error
+            ? `✗ ${result.courseId}: ${result.error}`
+            : `✓ ${result.courseId} ${result.name}: ${formatRowCounts(result.rows)}`
+        );
+      }
+    }
+
+    const failed = results.filter((r) => r.status === "failed");
+
+    if (options.output === "json") {
+      console.log(
+        JSON.stringify(
+          {
+            command: "export",
+            dryRun,
+            parts: options.parts,
+            sinks: options.sinks,
+            total: results.length,
+            failed: failed.length,
+            courses: results,
+          },
+          null,
+          2
+        )
+      );
+    } else if (options.output === "text") {
+      log("\n" + "=".repeat(80));
+      results.forEach((r) =>
+        log(
+          r.error
+            ? `❌ ${r.courseId}: ${r.error}`
+            : `✅ ${r.courseId} ${r.name}: ${formatRowCounts(r.rows)}`
+        )
+      );
+      log(
+        `\n${dryRun ? "🔍 DRY RUN" : "💾 SAVED"}: ${
+          results.length - failed.length
+        }/${results.length} course(s) exported`
+      );
+    }
+
+    if (failed.length > 0) process.exitCode = 1;
   } catch (error) {
     console.error("\n❌ Fatal Error:", error.message);
-    process.exit(1);
+    process.exit(error instanceof CliUsageError ? 2 : 1);
   }
 }
 
@@ -0,0 +1,63 @@
+// concurrency.js
+// Worker pool and request-rate limiting used when fanning out Moodle calls.
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Spaces calls evenly so that no more than `requestsPerSecond` start in any
+ * one second. A rate of 0 (or less) disables limiting.
+ */
+class RateLimiter {
+  constructor(requestsPerSecond) {
+    this.requestsPerSecond = requestsPerSecond;
+    this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Resolve when the caller may start its request
+   */
+  async acquire() {
+    if (!this.interval) return;
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+/**
+ * Run `worker(item, index)` over `items` with at most `concurrency` calls in
+ * flight. Results keep the order of `items`; the first rejection stops new
+ * work from being picked up and rejects the returned promise.
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const runWorker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const poolSize = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+
+  return results;
+}
+
+module.exports = { RateLimiter, mapWithConcurrency, sleep };
@@ -0,0 +1,1409 @@
+// course-sync.js
+// Moodle -> Supabase course sync, shared by the sync routes, background jobs
+// and the nightly cron so none of them have to call the API over HTTP.
+const { mapWithConcurrency } = require("./concurrency");
+const { MoodleApiError } = require("./moodle-client");
+const {
+  fromUnixTime,
+  isStudent,
+  isStaff,
+  toCourseRow,
+  toEnrollmentRow,
+  toActivityRows,
+  toCompletionRows,
+  toCourseCompletionRow,
+  parseCourseCompletionStatus,
+} = require("./sync-rows");
+
+const SYNC_MODES = ["full", "incremental"];
+const GROUP_MEMBERS_BATCH_SIZE = 50;
+class CourseSyncService {
+  /**
+   * @param {object} db Storage client to write into (Supabase or SqlClient,
+   *   see storage.js)
+   * @param {MoodleClient} moodle Moodle web-service client to read from
+   * @param {object} [options]
+   * @param {number} [options.concurrency=5] Parallel per-student Moodle calls
+   */
+  constructor(db, moodle, options = {}) {
+    this.db = db;
+    this.moodle = moodle;
+    this.concurrency = options.concurrency || 5;
+  }
+
+  /**
+   * Sync one course from Moodle into Supabase. `onProgress` receives partial
+   * progress updates ({ step, stepName }, { processedStudents, totalStudents },
+   * { results }) so a background job can report where the sync is.
+   *
+   * In "incremental" mode the course's last-sync watermark is used to skip
+   * work: course contents are re-read only when the Moodle course
+   * `timemodified` changed, and completions are re-fetched only for students
+   * whose `lastcourseaccess` is newer than the watermark. Without a
+   * watermark an incremental sync runs as a full one.
+   *
+   * `categories` takes the Map returned by syncCategories, so a multi-course
+   * sync reads the category tree once instead of once per course.
+   */
+  async syncCourse(
+    courseId,
+    onProgress = () => {},
+    { mode = "full", categories = null } = {}
+  ) {
+    const startTime = Date.now();
+
+    if (!SYNC_MODES.includes(mode)) {
+      const error = new Error(`Invalid sync mode: ${mode}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    console.log("\n" + "=".repeat(80));
+    console.log(` STARTING MOODLE SYNC FOR COURSE ${courseId}`);
+    console.log("=".repeat(80));
+
+    const syncResults = {
+      course: { success: 0, failed: 0 },
+      categories: { success: 0, failed: 0 },
+      enrollments: { success: 0, failed: 0 },
+      activities: { success: 0, failed: 0 },
+      completions: { success: 0, failed: 0 },
+      courseCompletions: { success: 0, failed: 0 },
+      groups: { success: 0, failed: 0 },
+      groupMembers: { success: 0, failed: 0 },
+      activityFiles: { success: 0, failed: 0 },
+      staff: { success: 0, failed: 0 },
+      accessSnapshots: { success: 0, failed: 0 },
+      gradeItems: { success: 0, failed: 0 },
+      grades: { success: 0, failed: 0 },
+      mode: "full",
+      skipped: { contents: false, students: 0, grades: false },
+      removed: {
+        enrollments: 0,
+        activities: 0,
+        groups: 0,
+        groupMembers: 0,
+        activityFiles: 0,
+        staff: 0,
+      },
+      restored: { enrollments: 0 },
+      errors: [],
+    };
+    onProgress({ results: syncResults });
+
+    // ========================================================================
+    // STEP 1: Fetch and Save Course Information
+    // ========================================================================
+    console.log("\n📚 Step 1/6: Fetching course information...");
+    onProgress({ step: 1, stepName: "Fetching course information" });
+
+    const courses = await this.moodle.getCourses([parseInt(courseId)]);
+    const course = courses.find((c) => c.id === parseInt(courseId));
+
+    if (!course) {
+      const error = new Error(`Course ${courseId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    console.log(`   ✓ Found: ${course.fullname}`);
+
+    const watermark =
+      mode === "incremental" ? await this.getSyncWatermark(courseId) : null;
+    const incremental = !!watermark;
+    const courseChanged =
+      !incremental || watermark.moodleTimemodified !== (course.timemodified || 0);
+
+    if (incremental) {
+      syncResults.mode = "incremental";
+      console.log(
+        `   ↻ Incremental sync since ${watermark.lastSyncedAt.toISOString()}` +
+          (courseChanged ? " (course modified in Moodle)" : "")
+      );
+    } else if (mode === "incremental") {
+      console.log("   ℹ No sync watermark yet, running a full sync");
+    }
+
+    const categoryMap = categories || (await this.syncCategories(syncResults));
+    const category = categoryMap ? categoryMap.get(course.categoryid) : null;
+
+    const courseData = toCourseRow(course, category);
+
+    const { error: courseError } = await this.db
+      .from("courses")
+      .upsert([courseData], { onConflict: "course_id" });
+
+    if (courseError) {
+      console.error("   ✗ Error saving course:", courseError.message);
+      syncResults.course.failed = 1;
+      syncResults.errors.push(`Course: ${courseError.message}`);
+    } else {
+      console.log("   ✓ Course saved to Supabase");
+      syncResults.course.success = 1;
+    }
+
+    // ========================================================================
+    // STEP 2: Fetch and Save Enrolled Students
+    // ========================================================================
+    console.log("\n👥 Step 2/6: Fetching enrolled students...");
+    onProgress({ step: 2, stepName: "Fetching enrolled students" });
+
+    const enrolledUsers = await this.moodle.getEnrolledUsers(courseId);
+    console.log(`   ✓ Found ${enrolledUsers.length} enrolled users`);
+
+    const students = enrolledUsers.filter(isStudent);
+
+    console.log(`   ✓ Filtered to ${students.length} students`);
+    onProgress({ processedStudents: 0, totalStudents: students.length });
+
+    // The upsert below revives unenrolled rows, so note them first
+    let unenrolledBefore = null;
+    try {
+      unenrolledBefore = await this.getDeletedIds(
+        "enrollments",
+        courseId,
+        "student_id"
+      );
+    } catch (error) {
+      console.error("   ✗ Error reading unenrolled students:", error.message);
+      syncResults.errors.push(`Unenrolled students: ${error.message}`);
+    }
+
+    if (students.length > 0) {
+      const enrollmentsData = students.map((student) =>
+        toEnrollmentRow(courseId, student)
+      );
+
+      const { error: enrollError } = await this.db
+        .from("enrollments")
+        .upsert(enrollmentsData, { onConflict: "course_id,student_id" });
+
+      if (enrollError) {
+        console.error("   ✗ Error saving enrollments:", enrollError.message);
+        syncResults.enrollments.failed = students.length;
+        syncResults.errors.push(`Enrollments: ${enrollError.message}`);
+      } else {
+        console.log(`   ✓ Saved ${students.length} enrollments to Supabase`);
+        syncResults.enrollments.success = students.length;
+      }
+    }
+
+    // Students no longer enrolled in Moodle are marked, not deleted
+    if (syncResults.enrollments.failed === 0) {
+      await this.reconcileEnrollments(
+        courseId,
+        students,
+        unenrolledBefore,
+        syncResults
+      );
+    }
+
+    await this.saveAccessSnapshots(courseId, students, syncResults);
+    await this.syncStaff(courseId, enrolledUsers, syncResults);
+
+    // ========================================================================
+    // STEP 3: Fetch and Save Course Activities
+    // ========================================================================
+    console.log("\n📝 Step 3/6: Fetching course content and activities...");
+    onProgress({ step: 3, stepName: "Fetching course content and activities" });
+
+    let allActivities = null;
+
+    if (incremental && !courseChanged) {
+      allActivities = await this.getStoredActivities(courseId);
+
+      if (allActivities.length > 0) {
+        console.log(
+          `   ↻ Course unchanged, reusing ${allActivities.length} stored activities`
+        );
+        syncResults.skipped.contents = true;
+      } else {
+        allActivities = null;
+      }
+    }
+
+    if (!allActivities) {
+      const courseContents = await this.moodle.getCourseContents(courseId);
+      console.log(`   ✓ Found ${courseContents.length} sections`);
+
+      allActivities = toActivityRows(courseId, courseContents);
+
+      console.log(`   ✓ Found ${allActivities.length} activities`);
+
+      if (allActivities.length > 0) {
+        const { error: activitiesError } = await this.db
+          .from("activities")
+          .upsert(allActivities, { onConflict: "course_id,activity_id" });
+
+        if (activitiesError) {
+          console.error("   ✗ Error saving activities:", activitiesError.message);
+          syncResults.activities.failed = allActivities.length;
+          syncResults.errors.push(`Activities: ${activitiesError.message}`);
+        } else {
+          console.log(
+            `   ✓ Saved ${allActivities.length} activities to Supabase`
+          );
+          syncResults.activities.success = allActivities.length;
+        }
+      }
+
+      if (syncResults.activities.failed === 0) {
+        await this.reconcileActivities(courseId, allActivities, syncResults);
+      }
+
+      await this.syncActivityFiles(courseId, courseContents, syncResults);
+    }
+
+    // ========================================================================
+    // STEP 4: Fetch and Save Groups
+    // ========================================================================
+    console.log("\n👥 Step 4/6: Fetching groups...");
+    onProgress({ step: 4, stepName: "Fetching groups" });
+
+    try {
+      const courseGroups = await this.moodle.getCourseGroups(courseId);
+      console.log(`   ✓ Found ${courseGroups.length} groups`);
+
+      if (courseGroups.length > 0) {
+        // Save groups
+        const groupsData = courseGroups.map((group) => ({
+          group_id: group.id,
+          course_id: parseInt(courseId),
+          group_name: group.name,
+          description: group.description || "",
+          deleted_at: null,
+          updated_at: new Date(),
+        }));
+
+        const { error: groupsError } = await this.db
+          .from("groups")
+          .upsert(groupsData, { onConflict: "course_id,group_id" });
+
+        if (groupsError) {
+          console.error("   ✗ Error saving groups:", groupsError.message);
+          syncResults.groups.failed = courseGroups.length;
+          syncResults.errors.push(`Groups: ${groupsError.message}`);
+        } else {
+          console.log(`   ✓ Saved ${courseGroups.length} groups to Supabase`);
+          syncResults.groups.success = courseGroups.length;
+        }
+      } else {
+        console.log("   ℹ No groups found in this course");
+      }
+
+      // Also without groups, so memberships of deleted groups are dropped
+      await this.syncGroupMembers(courseId, courseGroups, students, syncResults);
+
+      if (syncResults.groups.failed === 0) {
+        const removedGroups = await this.markMissingAsDeleted(
+          "groups",
+          courseId,
+          "group_id",
+          courseGroups.map((g) => g.id)
+        );
+        syncResults.removed.groups = removedGroups.length;
+        if (removedGroups.length > 0) {
+          console.log(`   ✓ Marked ${removedGroups.length} removed groups`);
+        }
+      }
+    } catch (error) {
+      console.log(`   ⚠ Warning fetching groups: ${error.message}`);
+      // Don't fail the entire sync if groups fail
+      syncResults.errors.push(`Groups warning: ${error.message}`);
+    }
+
+    // ========================================================================
+    // STEP 5: Fetch and Save Activity Completions
+    // ========================================================================
+    console.log("\n✅ Step 5/6: Fetching completion data for all students...");
+    onProgress({ step: 5, stepName: "Fetching completion data" });
+
+    const allCompletions = [];
+    let processedStudents = 0;
+    let studentsWithCompletions = 0;
+
+    // Activity set unchanged: only students active since the watermark can
+    // have new completions (lastcourseaccess is missing on old Moodles)
+    const watermarkSeconds = incremental
+      ? Math.floor(watermark.lastSyncedAt.getTime() / 1000)
+      : 0;
+    const studentsToFetch =
+      incremental && !courseChanged
+        ? students.filter(
+            (s) =>
+              s.lastcourseaccess === undefined ||
+              s.lastcourseaccess > watermarkSeconds
+          )
+        : students;
+
+    syncResults.skipped.students = students.length - studentsToFetch.length;
+    if (syncResults.skipped.students > 0) {
+      console.log(
+        `   ↻ Skipping ${syncResults.skipped.students} students with no course access since last sync`
+      );
+    }
+    onProgress({ processedStudents: 0, totalStudents: studentsToFetch.length });
+
+    const activitiesById = new Map(
+      allActivities.map((a) => [a.activity_id, a])
+    );
+
+    const completionsByStudent = await mapWithConcurrency(
+      studentsToFetch,
+      this.concurrency,
+      async (student) => {
+        const studentCompletions = [];
+
+        try {
+          const activitiesCompletion =
+            await this.moodle.getActivitiesCompletionStatus(courseId, student.id);
+
+          if (
+            activitiesCompletion.statuses &&
+            activitiesCompletion.statuses.length > 0
+          ) {
+            studentsWithCompletions++;
+
+            studentCompletions.push(
+              ...toCompletionRows(
+                courseId,
+                student.id,
+                activitiesCompletion.statuses,
+                activitiesById
+              )
+            );
+          }
+        } catch (error) {
+          if (!MoodleApiError.isNoCompletionCriteria(error)) {
+            console.log(
+              `\n   ⚠ Error fetching completions for student ${student.id}: ${error.message}`
+            );
+            syncResults.errors.push(
+              `Student ${student.id} completions: ${error.message}`
+            );
+          }
+        }
+
+        processedStudents++;
+        onProgress({ processedStudents, totalStudents: studentsToFetch.length });
+        process.stdout.write(
+          `   Processed ${processedStudents}/${studentsToFetch.length}: ${student.firstname} ${student.lastname}\r`
+        );
+
+        return studentCompletions;
+      }
+    );
+    allCompletions.push(...completionsByStudent.flat());
+
+    console.log(
+      `\n   ✓ Fetched ${allCompletions.length} completion records from ${studentsWithCompletions}/${studentsToFetch.length} students`
+    );
+
+    if (allCompletions.length > 0) {
+      console.log("   💾 Saving completions to Supabase...");
+
+      const batchSize = 100;
+      let savedCount = 0;
+
+      for (let i = 0; i < allCompletions.length; i += batchSize) {
+        const batch = allCompletions.slice(i, i + batchSize);
+
+        const { error: completionsError } = await this.db
+          .from("activity_completions")
+          .upsert(batch, { onConflict: "course_id,student_id,activity_id" });
+
+        if (completionsError) {
+          console.error(
+            `\n   ✗ Error saving completions batch: ${completionsError.message}`
+          );
+          syncResults.completions.failed += batch.length;
+          syncResults.errors.push(`Completions: ${completionsError.message}`);
+        } else {
+          savedCount += batch.length;
+          syncResults.completions.success += batch.length;
+          process.stdout.write(
+            `   Saved ${savedCount}/${allCompletions.length} completions\r`
+          );
+        }
+      }
+      console.log(`\n   ✓ Saved all completions to Supabase`);
+    } else {
+      console.log("   ℹ No completion data available");
+    }
+
+    // Grades are re-read for every student, incremental or not: teachers
+    // grade work without the student visiting the course
+    await this.syncGrades(courseId, students, syncResults);
+
+    // ========================================================================
+    // STEP 6: Fetch Course Completion Status and Save Summary
+    // ========================================================================
+    console.log("\n📊 Step 6/6: Fetching course completion status...");
+    onProgress({ step: 6, stepName: "Fetching course completion status" });
+
+    const trackableActivities = allActivities.filter((a) => a.has_completion);
+    console.log(`   Found ${trackableActivities.length} trackable activities`);
+
+    const moodleStatuses = await this.fetchCourseCompletionStatuses(
+      courseId,
+      studentsToFetch,
+      syncResults,
+      onProgress
+    );
+    const hasCriteria = moodleStatuses !== null;
+
+    if (trackableActivities.length > 0 || hasCriteria) {
+      const courseCompletionsData = studentsToFetch.map((student) =>
+        toCourseCompletionRow(
+          courseId,
+          student.id,
+          trackableActivities.length,
+          allCompletions.filter((c) => c.student_id === student.id),
+          hasCriteria ? moodleStatuses.get(student.id) || null : null
+        )
+      );
+
+      const { error: ccError } = await this.db
+        .from("course_completions")
+        .upsert(courseCompletionsData, { onConflict: "course_id,student_id" });
+
+      if (ccError) {
+        console.error("   ✗ Error saving course completions:", ccError.message);
+        syncResults.courseCompletions.failed = studentsToFetch.length;
+        syncResults.errors.push(`CourseCompletions: ${ccError.message}`);
+      } else {
+        console.log(
+          `   ✓ Saved course completion stats for ${studentsToFetch.length} students`
+        );
+        syncResults.courseCompletions.success = studentsToFetch.length;
+      }
+    } else {
+      console.log(
+        "   ℹ Skipping course completions (no trackable activities or completion criteria)"
+      );
+    }
+
+    // Only move the watermark forward when nothing failed, so the next
+    // incremental run picks up whatever this one missed
+    if (syncResults.errors.length === 0) {
+      await this.saveSyncWatermark(courseId, new Date(startTime), course);
+    }
+
+    // ========================================================================
+    // FINAL RESULTS
+    // ========================================================================
+    const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    console.log("\n" + "=".repeat(80));
+    console.log("✅ SYNC COMPLETED SUCCESSFULLY!");
+    console.log("=".repeat(80));
+    console.log(` Processing Time: ${processingTime}s`);
+    console.log(` Course: ${syncResults.course.success} saved`);
+    console.log(` Enrollments: ${syncResults.enrollments.success} saved`);
+    console.log(` Staff: ${syncResults.staff.success} saved`);
+    console.log(` Activities: ${syncResults.activities.success} saved`);
+    console.log(` Activity Files: ${syncResults.activityFiles.success} saved`);
+    console.log(` Groups: ${syncResults.groups.success} saved`);
+    console.log(` Group Members: ${syncResults.groupMembers.success} saved`);
+    console.log(` Completions: ${syncResults.completions.success} saved`);
+    console.log(
+      ` Grades: ${syncResults.grades.success} saved (${syncResults.gradeItems.success} grade items)`
+    );
+    console.log(
+      ` Removed: ${syncResults.removed.enrollments} enrollments, ${syncResults.removed.activities} activities, ${syncResults.removed.groups} groups`
+    );
+    console.log(
+      ` Course Stats: ${syncResults.courseCompletions.success} saved`
+    );
+
+    if (syncResults.errors.length > 0) {
+      console.log(`\n⚠ Errors encountered:`);
+      syncResults.errors.forEach((err) => console.log(`   - ${err}`));
+    }
+    console.log("=".repeat(80) + "\n");
+
+    return {
+      success: true,
+      message: `Course ${courseId} synced successfully`,
+      courseInfo: {
+        id: course.id,
+        name: course.fullname,
+        shortname: course.shortname,
+      },
+      results: syncResults,
+      processingTime: `${processingTime}s`,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Record today's last-access values of every student in
+   * course_access_snapshots. One row per student and day (re-syncs on the
+   * same day overwrite it), so nightly syncs build an access history.
+   */
+  async saveAccessSnapshots(courseId, students, syncResults) {
+    if (students.length === 0) return;
+
+    const capturedAt = new Date();
+    const snapshotDate = capturedAt.toISOString().slice(0, 10);
+
+    const snapshots = students.map((student) => ({
+      course_id: parseInt(courseId),
+      student_id: student.id,
+      snapshot_date: snapshotDate,
+      last_course_access: fromUnixTime(student.lastcourseaccess),
+      last_access: fromUnixTime(student.lastaccess),
+      first_access: fromUnixTime(student.firstaccess),
+      captured_at: capturedAt,
+    }));
+
+    const { error } = await this.db
+      .from("course_access_snapshots")
+      .upsert(snapshots, { onConflict: "course_id,student_id,snapshot_date" });
+
+    if (error) {
+      console.error("   ✗ Error saving access snapshots:", error.message);
+      syncResults.accessSnapshots.failed = snapshots.length;
+      syncResults.errors.push(`Access snapshots: ${error.message}`);
+    } else {
+      console.log(`   ✓ Saved ${snapshots.length} access snapshots`);
+      syncResults.accessSnapshots.success = snapshots.length;
+    }
+  }
+
+  /**
+   * Save everyone enrolled with a role other than student (teachers,
+   * managers, ...) into course_staff with all of their course roles, and
+   * mark staff who left the course
+   */
+  async syncStaff(courseId, enrolledUsers, syncResults) {
+    const staff = enrolledUsers.filter(isStaff);
+
+    try {
+      if (staff.length > 0) {
+        const staffData = staff.map((user) => {
+          const roles = [...user.roles]
+            .sort((a, b) => (a.sortorder || 0) - (b.sortorder || 0))
+            .map((role) => ({
+              role_id: role.roleid,
+              shortname: role.shortname,
+              name: role.name || role.shortname,
+            }));
+
+          return {
+            course_id: parseInt(courseId),
+            user_id: user.id,
+            full_name: `${user.firstname} ${user.lastname}`,
+            first_name: user.firstname,
+            last_name: user.lastname,
+            email: user.email || "",
+            roles,
+            role_shortnames: roles.map((role) => role.shortname),
+            primary_role: roles[0].shortname,
+            last_course_access: fromUnixTime(user.lastcourseaccess),
+            deleted_at: null,
+            updated_at: new Date(),
+          };
+        });
+
+        const { error: staffError } = await this.db
+          .from("course_staff")
+          .upsert(staffData, { onConflict: "course_id,user_id" });
+
+        if (staffError) {
+          console.error("   ✗ Error saving staff:", staffError.message);
+          syncResults.staff.failed = staff.length;
+          syncResults.errors.push(`Staff: ${staffError.message}`);
+          return;
+        }
+
+        console.log(`   ✓ Saved ${staff.length} staff (teachers, managers, ...)`);
+        syncResults.staff.success = staff.length;
+      }
+
+      const removed = await this.markMissingAsDeleted(
+        "course_staff",
+        courseId,
+        "user_id",
+        staff.map((user) => user.id)
+      );
+      syncResults.removed.staff = removed.length;
+    } catch (error) {
+      console.error("   ✗ Error reconciling staff:", error.message);
+      syncResults.errors.push(`Reconcile staff: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mirror Moodle's course category tree into course_categories, including
+   * parent and path ("/1/4/9") so the hierarchy can be rebuilt. Returns a
+   * Map of category ID to the saved row, or null when the categories could
+   * not be read; courses are then saved without a category name.
+   */
+  async syncCategories(syncResults = null) {
+    let moodleCategories;
+    try {
+      moodleCategories = await this.moodle.getCategories();
+    } catch (error) {
+      console.log(`   ⚠ Warning fetching categories: ${error.message}`);
+      if (syncResults && !MoodleApiError.isAccessDenied(error)) {
+        syncResults.errors.push(`Categories warning: ${error.message}`);
+      }
+      return null;
+    }
+
+    const categoriesData = moodleCategories.map((category) => ({
+      category_id: category.id,
+      category_name: category.name,
+      id_number: category.idnumber || null,
+      description: category.description || "",
+      parent_id: category.parent || null,
+      path: category.path,
+      depth: category.depth,
+      sort_order: category.sortorder,
+      visible: category.visible === 1,
+      moodle_course_count: category.coursecount || 0,
+      deleted_at: null,
+      updated_at: new Date(),
+    }));
+
+    if (categoriesData.length > 0) {
+      const { error: categoriesError } = await this.db
+        .from("course_categories")
+        .upsert(categoriesData, { onConflict: "category_id" });
+
+      if (categoriesError) {
+        console.error("   ✗ Error saving categories:", categoriesError.message);
+        if (syncResults) {
+          syncResults.categories.failed = categoriesData.length;
+          syncResults.errors.push(`Categories: ${categoriesError.message}`);
+        }
+      } else {
+        console.log(`   ✓ Saved ${categoriesData.length} categories`);
+        if (syncResults) {
+          syncResults.categories.success = categoriesData.length;
+        }
+
+        // Categories are not course-scoped; mark those deleted in Moodle
+        try {
+          const removed = await this.markMissingAsDeleted(
+            "course_categories",
+            null,
+            "category_id",
+            categoriesData.map((c) => c.category_id)
+          );
+          if (removed.length > 0) {
+            console.log(`   ✓ Marked ${removed.length} removed categories`);
+          }
+        } catch (error) {
+          console.log(`   ⚠ Could not mark old categories: ${error.message}`);
+        }
+      }
+    }
+
+    return new Map(categoriesData.map((c) => [c.category_id, c]));
+  }
+
+  /**
+   * Save the files, links and page content listed in each module's
+   * `contents` into activity_files and delete entries no longer in Moodle.
+   * Only runs when course contents were fetched in this sync.
+   */
+  async syncActivityFiles(courseId, courseContents, syncResults) {
+    // Keyed so a module listing the same path twice yields one row
+    const filesByKey = new Map();
+
+    courseContents.forEach((section) => {
+      (section.modules || []).forEach((module) => {
+        (module.contents || []).forEach((file) => {
+          const fileKey = `${file.filepath || "/"}${file.filename || ""}`;
+          filesByKey.set(`${module.id}:${fileKey}`, {
+            course_id: parseInt(courseId),
+            activity_id: module.id,
+            file_key: fileKey,
+            content_type: file.type,
+            file_name: file.filename || "",
+            file_path: file.filepath || "/",
+            file_size: file.filesize || 0,
+            mime_type: file.mimetype || null,
+            file_url: file.fileurl || null,
+            is_external: !!file.isexternalfile,
+            author: file.author || null,
+            license: file.license || null,
+            time_created: fromUnixTime(file.timecreated),
+            time_modified: fromUnixTime(file.timemodified),
+            updated_at: new Date(),
+          });
+        });
+      });
+    });
+    const filesData = [...filesByKey.values()];
+
+    try {
+      if (filesData.length > 0) {
+        const { error: filesError } = await this.db
+          .from("activity_files")
+          .upsert(filesData, { onConflict: "course_id,activity_id,file_key" });
+
+        if (filesError) {
+          console.error("   ✗ Error saving activity files:", filesError.message);
+          syncResults.activityFiles.failed = filesData.length;
+          syncResults.errors.push(`Activity files: ${filesError.message}`);
+          return;
+        }
+
+        console.log(`   ✓ Saved ${filesData.length} activity files`);
+        syncResults.activityFiles.success = filesData.length;
+      }
+
+      const { data: stored, error: storedError } = await this.db
+        .from("activity_files")
+        .select("activity_id, file_key")
+        .eq("course_id", parseInt(courseId));
+
+      if (storedError) throw storedError;
+
+      const current = new Set(
+        filesData.map((f) => `${f.activity_id}:${f.file_key}`)
+      );
+      const staleByActivity = new Map();
+      stored
+        .filter((f) => !current.has(`${f.activity_id}:${f.file_key}`))
+        .forEach((f) => {
+          if (!staleByActivity.has(f.activity_id)) {
+            staleByActivity.set(f.activity_id, []);
+          }
+          staleByActivity.get(f.activity_id).push(f.file_key);
+        });
+
+      for (const [activityId, fileKeys] of staleByActivity) {
+        const { error: deleteError } = await this.db
+          .from("activity_files")
+          .delete()
+          .eq("course_id", parseInt(courseId))
+          .eq("activity_id", activityId)
+          .in("file_key", fileKeys);
+
+        if (deleteError) throw deleteError;
+        syncResults.removed.activityFiles += fileKeys.length;
+      }
+    } catch (error) {
+      console.error("   ✗ Error reconciling activity files:", error.message);
+      syncResults.errors.push(`Reconcile activity files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch members of every group and mirror them into group_members.
+   * Members are read in batches with core_group_get_group_members; if that
+   * function is not available to the token, each group is read with
+   * core_enrol_get_enrolled_users and the `groupid` option instead.
+   */
+  async syncGroupMembers(courseId, courseGroups, students, syncResults) {
+    const studentIds = new Set(students.map((s) => s.id));
+    const membersByGroup = new Map(courseGroups.map((g) => [g.id, []]));
+    let useFallback = false;
+
+    for (let i = 0; i < courseGroups.length; i += GROUP_MEMBERS_BATCH_SIZE) {
+      const groupIds = courseGroups
+        .slice(i, i + GROUP_MEMBERS_BATCH_SIZE)
+        .map((g) => g.id);
+
+      if (!useFallback) {
+        try {
+          const batch = await this.moodle.getGroupMembers(groupIds);
+          batch.forEach((entry) =>
+            membersByGroup.set(entry.groupid, entry.userids || [])
+          );
+          continue;
+        } catch (error) {
+          if (!(error instanceof MoodleApiError)) throw error;
+          console.log(
+            `   ℹ core_group_get_group_members unavailable (${error.errorcode || error.message}), reading members per group`
+          );
+          useFallback = true;
+        }
+      }
+
+      await mapWithConcurrency(groupIds, this.concurrency, async (groupId) => {
+        const users = await this.moodle.getEnrolledUsers(courseId, [
+          { name: "groupid", value: groupId },
+        ]);
+        membersByGroup.set(groupId, users.map((u) => u.id));
+      });
+    }
+
+    // group_members only tracks students, like enrollments
+    const membersData = [];
+    membersByGroup.forEach((userIds, groupId) => {
+      userIds
+        .filter((userId) => studentIds.has(userId))
+        .forEach((studentId) =>
+          membersData.push({
+            course_id: parseInt(courseId),
+            group_id: groupId,
+            student_id: studentId,
+            updated_at: new Date(),
+          })
+        );
+    });
+
+    if (membersData.length > 0) {
+      const { error: membersError } = await this.db
+        .from("group_members")
+        .upsert(membersData, { onConflict: "course_id,group_id,student_id" });
+
+      if (membersError) {
+        console.error("   ✗ Error saving group members:", membersError.message);
+        syncResults.groupMembers.failed = membersData.length;
+        syncResults.errors.push(`Group members: ${membersError.message}`);
+        return;
+      }
+    }
+
+    if (courseGroups.length > 0) {
+      console.log(`   ✓ Saved ${membersData.length} group memberships to Supabase`);
+    }
+    syncResults.groupMembers.success = membersData.length;
+
+    // Drop memberships that no longer exist in Moodle
+    const { data: stored, error: storedError } = await this.db
+      .from("group_members")
+      .select("group_id, student_id")
+      .eq("course_id", parseInt(courseId));
+
+    if (storedError) throw storedError;
+
+    const current = new Set(
+      membersData.map((m) => `${m.group_id}:${m.student_id}`)
+    );
+    const staleByGroup = new Map();
+    stored
+      .filter((m) => !current.has(`${m.group_id}:${m.student_id}`))
+      .forEach((m) => {
+        if (!staleByGroup.has(m.group_id)) staleByGroup.set(m.group_id, []);
+        staleByGroup.get(m.group_id).push(m.student_id);
+      });
+
+    for (const [groupId, staleStudentIds] of staleByGroup) {
+      const { error: deleteError } = await this.db
+        .from("group_members")
+        .delete()
+        .eq("course_id", parseInt(courseId))
+        .eq("group_id", groupId)
+        .in("student_id", staleStudentIds);
+
+      if (deleteError) throw deleteError;
+      syncResults.removed.groupMembers += staleStudentIds.length;
+    }
+
+    if (syncResults.removed.groupMembers > 0) {
+      console.log(
+        `   ✓ Removed ${syncResults.removed.groupMembers} stale group memberships`
+      );
+    }
+  }
+
+  /**
+   * Read core_completion_get_course_completion_status for each student.
+   * Returns a Map of student ID to parseCourseCompletionStatus results, or
+   * null when the course has no completion criteria set.
+   */
+  async fetchCourseCompletionStatuses(courseId, students, syncResults, onProgress) {
+    const statuses = new Map();
+    let noCriteria = false;
+    let processed = 0;
+
+    onProgress({ processedStudents: 0, totalStudents: students.length });
+
+    await mapWithConcurrency(students, this.concurrency, async (student) => {
+      if (noCriteria) return;
+
+      try {
+        const { completionstatus: status } =
+          await this.moodle.getCourseCompletionStatus(courseId, student.id);
+
+        statuses.set(student.id, parseCourseCompletionStatus(status));
+      } catch (error) {
+        if (MoodleApiError.isNoCompletionCriteria(error)) {
+          noCriteria = true;
+          return;
+        }
+        console.log(
+          `\n   ⚠ Error fetching course completion for student ${student.id}: ${error.message}`
+        );
+        syncResults.errors.push(
+          `Student ${student.id} course completion: ${error.message}`
+        );
+      }
+
+      processed++;
+      onProgress({ processedStudents: processed, totalStudents: students.length });
+    });
+
+    if (noCriteria) {
+      console.log(
+        "   ℹ No completion criteria set in Moodle, using activity completion"
+      );
+      return null;
+    }
+
+    console.log(
+      `   ✓ Fetched Moodle completion status for ${statuses.size}/${students.length} students`
+    );
+    return statuses;
+  }
+
+  /**
+   * Fetch the user grade report for the course and mirror it into
+   * grade_items and student_grades. The report is read for all users in one
+   * call; if Moodle refuses that (no permission to view all grades) it is
+   * read per student. A token without access to the grade report skips
+   * grades without failing the sync.
+   */
+  async syncGrades(courseId, students, syncResults) {
+    console.log("   📈 Fetching grades...");
+
+    const errorCount = syncResults.errors.length;
+    const studentIds = new Set(students.map((s) => s.id));
+    let userGrades = [];
+
+    try {
+      const report = await this.moodle.getGradeItems(courseId);
+      userGrades = report.usergrades || [];
+    } catch (error) {
+      if (!(error instanceof MoodleApiError)) throw error;
+
+      // The function itself is not part of the token's web service
+      if (error.exception === "webservice_access_exception") {
+        console.log(
+          "   ℹ gradereport_user_get_grade_items not available to this token, skipping grades"
+        );
+        syncResults.skipped.grades = true;
+        return;
+      }
+
+      console.log(
+        `   ℹ Course grade report unavailable (${error.errorcode || error.message}), reading grades per student`
+      );
+
+      let accessDenied = false;
+      const reports = await mapWithConcurrency(
+        students,
+        this.concurrency,
+        async (student) => {
+          if (accessDenied) return [];
+          try {
+            const report = await this.moodle.getGradeItems(courseId, student.id);
+            return report.usergrades || [];
+          } catch (studentError) {
+            if (MoodleApiError.isAccessDenied(studentError)) {
+              accessDenied = true;
+            } else {
+              syncResults.errors.push(
+                `Student ${student.id} grades: ${studentError.message}`
+              );
+            }
+            return [];
+          }
+        }
+      );
+
+      if (accessDenied) {
+        console.log("   ℹ No permission to read grades, skipping grades");
+        syncResults.skipped.grades = true;
+        return;
+      }
+      userGrades = reports.flat();
+    }
+
+    const gradeItemsById = new Map();
+    const gradesData = [];
+
+    userGrades
+      .filter((userGrade) => studentIds.has(userGrade.userid))
+      .forEach((userGrade) => {
+        (userGrade.gradeitems || []).forEach((item) => {
+          if (!gradeItemsById.has(item.id)) {
+            gradeItemsById.set(item.id, {
+              course_id: parseInt(courseId),
+              grade_item_id: item.id,
+              item_name:
+                item.itemname || (item.itemtype === "course" ? "Course total" : ""),
+              item_type: item.itemtype,
+              item_module: item.itemmodule || null,
+              activity_id: item.cmid || null,
+              grade_min: item.grademin ?? null,
+              grade_max: item.grademax ?? null,
+              deleted_at: null,
+              updated_at: new Date(),
+            });
+          }
+
+          const raw = item.graderaw ?? null;
+          const range = (item.grademax ?? 0) - (item.grademin ?? 0);
+
+          gradesData.push({
+            course_id: parseInt(courseId),
+            student_id: userGrade.userid,
+            grade_item_id: item.id,
+            activity_id: item.cmid || null,
+            grade_raw: raw,
+            grade_formatted: item.gradeformatted || null,
+            percentage:
+              raw !== null && range > 0
+                ? parseFloat((((raw - item.grademin) / range) * 100).toFixed(2))
+                : null,
+            date_submitted: item.gradedatesubmitted
+              ? new Date(item.gradedatesubmitted * 1000)
+              : null,
+            date_graded: item.gradedategraded
+              ? new Date(item.gradedategraded * 1000)
+              : null,
+            feedback: item.feedback || "",
+            deleted_at: null,
+            updated_at: new Date(),
+          });
+        });
+      });
+
+    const gradeItems = [...gradeItemsById.values()];
+    if (gradeItems.length === 0) {
+      console.log("   ℹ No grade items found");
+      return;
+    }
+
+    const { error: itemsError } = await this.db
+      .from("grade_items")
+      .upsert(gradeItems, { onConflict: "course_id,grade_item_id" });
+
+    if (itemsError) {
+      console.error("   ✗ Error saving grade items:", itemsError.message);
+      syncResults.gradeItems.failed = gradeItems.length;
+      syncResults.errors.push(`Grade items: ${itemsError.message}`);
+      return;
+    }
+    syncResults.gradeItems.success = gradeItems.length;
+
+    const batchSize = 100;
+    for (let i = 0; i < gradesData.length; i += batchSize) {
+      const batch = gradesData.slice(i, i + batchSize);
+
+      const { error: gradesError } = await this.db
+        .from("student_grades")
+        .upsert(batch, { onConflict: "course_id,student_id,grade_item_id" });
+
+      if (gradesError) {
+        console.error(`   ✗ Error saving grades batch: ${gradesError.message}`);
+        syncResults.grades.failed += batch.length;
+        syncResults.errors.push(`Grades: ${gradesError.message}`);
+      } else {
+        syncResults.grades.success += batch.length;
+      }
+    }
+
+    console.log(
+      `   ✓ Saved ${syncResults.grades.success} grades for ${gradeItems.length} grade items`
+    );
+
+    // Grade items deleted in Moodle, only trusted from a complete report
+    if (syncResults.errors.length === errorCount) {
+      try {
+        const removedItems = await this.markMissingAsDeleted(
+          "grade_items",
+          courseId,
+          "grade_item_id",
+          gradeItems.map((item) => item.grade_item_id)
+        );
+        if (removedItems.length > 0) {
+          console.log(`   ✓ Marked ${removedItems.length} removed grade items`);
+        }
+      } catch (error) {
+        console.error("   ✗ Error reconciling grade items:", error.message);
+        syncResults.errors.push(`Reconcile grade items: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Last successful sync time and the Moodle `timemodified` seen then, or
+   * null when the course was never synced
+   */
+  async getSyncWatermark(courseId) {
+    const { data, error } = await this.db
+      .from("courses")
+      .select("last_synced_at, moodle_timemodified")
+      .eq("course_id", parseInt(courseId))
+      .maybeSingle();
+
+    if (error) {
+      console.log(`   ⚠ Could not read sync watermark: ${error.message}`);
+      return null;
+    }
+    if (!data || !data.last_synced_at) return null;
+
+    return {
+      lastSyncedAt: new Date(data.last_synced_at),
+      moodleTimemodified: data.moodle_timemodified || 0,
+    };
+  }
+
+  async saveSyncWatermark(courseId, syncedAt, course) {
+    const { error } = await this.db
+      .from("courses")
+      .update({
+        last_synced_at: syncedAt,
+        moodle_timemodified: course.timemodified || 0,
+      })
+      .eq("course_id", parseInt(courseId));
+
+    if (error) {
+      console.log(`   ⚠ Could not save sync watermark: ${error.message}`);
+    }
+  }
+
+  /**
+   * Activities saved by an earlier sync, in the shape step 3 produces
+   */
+  async getStoredActivities(courseId) {
+    const { data, error } = await this.db
+      .from("activities")
+      .select("*")
+      .eq("course_id", parseInt(courseId))
+      .is("deleted_at", null);
+
+    if (error) {
+      console.log(`   ⚠ Could not read stored activities: ${error.message}`);
+      return [];
+    }
+    return data || [];
+  }
+
+  /**
+   * Soft-delete rows of `table` in this course whose `keyColumn` is missing
+   * from the latest Moodle snapshot (`currentIds`). `changes` are written
+   * alongside `deleted_at`. Returns the keys that were marked. A null
+   * `courseId` checks the whole table (for tables not kept per course).
+   */
+  async markMissingAsDeleted(table, courseId, keyColumn, currentIds, changes = {}) {
+    const inCourse = (query) =>
+      courseId === null ? query : query.eq("course_id", parseInt(courseId));
+
+    const { data, error } = await inCourse(
+      this.db.from(table).select(keyColumn)
+    ).is("deleted_at", null);
+
+    if (error) throw error;
+
+    const current = new Set(currentIds);
+    const missing = data
+      .map((row) => row[keyColumn])
+      .filter((id) => !current.has(id));
+
+    if (missing.length > 0) {
+      const { error: updateError } = await inCourse(
+        this.db.from(table).update({ ...changes, deleted_at: new Date() })
+      ).in(keyColumn, missing);
+
+      if (updateError) throw updateError;
+    }
+
+    return missing;
+  }
+
+  /**
+   * Keys of the rows of `table` in this course that are marked deleted
+   */
+  async getDeletedIds(table, courseId, keyColumn) {
+    const { data, error } = await this.db
+      .from(table)
+      .select(keyColumn)
+      .eq("course_id", parseInt(courseId))
+      .not("deleted_at", "is", null);
+
+    if (error) throw error;
+    return data.map((row) => row[keyColumn]);
+  }
+
+  /**
+   * Set or clear `deleted_at` on completion rows matching `column IN ids`
+   */
+  async setCompletionsDeleted(courseId, column, ids, deleted) {
+    if (ids.length === 0) return;
+
+    // course_completions rows are per student, not per activity
+    const tables =
+      column === "student_id"
+        ? ["activity_completions", "student_grades", "course_completions"]
+        : ["activity_completions", "student_grades"];
+
+    // Bringing a student back must leave the rows of removed activities marked
+    const removedActivityIds =
+      !deleted && column === "student_id"
+        ? await this.getDeletedIds("activities", courseId, "activity_id")
+        : [];
+
+    for (const table of tables) {
+      const { error } = await this.db
+        .from(table)
+        .update({ deleted_at: deleted ? new Date() : null })
+        .eq("course_id", parseInt(courseId))
+        .in(column, ids);
+
+      if (error) throw error;
+
+      if (removedActivityIds.length > 0 && table !== "course_completions") {
+        const { error: markError } = await this.db
+          .from(table)
+          .update({ deleted_at: new Date() })
+          .eq("course_id", parseInt(courseId))
+          .in(column, ids)
+          .in("activity_id", removedActivityIds);
+
+        if (markError) throw markError;
+      }
+    }
+  }
+
+  /**
+   * Mark students who left the course as unenrolled (with their completions)
+   * and bring back the completions of students who were re-enrolled.
+   * `unenrolledBefore` lists the students marked unenrolled before this
+   * sync's upsert (null if they could not be read).
+   */
+  async reconcileEnrollments(courseId, students, unenrolledBefore, syncResults) {
+    try {
+      const studentIds = students.map((s) => s.id);
+
+      const unenrolled = await this.markMissingAsDeleted(
+        "enrollments",
+        courseId,
+        "student_id",
+        studentIds,
+        { status: "unenrolled" }
+      );
+      await this.setCompletionsDeleted(courseId, "student_id", unenrolled, true);
+      syncResults.removed.enrollments = unenrolled.length;
+
+      // Re-enrolled students had their enrollment row revived by the upsert;
+      // their completions, grades and course completion are still marked
+      const current = new Set(studentIds);
+      const reenrolled = (unenrolledBefore || []).filter((id) =>
+        current.has(id)
+      );
+      await this.setCompletionsDeleted(courseId, "student_id", reenrolled, false);
+      syncResults.restored.enrollments = reenrolled.length;
+
+      if (unenrolled.length > 0 || reenrolled.length > 0) {
+        console.log(
+          `   ✓ Marked ${unenrolled.length} unenrolled, restored ${reenrolled.length} re-enrolled students`
+        );
+      }
+    } catch (error) {
+      console.error("   ✗ Error reconciling enrollments:", error.message);
+      syncResults.errors.push(`Reconcile enrollments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark activities deleted in Moodle, together with their completions
+   */
+  async reconcileActivities(courseId, allActivities, syncResults) {
+    try {
+      const removed = await this.markMissingAsDeleted(
+        "activities",
+        courseId,
+        "activity_id",
+        allActivities.map((a) => a.activity_id)
+      );
+      await this.setCompletionsDeleted(courseId, "activity_id", removed, true);
+      syncResults.removed.activities = removed.length;
+
+      if (removed.length > 0) {
+        console.log(`   ✓ Marked ${removed.length} removed activities`);
+      }
+    } catch (error) {
+      console.error("   ✗ Error reconciling activities:", error.message);
+      syncResults.errors.push(`Reconcile activities: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sync every visible course (except the site course) one after another.
+   * Progress updates of the running course are forwarded to `onProgress`
+   * with the course position prefixed to the step name.
+   */
+  async syncAllCourses(onProgress = () => {}, { mode = "full" } = {}) {
+    console.log(`\n Starting ${mode} sync for ALL courses...`);
+
+    const courses = await this.moodle.getCourses();
+    const visibleCourses = courses.filter((c) => c.visible === 1 && c.id > 1); // Skip site course (ID 1)
+
+    console.log(`Found ${visibleCourses.length} visible courses to sync`);
+
+    const categories = await this.syncCategories();
+
+    const results = [];
+    let successCount = 0;
+    let failCount = 0;
+
+    for (let i = 0; i < visibleCourses.length; i++) {
+      const course = visibleCourses[i];
+      const position = `[${i + 1}/${visibleCourses.length}]`;
+      console.log(
+        `\n${position} Syncing: ${course.fullname} (ID: ${course.id})`
+      );
+
+      try {
+        const data = await this.syncCourse(course.id, (update) =>
+          onProgress({
+            ...update,
+            ...(update.stepName && {
+              stepName: `${position} ${course.fullname}: ${update.stepName}`,
+            }),
+          }),
+          { mode, categories }
+        );
+
+        results.push({
+          courseId: course.id,
+          courseName: course.fullname,
+          success: true,
+          data,
+        });
+        successCount++;
+      } catch (error) {
+        console.error(
+          `   ✗ Failed to sync course ${course.id}: ${error.message}`
+        );
+        results.push({
+          courseId: course.id,
+          courseName: course.fullname,
+          success: false,
+          error: error.message,
+        });
+        failCount++;
+      }
+    }
+
+    console.log("\n" + "=".repeat(80));
+    console.log("ALL COURSES SYNC COMPLETED");
+    console.log("=".repeat(80));
+    console.log(`Success: ${successCount}/${visibleCourses.length}`);
+    console.log(`Failed: ${failCount}/${visibleCourses.length}`);
+    console.log("=".repeat(80) + "\n");
+
+    return {
+      success: true,
+      message: `Synced ${successCount}/${visibleCourses.length} courses`,
+      summary: {
+        total: visibleCourses.length,
+        success: successCount,
+        failed: failCount,
+      },
+      results: results,
+    };
+  }
+}
+
+module.exports = { CourseSyncService, SYNC_MODES };
@@ -0,0 +1,376 @@
+// date-range.js
+// Reporting periods for the read endpoints. A period is given as ?from=&to=
+// (ISO dates or timestamps), a ?preset= such as last7d, thisTerm or ytd, or
+// the older ?month=&year=. Day, month and term boundaries fall at midnight in
+// the reporting timezone: ?tz=, else REPORT_TIMEZONE, else UTC.
+//
+// Terms come from ACADEMIC_TERMS, month ranges in academic-year order. The
+// default "9-12,1-6" is a September to June year with two terms; the academic
+// year (and so ytd) starts with the first term.
+
+const DEFAULT_TIMEZONE = process.env.REPORT_TIMEZONE || "UTC";
+const DEFAULT_TERMS = process.env.ACADEMIC_TERMS || "9-12,1-6";
+
+const DATE_PRESETS = [
+  "today",
+  "last7d",
+  "last30d",
+  "last90d",
+  "thisMonth",
+  "lastMonth",
+  "thisTerm",
+  "lastTerm",
+  "ytd",
+];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const BUCKET_INTERVALS = ["day", "week", "month"];
+
+// ============================================================================
+// TIMEZONE HELPERS
+// ============================================================================
+
+function assertTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown timezone "${timeZone}"`);
+  }
+}
+
+/**
+ * Calendar date and wall-clock time of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value);
+
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+/**
+ * How far the timezone's wall clock is ahead of UTC at an instant, in ms
+ */
+function getOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant of midnight starting a local calendar day. Month and day may
+ * overflow (month 13 is January of the next year), as with Date.UTC.
+ */
+function startOfLocalDay(year, month, day, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  const guess = wallClock - getOffset(new Date(wallClock), timeZone);
+  // Second pass for days where the offset changes (DST)
+  return new Date(wallClock - getOffset(new Date(guess), timeZone));
+}
+
+/**
+ * YYYY-MM-DD of an instant in a timezone
+ */
+function toLocalDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return [year, month, day]
+    .map((n, i) => String(n).padStart(i === 0 ? 4 : 2, "0"))
+    .join("-");
+}
+
+// ============================================================================
+// ACADEMIC TERMS
+// ============================================================================
+
+/**
+ * "9-12,1-6" → [{ startMonth: 9, endMonth: 12 }, { startMonth: 1, endMonth: 6 }]
+ * A term may run over new year, e.g. "9-1".
+ */
+function parseTerms(value) {
+  return value.split(",").map((term) => {
+    const [startMonth, endMonth] = term.split("-").map((m) => parseInt(m));
+    if (
+      ![startMonth, endMonth].every((m) => Number.isInteger(m) && m >= 1 && m <= 12)
+    ) {
+      throw new Error(
+        `ACADEMIC_TERMS must be month ranges like "9-12,1-6", got "${value}"`
+      );
+    }
+    return { startMonth, endMonth };
+  });
+}
+
+/**
+ * Every term starting in the academic years around `year`, oldest first, as
+ * { year, month } of their first month and the month after their last
+ */
+function listTermsAround(year, terms) {
+  const yearStart = terms[0].startMonth;
+  const instances = [];
+
+  for (let academicYear = year - 2; academicYear <= year; academicYear++) {
+    terms.forEach(({ startMonth, endMonth }) => {
+      // Terms before the first term's month fall in the next calendar year
+      const startYear = academicYear + (startMonth < yearStart ? 1 : 0);
+      const endYear = startYear + (endMonth < startMonth ? 1 : 0);
+      instances.push({
+        start: { year: startYear, month: startMonth },
+        end: { year: endYear, month: endMonth + 1 },
+      });
+    });
+  }
+
+  const key = ({ year, month }) => year * 12 + month;
+  return instances.sort((a, b) => key(a.start) - key(b.start));
+}
+
+// ============================================================================
+// RESOLVING A PERIOD
+// ============================================================================
+
+/**
+ * Start and end instants of a preset. Rolling presets (last7d, ytd) end now,
+ * calendar presets at the end of their month or term.
+ */
+function resolvePreset(preset, now, timeZone, terms) {
+  const today = getZonedParts(now, timeZone);
+  const day = (offsetDays) =>
+    startOfLocalDay(today.year, today.month, today.day + offsetDays, timeZone);
+  const monthStart = (offsetMonths) =>
+    startOfLocalDay(today.year, today.month + offsetMonths, 1, timeZone);
+
+  const termInstances = listTermsAround(today.year, terms);
+  const termStart = (term) =>
+    startOfLocalDay(term.start.year, term.start.month, 1, timeZone);
+  const termEnd = (term) =>
+    startOfLocalDay(term.end.year, term.end.month, 1, timeZone);
+  // The running term, or between terms the one that ended last
+  const currentIndex = termInstances.reduce(
+    (found, term, i) => (termStart(term) <= now ? i : found),
+    -1
+  );
+
+  switch (preset) {
+    case "today":
+      return [day(0), day(1)];
+    case "last7d":
+      return [day(-6), now];
+    case "last30d":
+      return [day(-29), now];
+    case "last90d":
+      return [day(-89), now];
+    case "thisMonth":
+      return [monthStart(0), monthStart(1)];
+    case "lastMonth":
+      return [monthStart(-1), monthStart(0)];
+    case "thisTerm": {
+      const term = termInstances[currentIndex];
+      return [termStart(term), termEnd(term)];
+    }
+    case "lastTerm": {
+      const term = termInstances[currentIndex - 1];
+      return [termStart(term), termEnd(term)];
+    }
+    case "ytd": {
+      // Terms are listed a whole academic year at a time, so the year of
+      // the current term starts at the previous multiple of terms.length
+      const yearStart = termInstances[currentIndex - (currentIndex % terms.length)];
+      return [termStart(yearStart), now];
+    }
+    default:
+      throw new Error(`preset must be one of: ${DATE_PRESETS.join(", ")}`);
+  }
+}
+
+/**
+ * A ?from= or ?to= value: a date is local midnight of that day (for `to`, of
+ * the day after so the whole day is included), a timestamp is taken as is
+ */
+function parseBoundary(value, name, timeZone, isEnd) {
+  if (DATE_ONLY.test(value)) {
+    const [year, month, day] = value.split("-").map((n) => parseInt(n));
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+      throw new Error(`${name} is not a valid date: ${value}`);
+    }
+    return startOfLocalDay(year, month, day + (isEnd ? 1 : 0), timeZone);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${name} must be an ISO date or timestamp, got "${value}"`);
+  }
+  // An exact end instant is itself included
+  return isEnd ? new Date(date.getTime() + 1) : date;
+}
+
+/**
+ * The reporting period asked for in a request's query, or null when none
+ * was. Throws (for a 400) on invalid or conflicting parameters.
+ *
+ * @param {Object} query
+ * @param {string} [query.from] ISO date (local midnight) or timestamp
+ * @param {string} [query.to] ISO date (whole day included) or timestamp
+ * @param {string} [query.preset] One of DATE_PRESETS
+ * @param {string} [query.month] With year: that calendar month
+ * @param {string} [query.year]
+ * @param {string} [query.tz] IANA timezone, overrides REPORT_TIMEZONE
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {{startDate: string, endDate: string, from: string, to: string,
+ *   preset: string|null, month: number|null, year: number|null,
+ *   timezone: string, label: string}|null} startDate and endDate are
+ *   inclusive ISO timestamps, from and to the local dates they fall on
+ */
+function resolveDateRange(
+  { from, to, preset, month, year, tz } = {},
+  { now = new Date(), timeZone = DEFAULT_TIMEZONE, terms = DEFAULT_TERMS } = {}
+) {
+  const zone = tz || timeZone;
+  assertTimeZone(zone);
+
+  const hasMonth = !!(month && year);
+  const hasRange = !!(from || to);
+  if (!hasMonth && !hasRange && !preset) return null;
+
+  if ([hasMonth, hasRange, !!preset].filter(Boolean).length > 1) {
+    throw new Error("Use only one of month/year, from/to or preset");
+  }
+
+  let start;
+  let end;
+  let monthNum = null;
+  let yearNum = null;
+
+  if (hasMonth) {
+    monthNum = parseInt(month);
+    yearNum = parseInt(year);
+
+    if (!(monthNum >= 1 && monthNum <= 12)) {
+      throw new Error("Month must be between 1 and 12");
+    }
+    if (!(yearNum >= 2000 && yearNum <= 2100)) {
+      throw new Error("Year must be between 2000 and 2100");
+    }
+
+    start = startOfLocalDay(yearNum, monthNum, 1, zone);
+    end = startOfLocalDay(yearNum, monthNum + 1, 1, zone);
+  } else if (preset) {
+    [start, end] = resolvePreset(preset, now, zone, parseTerms(terms));
+  } else {
+    start = from ? parseBoundary(from, "from", zone, false) : new Date(0);
+    end = to ? parseBoundary(to, "to", zone, true) : now;
+  }
+
+  // Ranges are inclusive: the end is the last millisecond before `end`
+  const endDate = new Date(end.getTime() - 1);
+  if (endDate < start) {
+    throw new Error("from must be before to");
+  }
+
+  const range = {
+    startDate: start.toISOString(),
+    endDate: endDate.toISOString(),
+    from: toLocalDate(start, zone),
+    to: toLocalDate(endDate, zone),
+    preset: preset || null,
+    month: monthNum,
+    year: yearNum,
+    timezone: zone,
+  };
+  range.label = hasMonth
+    ? `${monthNum}/${yearNum}`
+    : `${range.from} to ${range.to}`;
+
+  return range;
+}
+
+// ============================================================================
+// TIME BUCKETS
+// ============================================================================
+// Buckets work on local dates (YYYY-MM-DD from toLocalDate), so the calendar
+// arithmetic below is timezone free.
+
+function addDays(localDate, days) {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First day of the day, week (starting Monday) or month holding a local date
+ */
+function getBucketStart(localDate, interval) {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  if (interval === "week") {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  } else if (interval === "month") {
+    date.setUTCDate(1);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function getNextBucketStart(bucketStart, interval) {
+  if (interval === "month") {
+    const date = new Date(`${bucketStart}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().slice(0, 10);
+  }
+  return addDays(bucketStart, interval === "week" ? 7 : 1);
+}
+
+/**
+ * Start dates of the buckets covering the local dates `from` to `to`
+ */
+function listBuckets(from, to, interval) {
+  const buckets = [];
+  for (
+    let start = getBucketStart(from, interval);
+    start <= to;
+    start = getNextBucketStart(start, interval)
+  ) {
+    buckets.push(start);
+  }
+  return buckets;
+}
+
+/**
+ * The period fields echoed back under `filters` in responses
+ */
+function describeDateRange(range) {
+  return {
+    from: range ? range.from : null,
+    to: range ? range.to : null,
+    preset: range ? range.preset : null,
+    timezone: range ? range.timezone : null,
+  };
+}
+
+module.exports = {
+  DATE_PRESETS,
+  BUCKET_INTERVALS,
+  DEFAULT_TIMEZONE,
+  resolveDateRange,
+  describeDateRange,
+  startOfLocalDay,
+  toLocalDate,
+  addDays,
+  getBucketStart,
+  getNextBucketStart,
+  listBuckets,
+};
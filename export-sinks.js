@@ -0,0 +1,204 @@
+// export-sinks.js
+// Output targets for the CompleteCourseData exporter. Every sink takes the
+// fetched courseData plus the table rows built from it (see
+// CompleteCourseData.buildRows) and writes them somewhere: Supabase, or an
+// offline snapshot as JSON, CSV or XLSX files.
+const fs = require("fs/promises");
+const path = require("path");
+const { createObjectCsvWriter } = require("csv-writer");
+const ExcelJS = require("exceljs");
+
+const SINK_TYPES = ["supabase", "json", "csv", "xlsx"];
+const DEFAULT_OUTPUT_DIR = "exports";
+// Excel rejects sheet names longer than 31 characters
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * Tables written by the file sinks: the Supabase tables, followed by the
+ * exporter's computed statistics
+ */
+function toFileTables(courseData, tables) {
+  return [
+    ...tables.map(({ table, rows }) => ({ table, rows })),
+    { table: "activity_statistics", rows: courseData.activityStatistics },
+    { table: "student_statistics", rows: courseData.studentStatistics },
+  ];
+}
+
+/**
+ * Column names of a table, in first-seen order across all rows
+ */
+function getColumns(rows) {
+  const columns = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => columns.add(key)));
+  return [...columns];
+}
+
+/**
+ * Flatten a value for a spreadsheet cell: dates as ISO strings, arrays and
+ * objects (criteria, conditions, roles) as JSON, missing values as empty
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function courseFileName(courseData) {
+  return `course-${courseData.courseInfo.id}`;
+}
+
+class SupabaseSink {
+  /**
+   * @param {CompleteCourseData} courseDashboard Exporter with a Supabase client
+   */
+  constructor(courseDashboard) {
+    this.type = "supabase";
+    this.courseDashboard = courseDashboard;
+  }
+
+  async write(courseData, tables) {
+    await this.courseDashboard.saveToSupabase(courseData, { tables });
+    return [];
+  }
+}
+
+class JsonFileSink {
+  constructor({ outputDir = DEFAULT_OUTPUT_DIR, log = console.log } = {}) {
+    this.type = "json";
+    this.outputDir = outputDir;
+    this.log = log;
+  }
+
+  /**
+   * Write the whole courseData object, raw Moodle responses included
+   */
+  async write(courseData) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    const file = path.join(this.outputDir, `${courseFileName(courseData)}.json`);
+    await fs.writeFile(file, JSON.stringify(courseData, null, 2));
+
+    this.log(`  📄 Wrote ${file}`);
+    return [file];
+  }
+}
+
+class CsvFileSink {
+  constructor({ outputDir = DEFAULT_OUTPUT_DIR, log = console.log } = {}) {
+    this.type = "csv";
+    this.outputDir = outputDir;
+    this.log = log;
+  }
+
+  /**
+   * Write one CSV per table into a folder named after the course
+   */
+  async write(courseData, tables) {
+    const dir = path.join(this.outputDir, courseFileName(courseData));
+    await fs.mkdir(dir, { recursive: true });
+
+    const files = [];
+    for (const { table, rows } of toFileTables(courseData, tables)) {
+      const file = path.join(dir, `${table}.csv`);
+      const writer = createObjectCsvWriter({
+        path: file,
+        header: getColumns(rows).map((column) => ({
+          id: column,
+          title: column,
+        })),
+      });
+
+      await writer.writeRecords(
+        rows.map((row) =>
+          Object.fromEntries(
+            Object.entries(row).map(([key, value]) => [key, toCellValue(value)])
+          )
+        )
+      );
+      files.push(file);
+    }
+
+    this.log(`  📄 Wrote ${files.length} CSV files to ${dir}`);
+    return files;
+  }
+}
+
+class XlsxFileSink {
+  constructor({ outputDir = DEFAULT_OUTPUT_DIR, log = console.log } = {}) {
+    this.type = "xlsx";
+    this.outputDir = outputDir;
+    this.log = log;
+  }
+
+  /**
+   * Write one workbook per course with a sheet per table
+   */
+  async write(courseData, tables) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(courseData.metadata.fetchedAt);
+
+    for (const { table, rows } of toFileTables(courseData, tables)) {
+      const sheet = workbook.addWorksheet(
+        table.slice(0, MAX_SHEET_NAME_LENGTH)
+      );
+      sheet.columns = getColumns(rows).map((column) => ({
+        header: column,
+        key: column,
+        width: Math.max(12, column.length + 2),
+      }));
+      sheet.getRow(1).font = { bold: true };
+
+      rows.forEach((row) =>
+        sheet.addRow(
+          Object.fromEntries(
+            Object.entries(row).map(([key, value]) => [
+              key,
+              // Keep real dates so Excel can sort and filter on them
+              value instanceof Date ? value : toCellValue(value),
+            ])
+          )
+        )
+      );
+    }
+
+    const file = path.join(this.outputDir, `${courseFileName(courseData)}.xlsx`);
+    await workbook.xlsx.writeFile(file);
+
+    this.log(`  📄 Wrote ${file}`);
+    return [file];
+  }
+}
+
+/**
+ * Build the sinks for a list of sink types, e.g. ["supabase", "csv"]
+ */
+function createSinks(types, { courseDashboard, outputDir, log } = {}) {
+  return types.map((type) => {
+    switch (type) {
+      case "supabase":
+        return new SupabaseSink(courseDashboard);
+      case "json":
+        return new JsonFileSink({ outputDir, log });
+      case "csv":
+        return new CsvFileSink({ outputDir, log });
+      case "xlsx":
+        return new XlsxFileSink({ outputDir, log });
+      default:
+        throw new Error(`Unknown export sink: ${type}`);
+    }
+  });
+}
+
+module.exports = {
+  SINK_TYPES,
+  DEFAULT_OUTPUT_DIR,
+  SupabaseSink,
+  JsonFileSink,
+  CsvFileSink,
+  XlsxFileSink,
+  createSinks,
+};
@@ -0,0 +1,23 @@
+-- Background Moodle sync jobs (see sync-jobs.js)
+CREATE TABLE IF NOT EXISTS sync_jobs (
+  job_id UUID PRIMARY KEY,
+  job_type TEXT NOT NULL,
+  course_id INTEGER,
+  params JSONB DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'queued', -- queued | running | completed | failed
+  step INTEGER NOT NULL DEFAULT 0,
+  total_steps INTEGER NOT NULL DEFAULT 6,
+  step_name TEXT,
+  processed_students INTEGER NOT NULL DEFAULT 0,
+  total_students INTEGER NOT NULL DEFAULT 0,
+  results JSONB,
+  errors JSONB DEFAULT '[]'::jsonb,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_status ON sync_jobs (status);
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_course ON sync_jobs (course_id, created_at DESC);
@@ -0,0 +1,3 @@
+-- Incremental sync watermark per course (see CourseSyncService.syncCourse)
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS moodle_timemodified BIGINT DEFAULT 0;
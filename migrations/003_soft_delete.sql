@@ -0,0 +1,10 @@
+-- Soft-delete markers for rows that disappeared from Moodle
+-- (see CourseSyncService.reconcileEnrollments / reconcileActivities)
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE activity_completions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE course_completions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_deleted ON enrollments (course_id) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_activities_deleted ON activities (course_id) WHERE deleted_at IS NOT NULL;
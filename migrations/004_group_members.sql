@@ -0,0 +1,11 @@
+-- Group memberships synced from Moodle (see CourseSyncService.syncGroupMembers)
+CREATE TABLE IF NOT EXISTS group_members (
+  course_id INTEGER NOT NULL,
+  group_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (course_id, group_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_members_student ON group_members (course_id, student_id);
@@ -0,0 +1,38 @@
+-- Grade report synced from Moodle (see CourseSyncService.syncGrades).
+-- activity_id is the course module id (cmid), matching activities.activity_id;
+-- it is NULL for category and course total items.
+CREATE TABLE IF NOT EXISTS grade_items (
+  course_id INTEGER NOT NULL,
+  grade_item_id INTEGER NOT NULL,
+  item_name TEXT,
+  item_type TEXT,
+  item_module TEXT,
+  activity_id INTEGER,
+  grade_min NUMERIC,
+  grade_max NUMERIC,
+  deleted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (course_id, grade_item_id)
+);
+
+CREATE TABLE IF NOT EXISTS student_grades (
+  course_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  grade_item_id INTEGER NOT NULL,
+  activity_id INTEGER,
+  grade_raw NUMERIC,
+  grade_formatted TEXT,
+  percentage NUMERIC(5, 2),
+  date_submitted TIMESTAMPTZ,
+  date_graded TIMESTAMPTZ,
+  feedback TEXT,
+  deleted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (course_id, student_id, grade_item_id),
+  FOREIGN KEY (course_id, grade_item_id) REFERENCES grade_items (course_id, grade_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_grade_items_activity ON grade_items (course_id, activity_id);
+CREATE INDEX IF NOT EXISTS idx_student_grades_activity ON student_grades (course_id, activity_id);
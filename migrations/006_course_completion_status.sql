@@ -0,0 +1,15 @@
+-- Moodle's own course completion status (see
+-- CourseSyncService.fetchCourseCompletionStatuses). is_course_completed and
+-- completion_date now come from Moodle when the course has completion
+-- criteria (completion_source = 'moodle'); activities_completed and
+-- completion_percentage stay derived from activity completions.
+ALTER TABLE course_completions ADD COLUMN IF NOT EXISTS activities_completed BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE course_completions ADD COLUMN IF NOT EXISTS completion_source TEXT NOT NULL DEFAULT 'activities';
+ALTER TABLE course_completions ADD COLUMN IF NOT EXISTS completion_aggregation TEXT;
+ALTER TABLE course_completions ADD COLUMN IF NOT EXISTS criteria_total INTEGER;
+ALTER TABLE course_completions ADD COLUMN IF NOT EXISTS criteria_completed INTEGER;
+ALTER TABLE course_completions ADD COLUMN IF NOT EXISTS completion_criteria JSONB;
+
+-- Rows written before this migration were derived from activities
+UPDATE course_completions SET activities_completed = is_course_completed
+  WHERE completion_source = 'activities';
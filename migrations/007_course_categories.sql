@@ -0,0 +1,19 @@
+-- Moodle course category tree (see CourseSyncService.syncCategories).
+-- path lists the category IDs from the root, e.g. '/1/4/9'.
+CREATE TABLE IF NOT EXISTS course_categories (
+  category_id INTEGER PRIMARY KEY,
+  category_name TEXT NOT NULL,
+  id_number TEXT,
+  description TEXT,
+  parent_id INTEGER,
+  path TEXT NOT NULL,
+  depth INTEGER,
+  sort_order INTEGER,
+  visible BOOLEAN NOT NULL DEFAULT TRUE,
+  moodle_course_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_categories_parent ON course_categories (parent_id);
+CREATE INDEX IF NOT EXISTS idx_courses_category ON courses (category_id);
@@ -0,0 +1,21 @@
+-- Non-student course participants and their roles (see
+-- CourseSyncService.syncStaff). enrollments keeps holding students only.
+CREATE TABLE IF NOT EXISTS course_staff (
+  course_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  full_name TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  email TEXT,
+  roles JSONB NOT NULL DEFAULT '[]',
+  role_shortnames TEXT[] NOT NULL DEFAULT '{}',
+  primary_role TEXT,
+  last_course_access TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (course_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_staff_user ON course_staff (user_id);
+CREATE INDEX IF NOT EXISTS idx_course_staff_roles ON course_staff USING GIN (role_shortnames);
@@ -0,0 +1,24 @@
+-- Engagement data (see CourseSyncService.saveAccessSnapshots).
+-- enrollment_start/enrollment_end hold the Moodle enrolment timestart/timeend
+-- when the web service returns them; enrollment_date falls back to first
+-- access otherwise.
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS enrollment_start TIMESTAMPTZ;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS enrollment_end TIMESTAMPTZ;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS first_access TIMESTAMPTZ;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS last_access TIMESTAMPTZ;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS last_course_access TIMESTAMPTZ;
+
+-- Last-access values as seen by each sync, one row per student and day
+CREATE TABLE IF NOT EXISTS course_access_snapshots (
+  course_id INTEGER NOT NULL,
+  student_id INTEGER NOT NULL,
+  snapshot_date DATE NOT NULL,
+  last_course_access TIMESTAMPTZ,
+  last_access TIMESTAMPTZ,
+  first_access TIMESTAMPTZ,
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (course_id, student_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_snapshots_course_access
+  ON course_access_snapshots (course_id, last_course_access);
@@ -0,0 +1,13 @@
+-- Activity visibility, availability restrictions and dates from
+-- core_course_get_contents (see parseAvailabilityWindow / parseActivityDates
+-- in course-sync.js). availability_start/availability_end already exist.
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS visible_on_course_page BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS user_visible BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS published BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS availability_info TEXT;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS availability_conditions JSONB;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS open_date TIMESTAMPTZ;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS close_date TIMESTAMPTZ;
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS due_date TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_activities_due ON activities (course_id, due_date);
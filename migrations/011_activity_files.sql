@@ -0,0 +1,22 @@
+-- Files, links and page content of each activity from the module `contents`
+-- of core_course_get_contents (see CourseSyncService.syncActivityFiles).
+-- file_key is file_path + file_name, unique within an activity.
+CREATE TABLE IF NOT EXISTS activity_files (
+  course_id INTEGER NOT NULL,
+  activity_id INTEGER NOT NULL,
+  file_key TEXT NOT NULL,
+  content_type TEXT,
+  file_name TEXT NOT NULL,
+  file_path TEXT NOT NULL DEFAULT '/',
+  file_size BIGINT NOT NULL DEFAULT 0,
+  mime_type TEXT,
+  file_url TEXT,
+  is_external BOOLEAN NOT NULL DEFAULT FALSE,
+  author TEXT,
+  license TEXT,
+  time_created TIMESTAMPTZ,
+  time_modified TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (course_id, activity_id, file_key)
+);
@@ -0,0 +1,5 @@
+-- Position of each activity within its section, in course page order, from
+-- the module order of core_course_get_contents (see toActivityRows in
+-- sync-rows.js). Rows synced before this column existed stay NULL until the
+-- next course sync.
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS section_position INTEGER;
@@ -0,0 +1,62 @@
+-- Versions of the summary views that skip rows the sync soft-deleted
+-- (003_soft_delete.sql): enrollments and activities that disappeared from
+-- Moodle and their completions. They are added next to the original views,
+-- which stay as they are for anything else that reads them; the API reads the
+-- _v2 views (same definitions as VIEWS in sql-schema.js).
+-- activity_completion_by_course_v2 still lists removed activities, with their
+-- deleted_at, so the activities endpoint can include them on request.
+
+CREATE OR REPLACE VIEW course_enrollment_summary_v2 AS
+  SELECT c.*,
+    (SELECT COUNT(*) FROM enrollments e
+      WHERE e.course_id = c.course_id AND e.deleted_at IS NULL) AS total_students,
+    (SELECT COUNT(*) FROM enrollments e
+      WHERE e.course_id = c.course_id AND e.deleted_at IS NULL
+        AND e.status = 'active') AS active_students,
+    (SELECT COUNT(*) FROM activities a
+      WHERE a.course_id = c.course_id AND a.deleted_at IS NULL) AS total_activities,
+    (SELECT COUNT(*) FROM course_completions cc
+      WHERE cc.course_id = c.course_id AND cc.deleted_at IS NULL
+        AND cc.is_course_completed = TRUE) AS completed_students,
+    (SELECT ROUND(AVG(cc.completion_percentage), 2) FROM course_completions cc
+      WHERE cc.course_id = c.course_id AND cc.deleted_at IS NULL) AS avg_completion_percentage
+  FROM courses c;
+
+CREATE OR REPLACE VIEW activity_completion_by_course_v2 AS
+  SELECT a.course_id, a.activity_id, a.activity_name, a.activity_type,
+    a.section_number, a.section_name, a.has_completion, a.deleted_at,
+    s.total_students,
+    (SELECT COUNT(*) FROM activity_completions ac
+      WHERE ac.course_id = a.course_id AND ac.activity_id = a.activity_id
+        AND ac.deleted_at IS NULL AND ac.is_completed = TRUE) AS students_completed,
+    CASE WHEN s.total_students > 0 THEN ROUND(100.0 *
+      (SELECT COUNT(*) FROM activity_completions ac
+        WHERE ac.course_id = a.course_id AND ac.activity_id = a.activity_id
+          AND ac.deleted_at IS NULL AND ac.is_completed = TRUE)
+      / s.total_students, 2) ELSE 0 END AS completion_rate
+  FROM activities a
+  JOIN (SELECT c.course_id,
+          (SELECT COUNT(*) FROM enrollments e
+            WHERE e.course_id = c.course_id AND e.deleted_at IS NULL) AS total_students
+        FROM courses c) s ON s.course_id = a.course_id;
+
+CREATE OR REPLACE VIEW course_completion_stats_v2 AS
+  SELECT c.course_id, c.full_name,
+    (SELECT COUNT(*) FROM enrollments e
+      WHERE e.course_id = c.course_id AND e.deleted_at IS NULL) AS total_students,
+    (SELECT COUNT(*) FROM enrollments e
+      WHERE e.course_id = c.course_id AND e.deleted_at IS NULL) AS enrolled_students,
+    (SELECT COUNT(*) FROM activities a
+      WHERE a.course_id = c.course_id AND a.deleted_at IS NULL) AS total_activities,
+    (SELECT COUNT(*) FROM activities a
+      WHERE a.course_id = c.course_id AND a.deleted_at IS NULL
+        AND a.has_completion = TRUE) AS trackable_activities,
+    (SELECT COUNT(*) FROM activity_completions ac
+      WHERE ac.course_id = c.course_id AND ac.deleted_at IS NULL
+        AND ac.is_completed = TRUE) AS total_completions,
+    (SELECT COUNT(*) FROM course_completions cc
+      WHERE cc.course_id = c.course_id AND cc.deleted_at IS NULL
+        AND cc.is_course_completed = TRUE) AS students_completed_course,
+    (SELECT ROUND(AVG(cc.completion_percentage), 2) FROM course_completions cc
+      WHERE cc.course_id = c.course_id AND cc.deleted_at IS NULL) AS avg_completion_percentage
+  FROM courses c;
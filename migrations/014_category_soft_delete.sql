@@ -0,0 +1,4 @@
+-- Categories deleted in Moodle are marked instead of removed, like the
+-- course-scoped tables in 003_soft_delete.sql (see
+-- CourseSyncService.syncCategories).
+ALTER TABLE course_categories ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
@@ -0,0 +1,19 @@
+-- student_course_progress without students unenrolled in Moodle
+-- (003_soft_delete.sql), next to the original view like the _v2 views in
+-- 013_soft_delete_views.sql. Same definition as VIEWS in sql-schema.js; the
+-- original is still read when removed students are asked for.
+
+CREATE OR REPLACE VIEW student_course_progress_v2 AS
+  SELECT e.course_id, c.full_name AS course_name, e.student_id,
+    e.student_name, e.student_email, e.status, e.enrollment_date,
+    e.last_course_access,
+    COALESCE(cc.total_activities, 0) AS total_activities,
+    COALESCE(cc.completed_activities, 0) AS completed_activities,
+    COALESCE(cc.completion_percentage, 0) AS completion_percentage,
+    COALESCE(cc.is_course_completed, FALSE) AS is_course_completed,
+    cc.completion_date
+  FROM enrollments e
+  JOIN courses c ON c.course_id = e.course_id
+  LEFT JOIN course_completions cc
+    ON cc.course_id = e.course_id AND cc.student_id = e.student_id
+  WHERE e.deleted_at IS NULL;
@@ -0,0 +1,400 @@
+// moodle-client.js
+// Shared Moodle web-service client used by the API server sync routes and
+// the CompleteCourseData exporter.
+const axios = require("axios");
+const { RateLimiter, sleep } = require("./concurrency");
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 500;
+const DEFAULT_MAX_RETRY_DELAY = 10000;
+const DEFAULT_MAX_REQUESTS_PER_SECOND = 10;
+const REST_ENDPOINT = "/webservice/rest/server.php";
+
+// Moodle error codes caused by a temporary database problem on the Moodle
+// host. Every other Moodle exception (invalidtoken, accessexception,
+// nocriteriaset, invalidparameter, ...) will fail the same way on a retry.
+const TRANSIENT_ERRORCODES = new Set([
+  "dmlreadexception",
+  "dmlwriteexception",
+  "dbconnectionfailed",
+]);
+
+const ACCESS_DENIED_ERRORCODES = new Set([
+  "accessexception",
+  "nopermissions",
+  "servicenotavailable",
+]);
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  "ECONNABORTED",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ERR_NETWORK",
+]);
+
+/**
+ * Error raised when Moodle answers with an exception payload
+ * ({ exception, errorcode, message, debuginfo }) or an error payload
+ * ({ error, errorcode }).
+ */
+class MoodleApiError extends Error {
+  constructor(message, { wsfunction, errorcode, exception, debuginfo } = {}) {
+    super(message);
+    this.name = "MoodleApiError";
+    this.wsfunction = wsfunction || null;
+    this.errorcode = errorcode || null;
+    this.exception = exception || null;
+    this.debuginfo = debuginfo || null;
+    this.retryable = TRANSIENT_ERRORCODES.has(this.errorcode);
+  }
+
+  /**
+   * True when Moodle reports that the course has no completion criteria,
+   * which is expected for courses without completion tracking
+   */
+  static isNoCompletionCriteria(error) {
+    return (
+      (error instanceof MoodleApiError && error.errorcode === "nocriteriaset") ||
+      (!!error && /No completion criteria/i.test(error.message || ""))
+    );
+  }
+
+  /**
+   * True when the token is not allowed to call the function at all (not
+   * part of the web service, or missing capability)
+   */
+  static isAccessDenied(error) {
+    return (
+      error instanceof MoodleApiError &&
+      (ACCESS_DENIED_ERRORCODES.has(error.errorcode) ||
+        error.exception === "webservice_access_exception")
+    );
+  }
+
+  static fromResponse(wsfunction, data) {
+    return new MoodleApiError(
+      `Moodle API Error: ${data.message || data.error || "Unknown error"}`,
+      {
+        wsfunction,
+        errorcode: data.errorcode,
+        exception: data.exception,
+        debuginfo: data.debuginfo,
+      }
+    );
+  }
+
+  static isErrorPayload(data) {
+    return (
+      !!data &&
+      typeof data === "object" &&
+      !Array.isArray(data) &&
+      (!!data.exception || (!!data.error && !!data.errorcode))
+    );
+  }
+}
+
+/**
+ * Flatten nested params into Moodle's bracket notation, e.g.
+ * { options: [{ name: "a", value: 1 }] } -> options[0][name]=a&options[0][value]=1
+ * and { options: { ids: [5] } } -> options[ids][0]=5.
+ * Booleans are sent as 1/0; null and undefined values are dropped.
+ */
+function flattenParams(params, prefix = "", pairs = []) {
+  for (const [key, value] of Object.entries(params)) {
+    const name = prefix ? `${prefix}[${key}]` : key;
+
+    if (value === null || value === undefined) {
+      continue;
+    } else if (typeof value === "object" && !(value instanceof Date)) {
+      flattenParams(value, name, pairs);
+    } else if (typeof value === "boolean") {
+      pairs.push([name, value ? "1" : "0"]);
+    } else if (value instanceof Date) {
+      pairs.push([name, String(Math.floor(value.getTime() / 1000))]);
+    } else {
+      pairs.push([name, String(value)]);
+    }
+  }
+
+  return pairs;
+}
+
+/**
+ * Decide whether a failed call is worth repeating: network errors, timeouts,
+ * 429 and 5xx responses are; Moodle exceptions only for transient DB errors.
+ */
+function isRetryableError(error) {
+  if (error instanceof MoodleApiError) {
+    return error.retryable;
+  }
+
+  if (error.response) {
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+
+  // Timeouts are ECONNABORTED/ETIMEDOUT; other errors without a response
+  // (bad config, a host that does not resolve, cancelled) would fail again.
+  // EAI_AGAIN is the temporary DNS failure, ENOTFOUND a wrong MOODLE_URL.
+  return RETRYABLE_NETWORK_CODES.has(error.code);
+}
+
+function envNumber(name) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+let sharedRateLimiter = null;
+
+/**
+ * Process-wide limiter (MOODLE_MAX_RPS, default 10 requests/second) shared
+ * by every client that is not given its own, so parallel syncs together
+ * stay under the cap
+ */
+function getSharedRateLimiter() {
+  if (!sharedRateLimiter) {
+    sharedRateLimiter = new RateLimiter(
+      envNumber("MOODLE_MAX_RPS") ?? DEFAULT_MAX_REQUESTS_PER_SECOND
+    );
+  }
+  return sharedRateLimiter;
+}
+
+class MoodleClient {
+  /**
+   * @param {string} moodleUrl Site URL or the full REST server.php endpoint
+   * @param {string} token Web service token
+   * @param {object} [options]
+   * @param {"get"|"post"} [options.method="post"] HTTP method for every call
+   * @param {number} [options.timeout=30000] Request timeout in milliseconds
+   * @param {number} [options.retries=3] Extra attempts after a retryable failure
+   * @param {number} [options.retryDelay=500] Base backoff delay in milliseconds
+   * @param {number} [options.maxRetryDelay=10000] Upper bound for one backoff
+   * @param {RateLimiter|null} [options.rateLimiter] Limiter applied to every
+   *   request; defaults to the shared process-wide limiter, null disables it
+   * @param {Function} [options.log=console.log] Where retry notices go
+   */
+  constructor(moodleUrl, token, options = {}) {
+    // A missing URL only fails once a call is made, so servers can start
+    // without Moodle configured
+    const url = (moodleUrl || "").replace(/\/$/, ""); // Remove trailing slash
+    this.baseUrl =
+      !url || url.endsWith("server.php") ? url : `${url}${REST_ENDPOINT}`;
+    this.token = token;
+    this.method = (options.method || "post").toLowerCase();
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.maxRetryDelay = options.maxRetryDelay ?? DEFAULT_MAX_RETRY_DELAY;
+    this.rateLimiter =
+      options.rateLimiter !== undefined
+        ? options.rateLimiter
+        : getSharedRateLimiter();
+    this.log = options.log || console.log;
+  }
+
+  /**
+   * Build a client from MOODLE_URL / MOODLE_TOKEN; MOODLE_TIMEOUT_MS,
+   * MOODLE_RETRIES and MOODLE_RETRY_DELAY_MS override the defaults
+   */
+  static fromEnv(options = {}) {
+    return new MoodleClient(process.env.MOODLE_URL, process.env.MOODLE_TOKEN, {
+      timeout: envNumber("MOODLE_TIMEOUT_MS"),
+      retries: envNumber("MOODLE_RETRIES"),
+      retryDelay: envNumber("MOODLE_RETRY_DELAY_MS"),
+      ...options,
+    });
+  }
+
+  /**
+   * Backoff before retry number `attempt` (1-based): exponential with
+   * jitter so parallel callers do not retry in lockstep
+   */
+  getRetryDelay(attempt) {
+    const delay = Math.min(
+      this.maxRetryDelay,
+      this.retryDelay * 2 ** (attempt - 1)
+    );
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * Call any Moodle Web Service function, retrying transient failures.
+   * The final error is thrown with `attempts` set and not logged here:
+   * callers decide whether it is expected (e.g. nocriteriaset) or worth
+   * reporting.
+   */
+  async callFunction(functionName, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.request(functionName, params);
+      } catch (error) {
+        if (attempt >= this.retries || !isRetryableError(error)) {
+          error.attempts = attempt + 1;
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt + 1);
+        this.log(
+          `   ↻ Retrying ${functionName} (${attempt + 1}/${this.retries}) in ${delay}ms: ${error.message}`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Perform a single web service request
+   */
+  async request(functionName, params = {}) {
+    if (!this.baseUrl) {
+      throw new Error("Moodle URL must be provided (MOODLE_URL)");
+    }
+
+    if (this.rateLimiter) {
+      await this.rateLimiter.acquire();
+    }
+
+    const body = new URLSearchParams(
+      flattenParams({
+        wstoken: this.token,
+        wsfunction: functionName,
+        moodlewsrestformat: "json",
+        ...params,
+      })
+    );
+
+    const response =
+      this.method === "get"
+        ? await axios.get(this.baseUrl, {
+            params: body,
+            timeout: this.timeout,
+          })
+        : await axios.post(this.baseUrl, body.toString(), {
+            headers: {
+              "Content-Type": "application/x-www-form-urlencoded",
+            },
+            timeout: this.timeout,
+          });
+
+    if (MoodleApiError.isErrorPayload(response.data)) {
+      throw MoodleApiError.fromResponse(functionName, response.data);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Get all courses, or only the given course IDs
+   */
+  async getCourses(courseIds = null) {
+    const params = courseIds ? { options: { ids: courseIds } } : {};
+    return await this.callFunction("core_course_get_courses", params);
+  }
+
+  /**
+   * Get course categories. `criteria` are Moodle key/value pairs, e.g.
+   * [{ key: "ids", value: "3,7" }]; without criteria every category the
+   * token can see is returned.
+   */
+  async getCategories(criteria = []) {
+    return await this.callFunction("core_course_get_categories", {
+      ...(criteria.length > 0 && { criteria }),
+      addsubcategories: true,
+    });
+  }
+
+  /**
+   * Get enrolled users in a course. `options` are passed as Moodle
+   * name/value pairs, e.g. [{ name: "groupid", value: 3 }]
+   */
+  async getEnrolledUsers(courseId, options = []) {
+    return await this.callFunction("core_enrol_get_enrolled_users", {
+      courseid: courseId,
+      ...(options.length > 0 && { options }),
+    });
+  }
+
+  /**
+   * Get course contents (sections and activities)
+   */
+  async getCourseContents(courseId) {
+    return await this.callFunction("core_course_get_contents", {
+      courseid: courseId,
+      options: [
+        {
+          name: "excludecontents",
+          value: false,
+        },
+      ],
+    });
+  }
+
+  /**
+   * Get course completion status for a user
+   */
+  async getCourseCompletionStatus(courseId, userId) {
+    return await this.callFunction(
+      "core_completion_get_course_completion_status",
+      {
+        courseid: courseId,
+        userid: userId,
+      }
+    );
+  }
+
+  /**
+   * Get activities completion status for a user
+   */
+  async getActivitiesCompletionStatus(courseId, userId) {
+    return await this.callFunction(
+      "core_completion_get_activities_completion_status",
+      {
+        courseid: courseId,
+        userid: userId,
+      }
+    );
+  }
+
+  /**
+   * Get user grade report items (activity, category and course totals) as
+   * { usergrades: [{ userid, gradeitems }] }. A userId of 0 returns every
+   * user in the course the token may view grades for.
+   */
+  async getGradeItems(courseId, userId = 0) {
+    return await this.callFunction("gradereport_user_get_grade_items", {
+      courseid: courseId,
+      userid: userId,
+    });
+  }
+
+  /**
+   * Get all groups in a course
+   */
+  async getCourseGroups(courseId) {
+    return await this.callFunction("core_group_get_course_groups", {
+      courseid: courseId,
+    });
+  }
+
+  /**
+   * Get members of one or more groups as [{ groupid, userids }]
+   */
+  async getGroupMembers(groupIds) {
+    return await this.callFunction("core_group_get_group_members", {
+      groupids: [].concat(groupIds),
+    });
+  }
+}
+
+module.exports = {
+  MoodleClient,
+  MoodleApiError,
+  flattenParams,
+  isRetryableError,
+  getSharedRateLimiter,
+};
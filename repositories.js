@@ -0,0 +1,580 @@
+// repositories.js
+// Queries behind the API routes for courses, enrollments, activities,
+// completions and groups. They only use the supabase-js style builder that
+// every storage backend answers (see storage.js), so the routes run the same
+// against Supabase, SQLite or Postgres. Methods return rows and throw the
+// storage error instead of handing back `{ data, error }`.
+
+/**
+ * Await a query, throw its error, return its rows
+ */
+async function run(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+async function runCount(query) {
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+class CourseRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findById(courseId, columns = "*") {
+    return run(
+      this.db
+        .from("courses")
+        .select(columns)
+        .eq("course_id", parseInt(courseId))
+        .maybeSingle()
+    );
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.courseIds] Only these courses
+   * @param {boolean} [options.visible] Only visible (true) or hidden (false)
+   */
+  async list({ columns = "*", courseIds, visible } = {}) {
+    let query = this.db.from("courses").select(columns);
+
+    if (courseIds) query = query.in("course_id", courseIds);
+    if (visible !== undefined) query = query.eq("visible", visible);
+
+    return run(query.order("full_name"));
+  }
+
+  async idsInCategories(categoryIds) {
+    const rows = await run(
+      this.db
+        .from("courses")
+        .select("course_id")
+        .in("category_id", categoryIds)
+    );
+    return rows.map((c) => c.course_id);
+  }
+
+  /**
+   * IDs of the courses in a category, and with `includeSubcategories` in
+   * every category below it (matched on the synced category path)
+   */
+  async idsInCategory(categoryId, { includeSubcategories = false } = {}) {
+    const id = parseInt(categoryId);
+    let categoryIds = [id];
+
+    if (includeSubcategories) {
+      const subcategories = await run(
+        this.db
+          .from("course_categories")
+          .select("category_id")
+          .like("path", `%/${id}/%`)
+          .is("deleted_at", null)
+      );
+      categoryIds = categoryIds.concat(subcategories.map((c) => c.category_id));
+    }
+
+    return this.idsInCategories(categoryIds);
+  }
+
+  /**
+   * IDs of the courses where `userId` currently holds one of `roles`
+   */
+  async idsWithStaff(userId, roles) {
+    const rows = await run(
+      this.db
+        .from("course_staff")
+        .select("course_id")
+        .is("deleted_at", null)
+        .eq("user_id", parseInt(userId))
+        .overlaps("role_shortnames", roles)
+    );
+    return rows.map((row) => row.course_id);
+  }
+
+  /**
+   * IDs of the courses whose `field` (a date column) is within [from, to]
+   */
+  async idsWithDateBetween(field, from, to) {
+    const rows = await run(
+      this.db
+        .from("courses")
+        .select("course_id")
+        .gte(field, from)
+        .lte(field, to)
+    );
+    return rows.map((c) => c.course_id);
+  }
+
+  /**
+   * Rows of the course_enrollment_summary_v2 view, ordered by name
+   */
+  async listSummaries({ visible, search } = {}) {
+    let query = this.db.from("course_enrollment_summary_v2").select("*");
+
+    if (visible !== undefined) query = query.eq("visible", visible);
+    if (search) {
+      query = query.or(
+        `full_name.ilike.%${search}%,short_name.ilike.%${search}%`
+      );
+    }
+
+    return run(query.order("full_name"));
+  }
+
+  /**
+   * The course's row of the course_completion_stats_v2 view
+   */
+  async getCompletionStats(courseId) {
+    return run(
+      this.db
+        .from("course_completion_stats_v2")
+        .select("*")
+        .eq("course_id", parseInt(courseId))
+        .single()
+    );
+  }
+}
+
+class EnrollmentRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async find(courseId, studentId) {
+    return run(
+      this.db
+        .from("enrollments")
+        .select("*")
+        .eq("course_id", parseInt(courseId))
+        .eq("student_id", parseInt(studentId))
+        .maybeSingle()
+    );
+  }
+
+  /**
+   * Any enrollment of a student, for their name outside a course
+   */
+  async findAnyByStudent(studentId) {
+    return run(
+      this.db
+        .from("enrollments")
+        .select("*")
+        .eq("student_id", parseInt(studentId))
+        .limit(1)
+        .maybeSingle()
+    );
+  }
+
+  /**
+   * Enrollments still present in Moodle, of one course, of `courseIds`, or
+   * of every course when both are left out
+   */
+  async list(courseId, { columns = "*", courseIds, studentIds } = {}) {
+    let query = this.db
+      .from("enrollments")
+      .select(columns)
+      .is("deleted_at", null);
+
+    if (courseId !== undefined) {
+      query = query.eq("course_id", parseInt(courseId));
+    }
+    if (courseIds) query = query.in("course_id", courseIds);
+    if (studentIds) query = query.in("student_id", studentIds);
+
+    return run(query);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.activeOnly] Only Moodle status "active"
+   * @param {number[]} [options.studentIds] Only these students
+   */
+  async count(
+    courseId,
+    { activeOnly = false, includeRemoved = false, studentIds } = {}
+  ) {
+    let query = this.db
+      .from("enrollments")
+      .select("*", { count: "exact", head: true })
+      .eq("course_id", parseInt(courseId));
+
+    if (!includeRemoved) query = query.is("deleted_at", null);
+    if (activeOnly) query = query.eq("status", "active");
+    if (studentIds) query = query.in("student_id", studentIds);
+
+    return runCount(query);
+  }
+
+  /**
+   * A page of the student_course_progress_v2 view with the total row count.
+   * With `includeRemoved` the original student_course_progress view is read,
+   * which also lists students unenrolled in Moodle.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.courseId]
+   * @param {boolean} [options.includeRemoved] Also students unenrolled in Moodle
+   * @param {number[]} [options.studentIds]
+   * @param {boolean} [options.isCompleted] Moodle course completion status
+   * @param {number} [options.minCompletion] Lowest completion_percentage
+   * @param {number} [options.maxCompletion] Highest completion_percentage
+   * @param {string} [options.search] Matched against name and email
+   * @param {{from: number, to: number}} [options.range] Row range, inclusive
+   * @param {{column: string, ascending?: boolean}} [options.orderBy]
+   * @returns {Promise<{rows: Object[], count: number}>}
+   */
+  async listProgress({
+    courseId,
+    includeRemoved = false,
+    studentIds,
+    isCompleted,
+    minCompletion,
+    maxCompletion,
+    search,
+    range,
+    orderBy = { column: "student_name" },
+  } = {}) {
+    let query = this.db
+      .from(
+        includeRemoved ? "student_course_progress" : "student_course_progress_v2"
+      )
+      .select("*", { count: range ? "exact" : undefined });
+
+    if (courseId !== undefined) {
+      query = query.eq("course_id", parseInt(courseId));
+    }
+
+    if (studentIds) query = query.in("student_id", studentIds);
+    if (isCompleted !== undefined) {
+      query = query.eq("is_course_completed", isCompleted);
+    }
+    if (minCompletion !== undefined) {
+      query = query.gte("completion_percentage", minCompletion);
+    }
+    if (maxCompletion !== undefined) {
+      query = query.lte("completion_percentage", maxCompletion);
+    }
+    if (search) {
+      query = query.or(
+        `student_name.ilike.%${search}%,student_email.ilike.%${search}%`
+      );
+    }
+    if (range) query = query.range(range.from, range.to);
+
+    const { data, error, count } = await query.order(orderBy.column, {
+      ascending: orderBy.ascending !== false,
+    });
+    if (error) throw error;
+    return { rows: data, count };
+  }
+}
+
+class ActivityRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Activities of one course, of `courseIds`, or of every course when both
+   * are left out
+   *
+   * @param {Object} [options]
+   * @param {number[]} [options.courseIds]
+   * @param {boolean} [options.trackableOnly] Only activities with completion tracking
+   * @param {boolean} [options.includeRemoved] Also activities deleted in Moodle
+   * @param {number} [options.sectionNumber]
+   * @param {string} [options.activityType]
+   */
+  async list(
+    courseId,
+    {
+      columns = "*",
+      courseIds,
+      trackableOnly = false,
+      includeRemoved = false,
+      sectionNumber,
+      activityType,
+    } = {}
+  ) {
+    let query = this.db.from("activities").select(columns);
+
+    if (courseId !== undefined) {
+      query = query.eq("course_id", parseInt(courseId));
+    }
+    if (courseIds) query = query.in("course_id", courseIds);
+    if (!includeRemoved) query = query.is("deleted_at", null);
+    if (trackableOnly) query = query.eq("has_completion", true);
+    if (sectionNumber !== undefined) {
+      query = query.eq("section_number", parseInt(sectionNumber));
+    }
+    if (activityType) query = query.eq("activity_type", activityType);
+
+    return run(query);
+  }
+
+  /**
+   * Activities of a course in course page order: by section, then position
+   * in the section (activity id for rows synced without a position)
+   */
+  async listInCourseOrder(
+    courseId,
+    { columns = "*", trackableOnly = false } = {}
+  ) {
+    let query = this.db
+      .from("activities")
+      .select(columns)
+      .eq("course_id", parseInt(courseId))
+      .is("deleted_at", null);
+
+    if (trackableOnly) query = query.eq("has_completion", true);
+
+    return run(
+      query
+        .order("section_number")
+        .order("section_position")
+        .order("activity_id")
+    );
+  }
+
+  async count(courseId, { trackableOnly = false, includeRemoved = false } = {}) {
+    let query = this.db
+      .from("activities")
+      .select("*", { count: "exact", head: true })
+      .eq("course_id", parseInt(courseId));
+
+    if (!includeRemoved) query = query.is("deleted_at", null);
+    if (trackableOnly) query = query.eq("has_completion", true);
+
+    return runCount(query);
+  }
+
+  /**
+   * Rows of the activity_completion_by_course_v2 view, ordered by section
+   * and name, without activities deleted in Moodle unless `includeRemoved`
+   */
+  async listCompletionRates(
+    courseId,
+    { includeRemoved = false, sectionNumber, activityType } = {}
+  ) {
+    let query = this.db
+      .from("activity_completion_by_course_v2")
+      .select("*")
+      .eq("course_id", parseInt(courseId));
+
+    if (!includeRemoved) query = query.is("deleted_at", null);
+    if (sectionNumber !== undefined) {
+      query = query.eq("section_number", parseInt(sectionNumber));
+    }
+    if (activityType) query = query.eq("activity_type", activityType);
+
+    return run(query.order("section_number").order("activity_name"));
+  }
+}
+
+class CompletionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Activity completions still present in Moodle
+   *
+   * @param {Object} [options]
+   * @param {number} [options.courseId] Leave out for every course
+   * @param {number[]} [options.courseIds] Several courses instead of one
+   * @param {number[]} [options.studentIds]
+   * @param {boolean} [options.completedOnly] Only is_completed rows
+   * @param {{startDate: string, endDate: string}} [options.between] Only rows
+   *   with time_completed in that range
+   */
+  async listActivityCompletions({
+    columns = "*",
+    courseId,
+    courseIds,
+    studentIds,
+    completedOnly = false,
+    between,
+  } = {}) {
+    let query = this.db
+      .from("activity_completions")
+      .select(columns)
+      .is("deleted_at", null);
+
+    if (courseId !== undefined) {
+      query = query.eq("course_id", parseInt(courseId));
+    }
+    if (courseIds) query = query.in("course_id", courseIds);
+    if (studentIds) query = query.in("student_id", studentIds);
+    if (completedOnly) query = query.eq("is_completed", true);
+    if (between) {
+      query = query
+        .gte("time_completed", between.startDate)
+        .lte("time_completed", between.endDate);
+    }
+
+    return run(query);
+  }
+
+  /**
+   * Every activity completion row of a course, removed ones included
+   */
+  async countActivityCompletions(courseId, { includeRemoved = false } = {}) {
+    let query = this.db
+      .from("activity_completions")
+      .select("*", { count: "exact", head: true })
+      .eq("course_id", parseInt(courseId));
+
+    if (!includeRemoved) query = query.is("deleted_at", null);
+
+    return runCount(query);
+  }
+
+  /**
+   * Course completions still present in Moodle
+   *
+   * @param {Object} [options]
+   * @param {number[]} [options.courseIds] Leave out for every course
+   * @param {number[]} [options.studentIds]
+   * @param {{startDate: string, endDate: string}} [options.completedBetween]
+   *   Only students who completed the course in that range
+   */
+  async listCourseCompletions({
+    columns = "*",
+    courseIds,
+    studentIds,
+    completedBetween,
+  } = {}) {
+    let query = this.db
+      .from("course_completions")
+      .select(columns)
+      .is("deleted_at", null);
+
+    if (courseIds) query = query.in("course_id", courseIds);
+    if (studentIds) query = query.in("student_id", studentIds);
+    if (completedBetween) {
+      query = query
+        .eq("is_course_completed", true)
+        .gte("completion_date", completedBetween.startDate)
+        .lte("completion_date", completedBetween.endDate);
+    }
+
+    return run(query);
+  }
+
+  async findCourseCompletion(courseId, studentId, columns = "*") {
+    return run(
+      this.db
+        .from("course_completions")
+        .select(columns)
+        .eq("course_id", parseInt(courseId))
+        .eq("student_id", parseInt(studentId))
+        .maybeSingle()
+    );
+  }
+}
+
+class GroupRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * A group still present in Moodle, optionally only within one course
+   */
+  async findById(groupId, { courseId } = {}) {
+    let query = this.db
+      .from("groups")
+      .select("*")
+      .is("deleted_at", null)
+      .eq("group_id", parseInt(groupId));
+
+    if (courseId !== undefined) {
+      query = query.eq("course_id", parseInt(courseId));
+    }
+
+    return run(query.maybeSingle());
+  }
+
+  /**
+   * Groups still present in Moodle, ordered by name
+   */
+  async list({ columns = "*", courseId, courseIds } = {}) {
+    let query = this.db.from("groups").select(columns).is("deleted_at", null);
+
+    if (courseId !== undefined) {
+      query = query.eq("course_id", parseInt(courseId));
+    }
+    if (courseIds) query = query.in("course_id", courseIds);
+
+    return run(query.order("group_name"));
+  }
+
+  /**
+   * IDs of the courses with at least one group
+   */
+  async courseIdsWithGroups() {
+    const rows = await run(
+      this.db.from("groups").select("course_id").is("deleted_at", null)
+    );
+    return [...new Set(rows.map((g) => g.course_id))];
+  }
+
+  /**
+   * group_id and student_id of a course's group memberships
+   */
+  async listMembers(courseId) {
+    return run(
+      this.db
+        .from("group_members")
+        .select("group_id, student_id")
+        .eq("course_id", parseInt(courseId))
+    );
+  }
+
+  async memberIds(courseId, groupId) {
+    const rows = await run(
+      this.db
+        .from("group_members")
+        .select("student_id")
+        .eq("course_id", parseInt(courseId))
+        .eq("group_id", parseInt(groupId))
+    );
+    return rows.map((m) => m.student_id);
+  }
+
+  async countMembers(courseId, groupId) {
+    return runCount(
+      this.db
+        .from("group_members")
+        .select("*", { count: "exact", head: true })
+        .eq("course_id", parseInt(courseId))
+        .eq("group_id", parseInt(groupId))
+    );
+  }
+}
+
+/**
+ * All repositories over one storage client (see storage.js)
+ */
+function createRepositories(db) {
+  return {
+    courses: new CourseRepository(db),
+    enrollments: new EnrollmentRepository(db),
+    activities: new ActivityRepository(db),
+    completions: new CompletionRepository(db),
+    groups: new GroupRepository(db),
+  };
+}
+
+module.exports = {
+  CourseRepository,
+  EnrollmentRepository,
+  ActivityRepository,
+  CompletionRepository,
+  GroupRepository,
+  createRepositories,
+};
@@ -0,0 +1,685 @@
+// sql-client.js
+// Plain SQL storage adapter for SQLite and Postgres. SqlClient answers the
+// subset of the supabase-js query builder this codebase uses (from, select,
+// eq/in/is/not/or/..., order, range, single, insert/upsert/update/delete)
+// with the same { data, error, count } results, so the sync, the job queue
+// and the repositories run on either backend. Tables and views come from
+// sql-schema.js.
+const { getColumnTypes, TABLES } = require("./sql-schema");
+
+// Reported for unknown tables, as PostgREST does; callers already treat it
+// as "feature not set up yet"
+const MISSING_TABLE_CODE = "PGRST205";
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/i;
+// Stay below SQLite's and Postgres' bound parameter limits
+const MAX_PARAMS_PER_STATEMENT = 30000;
+
+const COMPARISON_OPERATORS = {
+  eq: "=",
+  neq: "<>",
+  gt: ">",
+  gte: ">=",
+  lt: "<",
+  lte: "<=",
+};
+
+class SqlError extends Error {
+  constructor(message, code = null, details = null) {
+    super(message);
+    this.name = "SqlError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function assertIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new SqlError(`Invalid column or table name: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Parse a PostgREST list literal such as "(1,2,3)"
+ */
+function parseListLiteral(value) {
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .replace(/^\(|\)$/g, "")
+    .split(",")
+    .map((v) => v.trim().replace(/^"|"$/g, ""))
+    .filter((v) => v !== "")
+    .map((v) => (/^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v));
+}
+
+/**
+ * Parse a PostgREST scalar literal used by or() and not()
+ */
+function parseScalarLiteral(value) {
+  if (value === "null") return null;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return value;
+}
+
+class SqlQueryBuilder {
+  constructor(client, table) {
+    this.client = client;
+    this.table = assertIdentifier(table);
+    this.columnTypes = getColumnTypes(table) || {};
+    this.action = "select";
+    this.columns = "*";
+    this.countRows = false;
+    this.head = false;
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.singleMode = null;
+    this.values = null;
+    this.onConflict = null;
+    this.ignoreDuplicates = false;
+  }
+
+  // ---------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------
+
+  select(columns = "*", { count, head } = {}) {
+    if (this.action !== "select") {
+      // insert(...).select() returns the written rows
+      this.returning = true;
+      return this;
+    }
+
+    const normalized = columns.replace(/\s+/g, " ").trim();
+    if (normalized !== "*") {
+      const names = normalized.split(",").map((c) => c.trim());
+      names.forEach((name) => {
+        if (!IDENTIFIER.test(name)) {
+          throw new SqlError(
+            `Unsupported select "${name}": embedded resources and renames need the Supabase backend`
+          );
+        }
+      });
+      this.columns = names.join(", ");
+    }
+    this.countRows = count === "exact";
+    this.head = !!head;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.values = [].concat(rows);
+    return this;
+  }
+
+  upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+    this.action = "upsert";
+    this.values = [].concat(rows);
+    this.onConflict = onConflict
+      ? onConflict.split(",").map((c) => assertIdentifier(c.trim()))
+      : (TABLES[this.table] || {}).primaryKey;
+    this.ignoreDuplicates = ignoreDuplicates;
+
+    if (!this.onConflict) {
+      throw new SqlError(`upsert on ${this.table} needs onConflict`);
+    }
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  // ---------------------------------------------------------------------
+  // Filters
+  // ---------------------------------------------------------------------
+
+  addFilter(sql, params = []) {
+    this.filters.push({ sql, params });
+    return this;
+  }
+
+  /**
+   * SQL for one `column op value` condition, shared by the filter methods,
+   * not() and or()
+   */
+  condition(column, operator, value) {
+    assertIdentifier(column);
+    const dialect = this.client.dialect;
+
+    if (COMPARISON_OPERATORS[operator]) {
+      return {
+        sql: `${column} ${COMPARISON_OPERATORS[operator]} ?`,
+        params: [this.encodeFilterValue(column, value)],
+      };
+    }
+
+    switch (operator) {
+      case "like":
+        return { sql: `${column} LIKE ?`, params: [value] };
+      case "ilike":
+        // SQLite's LIKE already ignores ASCII case
+        return {
+          sql: `${column} ${dialect === "postgres" ? "ILIKE" : "LIKE"} ?`,
+          params: [value],
+        };
+      case "in": {
+        const values = parseListLiteral(value);
+        if (values.length === 0) return { sql: "1 = 0", params: [] };
+        return {
+          sql: `${column} IN (${values.map(() => "?").join(", ")})`,
+          params: values.map((v) => this.encodeFilterValue(column, v)),
+        };
+      }
+      case "is":
+        if (value === null) return { sql: `${column} IS NULL`, params: [] };
+        return {
+          sql: `${column} = ?`,
+          params: [this.encodeFilterValue(column, value)],
+        };
+      case "ov":
+        return this.arrayCondition(column, value, "overlaps");
+      case "cs":
+        return this.arrayCondition(column, value, "contains");
+      default:
+        throw new SqlError(`Unsupported filter operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Array overlap/containment. Postgres uses its array operators; SQLite
+   * stores arrays as JSON text and looks inside with json_each.
+   */
+  arrayCondition(column, values, mode) {
+    const list = parseListLiteral(values);
+
+    if (this.client.dialect === "postgres") {
+      return {
+        sql: `${column} ${mode === "overlaps" ? "&&" : "@>"} ?`,
+        params: [list],
+      };
+    }
+
+    if (list.length === 0) {
+      return { sql: mode === "overlaps" ? "1 = 0" : "1 = 1", params: [] };
+    }
+    const placeholders = list.map(() => "?").join(", ");
+    return mode === "overlaps"
+      ? {
+          sql: `EXISTS (SELECT 1 FROM json_each(${column}) WHERE value IN (${placeholders}))`,
+          params: list,
+        }
+      : {
+          sql: `(SELECT COUNT(DISTINCT value) FROM json_each(${column}) WHERE value IN (${placeholders})) = ${new Set(list).size}`,
+          params: list,
+        };
+  }
+
+  eq(column, value) {
+    return this.addCondition(column, "eq", value);
+  }
+
+  neq(column, value) {
+    return this.addCondition(column, "neq", value);
+  }
+
+  gt(column, value) {
+    return this.addCondition(column, "gt", value);
+  }
+
+  gte(column, value) {
+    return this.addCondition(column, "gte", value);
+  }
+
+  lt(column, value) {
+    return this.addCondition(column, "lt", value);
+  }
+
+  lte(column, value) {
+    return this.addCondition(column, "lte", value);
+  }
+
+  like(column, pattern) {
+    return this.addCondition(column, "like", pattern);
+  }
+
+  ilike(column, pattern) {
+    return this.addCondition(column, "ilike", pattern);
+  }
+
+  in(column, values) {
+    return this.addCondition(column, "in", values);
+  }
+
+  is(column, value) {
+    return this.addCondition(column, "is", value);
+  }
+
+  overlaps(column, values) {
+    return this.addCondition(column, "ov", values);
+  }
+
+  contains(column, values) {
+    return this.addCondition(column, "cs", values);
+  }
+
+  not(column, operator, value) {
+    if (operator === "is" && value === null) {
+      return this.addFilter(`${assertIdentifier(column)} IS NOT NULL`);
+    }
+    const { sql, params } = this.condition(
+      column,
+      operator,
+      operator === "in" ? value : parseScalarLiteral(value)
+    );
+    return this.addFilter(`NOT (${sql})`, params);
+  }
+
+  /**
+   * PostgREST or-filter, e.g. "full_name.ilike.%x%,short_name.ilike.%x%"
+   */
+  or(filters) {
+    const conditions = filters.split(/,(?![^(]*\))/).map((part) => {
+      const match = part.trim().match(/^([a-z_][a-z0-9_]*)\.(not\.)?([a-z]+)\.(.*)$/i);
+      if (!match) throw new SqlError(`Unsupported or() filter: ${part}`);
+
+      const [, column, negate, operator, raw] = match;
+      const value = operator === "in" ? raw : parseScalarLiteral(raw);
+      const { sql, params } = this.condition(column, operator, value);
+      return { sql: negate ? `NOT (${sql})` : sql, params };
+    });
+
+    return this.addFilter(
+      `(${conditions.map((c) => c.sql).join(" OR ")})`,
+      conditions.flatMap((c) => c.params)
+    );
+  }
+
+  addCondition(column, operator, value) {
+    const { sql, params } = this.condition(column, operator, value);
+    return this.addFilter(sql, params);
+  }
+
+  // ---------------------------------------------------------------------
+  // Modifiers
+  // ---------------------------------------------------------------------
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    // Postgres sorts NULLs last ascending and first descending; say so
+    // explicitly because SQLite does the opposite
+    const nulls = nullsFirst ?? !ascending;
+    this.orders.push(
+      `${assertIdentifier(column)} ${ascending ? "ASC" : "DESC"} NULLS ${
+        nulls ? "FIRST" : "LAST"
+      }`
+    );
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = "maybeSingle";
+    return this;
+  }
+
+  // ---------------------------------------------------------------------
+  // Values
+  // ---------------------------------------------------------------------
+
+  encodeFilterValue(column, value) {
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === "boolean" && this.client.dialect === "sqlite") {
+      return value ? 1 : 0;
+    }
+    return value;
+  }
+
+  encodeValue(column, value) {
+    if (value === null || value === undefined) return null;
+
+    const type = this.columnTypes[column];
+    if (type === "jsonb") return JSON.stringify(value);
+    if (type === "text[]") {
+      return this.client.dialect === "sqlite" ? JSON.stringify(value) : value;
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === "boolean" && this.client.dialect === "sqlite") {
+      return value ? 1 : 0;
+    }
+    return value;
+  }
+
+  decodeRow(row) {
+    if (this.client.dialect !== "sqlite") return row;
+
+    for (const [column, value] of Object.entries(row)) {
+      if (value === null) continue;
+      const type = this.columnTypes[column];
+      if (type === "boolean") {
+        row[column] = value === 1 || value === true;
+      } else if ((type === "jsonb" || type === "text[]") && typeof value === "string") {
+        row[column] = JSON.parse(value);
+      }
+    }
+    return row;
+  }
+
+  // ---------------------------------------------------------------------
+  // Execution
+  // ---------------------------------------------------------------------
+
+  whereSql() {
+    if (this.filters.length === 0) return { sql: "", params: [] };
+    return {
+      sql: ` WHERE ${this.filters.map((f) => f.sql).join(" AND ")}`,
+      params: this.filters.flatMap((f) => f.params),
+    };
+  }
+
+  async run() {
+    switch (this.action) {
+      case "select":
+        return this.runSelect();
+      case "insert":
+      case "upsert":
+        return this.runInsert();
+      case "update":
+        return this.runUpdate();
+      case "delete":
+        return this.runDelete();
+    }
+  }
+
+  async runSelect() {
+    const where = this.whereSql();
+    let count = null;
+
+    if (this.countRows) {
+      const [row] = await this.client.query(
+        `SELECT COUNT(*) AS count FROM ${this.table}${where.sql}`,
+        where.params
+      );
+      count = Number(row.count);
+      if (this.head) return { data: null, count };
+    }
+
+    let sql = `SELECT ${this.columns} FROM ${this.table}${where.sql}`;
+    if (this.orders.length > 0) sql += ` ORDER BY ${this.orders.join(", ")}`;
+    if (this.limitCount !== null) sql += ` LIMIT ${parseInt(this.limitCount)}`;
+    if (this.offsetCount !== null) {
+      // SQLite only accepts OFFSET after a LIMIT
+      if (this.limitCount === null) sql += " LIMIT -1";
+      sql += ` OFFSET ${parseInt(this.offsetCount)}`;
+    }
+
+    const rows = (await this.client.query(sql, where.params)).map((row) =>
+      this.decodeRow(row)
+    );
+    return { data: rows, count };
+  }
+
+  async runInsert() {
+    const rows = this.values;
+    if (rows.length === 0) return { data: this.returning ? [] : null };
+
+    // Columns missing from some rows are written as NULL, like supabase-js
+    // does for bulk writes; columns missing from every row keep defaults
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    columns.forEach(assertIdentifier);
+
+    let conflictSql = "";
+    if (this.action === "upsert") {
+      const updates = columns.filter((c) => !this.onConflict.includes(c));
+      conflictSql =
+        this.ignoreDuplicates || updates.length === 0
+          ? ` ON CONFLICT (${this.onConflict.join(", ")}) DO NOTHING`
+          : ` ON CONFLICT (${this.onConflict.join(", ")}) DO UPDATE SET ${updates
+              .map((c) => `${c} = excluded.${c}`)
+              .join(", ")}`;
+    }
+
+    const batchSize = Math.max(
+      1,
+      Math.floor(MAX_PARAMS_PER_STATEMENT / columns.length)
+    );
+    const written = [];
+
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      const params = batch.flatMap((row) =>
+        columns.map((c) => this.encodeValue(c, row[c]))
+      );
+      const valuesSql = batch
+        .map(() => `(${columns.map(() => "?").join(", ")})`)
+        .join(", ");
+
+      const result = await this.client.query(
+        `INSERT INTO ${this.table} (${columns.join(", ")}) VALUES ${valuesSql}${conflictSql}${
+          this.returning ? " RETURNING *" : ""
+        }`,
+        params
+      );
+      written.push(...result);
+    }
+
+    return {
+      data: this.returning ? written.map((row) => this.decodeRow(row)) : null,
+    };
+  }
+
+  async runUpdate() {
+    const columns = Object.keys(this.values);
+    columns.forEach(assertIdentifier);
+    const where = this.whereSql();
+
+    const rows = await this.client.query(
+      `UPDATE ${this.table} SET ${columns.map((c) => `${c} = ?`).join(", ")}${
+        where.sql
+      }${this.returning ? " RETURNING *" : ""}`,
+      [...columns.map((c) => this.encodeValue(c, this.values[c])), ...where.params]
+    );
+
+    return {
+      data: this.returning ? rows.map((row) => this.decodeRow(row)) : null,
+    };
+  }
+
+  async runDelete() {
+    const where = this.whereSql();
+    const rows = await this.client.query(
+      `DELETE FROM ${this.table}${where.sql}${this.returning ? " RETURNING *" : ""}`,
+      where.params
+    );
+
+    return {
+      data: this.returning ? rows.map((row) => this.decodeRow(row)) : null,
+    };
+  }
+
+  /**
+   * Apply single()/maybeSingle() to a select result
+   */
+  pickSingle(result) {
+    const rows = result.data || [];
+    if (rows.length > 1 || (rows.length === 0 && this.singleMode === "single")) {
+      return {
+        data: null,
+        error: new SqlError(
+          "JSON object requested, multiple (or no) rows returned",
+          "PGRST116",
+          `The result contains ${rows.length} rows`
+        ),
+      };
+    }
+    return { ...result, data: rows[0] || null };
+  }
+
+  /**
+   * Builders are awaited directly, like supabase-js; failures resolve to
+   * { data: null, error } instead of rejecting
+   */
+  then(resolve, reject) {
+    return this.run()
+      .then((result) => ({ error: null, count: null, ...result }))
+      .then((result) => (this.singleMode ? this.pickSingle(result) : result))
+      .catch((error) => ({
+        data: null,
+        count: null,
+        error: this.client.toError(error),
+      }))
+      .then(resolve, reject);
+  }
+}
+
+class SqlClient {
+  /**
+   * @param {object} driver { dialect, query(sql, params), close() }, see
+   *   createSqliteDriver and createPostgresDriver
+   */
+  constructor(driver) {
+    this.driver = driver;
+    this.dialect = driver.dialect;
+  }
+
+  from(table) {
+    return new SqlQueryBuilder(this, table);
+  }
+
+  /**
+   * Run SQL written with ? placeholders and return the rows
+   */
+  async query(sql, params = []) {
+    let text = sql;
+    if (this.dialect === "postgres") {
+      let index = 0;
+      text = sql.replace(/\?/g, () => `$${++index}`);
+    }
+    return await this.driver.query(text, params);
+  }
+
+  async execute(sql, params = []) {
+    await this.query(sql, params);
+  }
+
+  async close() {
+    await this.driver.close();
+  }
+
+  /**
+   * Driver error to the { message, code } shape callers check
+   */
+  toError(error) {
+    if (error instanceof SqlError) return error;
+
+    const missingTable =
+      error.code === "42P01" || /no such table/i.test(error.message || "");
+    return new SqlError(
+      error.message,
+      missingTable ? MISSING_TABLE_CODE : error.code || null,
+      error.detail || null
+    );
+  }
+}
+
+/**
+ * SQLite through better-sqlite3 (an optional dependency)
+ */
+function createSqliteDriver(filename) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error("STORAGE_BACKEND=sqlite needs the better-sqlite3 package");
+  }
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+
+  return {
+    dialect: "sqlite",
+    async query(sql, params) {
+      const statement = db.prepare(sql);
+      if (statement.reader) return statement.all(params);
+      statement.run(params);
+      return [];
+    },
+    async close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * Postgres through pg (an optional dependency). Values are parsed the way
+ * PostgREST returns them: numbers for bigint and numeric, ISO strings for
+ * timestamps.
+ */
+function createPostgresDriver(connectionString) {
+  let pg;
+  try {
+    pg = require("pg");
+  } catch (error) {
+    throw new Error("STORAGE_BACKEND=postgres needs the pg package");
+  }
+
+  const { builtins } = pg.types;
+  const parsers = {
+    [builtins.INT8]: (value) => parseInt(value),
+    [builtins.NUMERIC]: (value) => parseFloat(value),
+    [builtins.TIMESTAMPTZ]: (value) => new Date(value).toISOString(),
+    [builtins.TIMESTAMP]: (value) => new Date(`${value}Z`).toISOString(),
+    [builtins.DATE]: (value) => value,
+  };
+  const pool = new pg.Pool({
+    connectionString,
+    types: {
+      getTypeParser: (oid, format) =>
+        parsers[oid] || pg.types.getTypeParser(oid, format),
+    },
+  });
+
+  return {
+    dialect: "postgres",
+    async query(sql, params) {
+      const result = await pool.query(sql, params);
+      return result.rows || [];
+    },
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+module.exports = {
+  SqlClient,
+  SqlQueryBuilder,
+  SqlError,
+  createSqliteDriver,
+  createPostgresDriver,
+};
@@ -0,0 +1,539 @@
+// sql-schema.js
+// Schema of the local SQL database used when STORAGE_BACKEND is "sqlite" or
+// "postgres" (see storage.js). Supabase deployments keep using their own
+// tables plus migrations/; this file mirrors both so the API and the sync run
+// unchanged against a local database. Column types also tell SqlClient how
+// to encode and decode values, since SQLite has no booleans, JSON or arrays.
+//
+//   npm run db:init    create the tables that do not exist yet, add columns
+//                      missing from existing tables and recreate the views
+
+// Column spec: "<type>[ not null][ default <value>]" with type one of
+// integer, bigint, numeric, text, boolean, timestamptz, date, jsonb, text[],
+// uuid, and default one of now, a number, true/false, 'text', [] or {}
+const TABLES = {
+  courses: {
+    primaryKey: ["course_id"],
+    columns: {
+      course_id: "integer not null",
+      short_name: "text",
+      full_name: "text",
+      category_id: "integer default 0",
+      category_name: "text",
+      summary: "text",
+      format: "text",
+      start_date: "timestamptz",
+      end_date: "timestamptz",
+      visible: "boolean not null default true",
+      last_synced_at: "timestamptz",
+      moodle_timemodified: "bigint default 0",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  enrollments: {
+    primaryKey: ["course_id", "student_id"],
+    columns: {
+      course_id: "integer not null",
+      student_id: "integer not null",
+      student_name: "text",
+      student_email: "text",
+      student_first_name: "text",
+      student_last_name: "text",
+      enrollment_date: "timestamptz",
+      enrollment_start: "timestamptz",
+      enrollment_end: "timestamptz",
+      first_access: "timestamptz",
+      last_access: "timestamptz",
+      last_course_access: "timestamptz",
+      role: "text default 'student'",
+      status: "text default 'active'",
+      deleted_at: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  activities: {
+    primaryKey: ["course_id", "activity_id"],
+    columns: {
+      course_id: "integer not null",
+      activity_id: "integer not null",
+      section_id: "integer",
+      section_number: "integer",
+      section_name: "text",
+      section_position: "integer",
+      activity_name: "text",
+      activity_type: "text",
+      activity_url: "text",
+      description: "text",
+      visible: "boolean not null default true",
+      visible_on_course_page: "boolean not null default true",
+      user_visible: "boolean not null default true",
+      published: "boolean not null default true",
+      availability_start: "timestamptz",
+      availability_end: "timestamptz",
+      availability_info: "text",
+      availability_conditions: "jsonb",
+      open_date: "timestamptz",
+      close_date: "timestamptz",
+      due_date: "timestamptz",
+      has_completion: "boolean not null default false",
+      completion_expected: "timestamptz",
+      deleted_at: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  activity_completions: {
+    primaryKey: ["course_id", "student_id", "activity_id"],
+    columns: {
+      course_id: "integer not null",
+      student_id: "integer not null",
+      activity_id: "integer not null",
+      activity_name: "text",
+      activity_type: "text",
+      completion_state: "integer not null default 0",
+      is_completed: "boolean not null default false",
+      is_passed: "boolean not null default false",
+      is_failed: "boolean not null default false",
+      time_completed: "timestamptz",
+      tracking_type: "integer default 0",
+      deleted_at: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  course_completions: {
+    primaryKey: ["course_id", "student_id"],
+    columns: {
+      course_id: "integer not null",
+      student_id: "integer not null",
+      total_activities: "integer not null default 0",
+      completed_activities: "integer not null default 0",
+      completion_percentage: "numeric not null default 0",
+      activities_completed: "boolean not null default false",
+      is_course_completed: "boolean not null default false",
+      completion_date: "timestamptz",
+      completion_source: "text not null default 'activities'",
+      completion_aggregation: "text",
+      criteria_total: "integer",
+      criteria_completed: "integer",
+      completion_criteria: "jsonb",
+      deleted_at: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  groups: {
+    primaryKey: ["course_id", "group_id"],
+    columns: {
+      course_id: "integer not null",
+      group_id: "integer not null",
+      group_name: "text",
+      description: "text",
+      deleted_at: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  group_members: {
+    primaryKey: ["course_id", "group_id", "student_id"],
+    columns: {
+      course_id: "integer not null",
+      group_id: "integer not null",
+      student_id: "integer not null",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  grade_items: {
+    primaryKey: ["course_id", "grade_item_id"],
+    columns: {
+      course_id: "integer not null",
+      grade_item_id: "integer not null",
+      item_name: "text",
+      item_type: "text",
+      item_module: "text",
+      activity_id: "integer",
+      grade_min: "numeric",
+      grade_max: "numeric",
+      deleted_at: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  student_grades: {
+    primaryKey: ["course_id", "student_id", "grade_item_id"],
+    columns: {
+      course_id: "integer not null",
+      student_id: "integer not null",
+      grade_item_id: "integer not null",
+      activity_id: "integer",
+      grade_raw: "numeric",
+      grade_formatted: "text",
+      percentage: "numeric",
+      date_submitted: "timestamptz",
+      date_graded: "timestamptz",
+      feedback: "text",
+      deleted_at: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  course_categories: {
+    primaryKey: ["category_id"],
+    columns: {
+      category_id: "integer not null",
+      category_name: "text not null",
+      id_number: "text",
+      description: "text",
+      parent_id: "integer",
+      path: "text not null",
+      depth: "integer",
+      sort_order: "integer",
+      visible: "boolean not null default true",
+      moodle_course_count: "integer not null default 0",
+      deleted_at: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  course_staff: {
+    primaryKey: ["course_id", "user_id"],
+    columns: {
+      course_id: "integer not null",
+      user_id: "integer not null",
+      full_name: "text",
+      first_name: "text",
+      last_name: "text",
+      email: "text",
+      roles: "jsonb not null default []",
+      role_shortnames: "text[] not null default []",
+      primary_role: "text",
+      last_course_access: "timestamptz",
+      deleted_at: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  course_access_snapshots: {
+    primaryKey: ["course_id", "student_id", "snapshot_date"],
+    columns: {
+      course_id: "integer not null",
+      student_id: "integer not null",
+      snapshot_date: "date not null",
+      last_course_access: "timestamptz",
+      last_access: "timestamptz",
+      first_access: "timestamptz",
+      captured_at: "timestamptz not null default now",
+    },
+  },
+  activity_files: {
+    primaryKey: ["course_id", "activity_id", "file_key"],
+    columns: {
+      course_id: "integer not null",
+      activity_id: "integer not null",
+      file_key: "text not null",
+      content_type: "text",
+      file_name: "text not null",
+      file_path: "text not null default '/'",
+      file_size: "bigint not null default 0",
+      mime_type: "text",
+      file_url: "text",
+      is_external: "boolean not null default false",
+      author: "text",
+      license: "text",
+      time_created: "timestamptz",
+      time_modified: "timestamptz",
+      created_at: "timestamptz not null default now",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+  sync_jobs: {
+    primaryKey: ["job_id"],
+    columns: {
+      job_id: "uuid not null",
+      job_type: "text not null",
+      course_id: "integer",
+      params: "jsonb default {}",
+      status: "text not null default 'queued'",
+      step: "integer not null default 0",
+      total_steps: "integer not null default 6",
+      step_name: "text",
+      processed_students: "integer not null default 0",
+      total_students: "integer not null default 0",
+      results: "jsonb",
+      errors: "jsonb default []",
+      error: "text",
+      created_at: "timestamptz not null default now",
+      started_at: "timestamptz",
+      finished_at: "timestamptz",
+      updated_at: "timestamptz not null default now",
+    },
+  },
+};
+
+// student_course_progress, and without removed enrollments its _v2 version
+const STUDENT_PROGRESS_SQL = `
+      SELECT e.course_id, c.full_name AS course_name, e.student_id,
+        e.student_name, e.student_email, e.status, e.enrollment_date,
+        e.last_course_access,
+        COALESCE(cc.total_activities, 0) AS total_activities,
+        COALESCE(cc.completed_activities, 0) AS completed_activities,
+        COALESCE(cc.completion_percentage, 0) AS completion_percentage,
+        COALESCE(cc.is_course_completed, FALSE) AS is_course_completed,
+        cc.completion_date
+      FROM enrollments e
+      JOIN courses c ON c.course_id = e.course_id
+      LEFT JOIN course_completions cc
+        ON cc.course_id = e.course_id AND cc.student_id = e.student_id`;
+
+// Local versions of the reporting views the API reads. `sql` must stay
+// portable between SQLite and Postgres; `columns` types the computed columns
+// that need decoding. The _v2 views skip soft-deleted rows; on Supabase they
+// sit next to the original views (migrations/013 and 015).
+const VIEWS = {
+  course_enrollment_summary_v2: {
+    columns: { visible: "boolean" },
+    sql: `
+      SELECT c.*,
+        (SELECT COUNT(*) FROM enrollments e
+          WHERE e.course_id = c.course_id AND e.deleted_at IS NULL) AS total_students,
+        (SELECT COUNT(*) FROM enrollments e
+          WHERE e.course_id = c.course_id AND e.deleted_at IS NULL
+            AND e.status = 'active') AS active_students,
+        (SELECT COUNT(*) FROM activities a
+          WHERE a.course_id = c.course_id AND a.deleted_at IS NULL) AS total_activities,
+        (SELECT COUNT(*) FROM course_completions cc
+          WHERE cc.course_id = c.course_id AND cc.deleted_at IS NULL
+            AND cc.is_course_completed = TRUE) AS completed_students,
+        (SELECT ROUND(AVG(cc.completion_percentage), 2) FROM course_completions cc
+          WHERE cc.course_id = c.course_id AND cc.deleted_at IS NULL) AS avg_completion_percentage
+      FROM courses c`,
+  },
+  // Every enrollment, unenrolled students included, like the original
+  // Supabase view; only read when removed students are asked for
+  student_course_progress: {
+    columns: { is_course_completed: "boolean" },
+    sql: STUDENT_PROGRESS_SQL,
+  },
+  student_course_progress_v2: {
+    columns: { is_course_completed: "boolean" },
+    sql: `${STUDENT_PROGRESS_SQL}
+      WHERE e.deleted_at IS NULL`,
+  },
+  activity_completion_by_course_v2: {
+    columns: { has_completion: "boolean" },
+    sql: `
+      SELECT a.course_id, a.activity_id, a.activity_name, a.activity_type,
+        a.section_number, a.section_name, a.has_completion, a.deleted_at,
+        s.total_students,
+        (SELECT COUNT(*) FROM activity_completions ac
+          WHERE ac.course_id = a.course_id AND ac.activity_id = a.activity_id
+            AND ac.deleted_at IS NULL AND ac.is_completed = TRUE) AS students_completed,
+        CASE WHEN s.total_students > 0 THEN ROUND(100.0 *
+          (SELECT COUNT(*) FROM activity_completions ac
+            WHERE ac.course_id = a.course_id AND ac.activity_id = a.activity_id
+              AND ac.deleted_at IS NULL AND ac.is_completed = TRUE)
+          / s.total_students, 2) ELSE 0 END AS completion_rate
+      FROM activities a
+      JOIN (SELECT c.course_id,
+              (SELECT COUNT(*) FROM enrollments e
+                WHERE e.course_id = c.course_id AND e.deleted_at IS NULL) AS total_students
+            FROM courses c) s ON s.course_id = a.course_id`,
+  },
+  course_completion_stats_v2: {
+    columns: {},
+    sql: `
+      SELECT c.course_id, c.full_name,
+        (SELECT COUNT(*) FROM enrollments e
+          WHERE e.course_id = c.course_id AND e.deleted_at IS NULL) AS total_students,
+        (SELECT COUNT(*) FROM enrollments e
+          WHERE e.course_id = c.course_id AND e.deleted_at IS NULL) AS enrolled_students,
+        (SELECT COUNT(*) FROM activities a
+          WHERE a.course_id = c.course_id AND a.deleted_at IS NULL) AS total_activities,
+        (SELECT COUNT(*) FROM activities a
+          WHERE a.course_id = c.course_id AND a.deleted_at IS NULL
+            AND a.has_completion = TRUE) AS trackable_activities,
+        (SELECT COUNT(*) FROM activity_completions ac
+          WHERE ac.course_id = c.course_id AND ac.deleted_at IS NULL
+            AND ac.is_completed = TRUE) AS total_completions,
+        (SELECT COUNT(*) FROM course_completions cc
+          WHERE cc.course_id = c.course_id AND cc.deleted_at IS NULL
+            AND cc.is_course_completed = TRUE) AS students_completed_course,
+        (SELECT ROUND(AVG(cc.completion_percentage), 2) FROM course_completions cc
+          WHERE cc.course_id = c.course_id AND cc.deleted_at IS NULL) AS avg_completion_percentage
+      FROM courses c`,
+  },
+};
+
+const SQL_TYPES = {
+  postgres: {
+    integer: "INTEGER",
+    bigint: "BIGINT",
+    numeric: "NUMERIC",
+    text: "TEXT",
+    boolean: "BOOLEAN",
+    timestamptz: "TIMESTAMPTZ",
+    date: "DATE",
+    jsonb: "JSONB",
+    "text[]": "TEXT[]",
+    uuid: "UUID",
+  },
+  // Booleans are stored as 0/1, dates as ISO strings and JSON and arrays as
+  // JSON text; SqlClient converts on the way in and out
+  sqlite: {
+    integer: "INTEGER",
+    bigint: "INTEGER",
+    numeric: "REAL",
+    text: "TEXT",
+    boolean: "INTEGER",
+    timestamptz: "TEXT",
+    date: "TEXT",
+    jsonb: "TEXT",
+    "text[]": "TEXT",
+    uuid: "TEXT",
+  },
+};
+
+/**
+ * Split a column spec into { type, notNull, default }
+ */
+function parseColumn(spec) {
+  const match = spec.match(/^(\S+)( not null)?(?: default (.+))?$/);
+  if (!match || !SQL_TYPES.postgres[match[1]]) {
+    throw new Error(`Invalid column spec: ${spec}`);
+  }
+  return {
+    type: match[1],
+    notNull: !!match[2],
+    default: match[3] === undefined ? null : match[3],
+  };
+}
+
+function defaultSql(column, dialect) {
+  const value = column.default;
+  if (value === "now") {
+    // Same ISO format SqlClient writes, so timestamps compare as text
+    return dialect === "postgres"
+      ? "NOW()"
+      : "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+  }
+  if (value === "true" || value === "false") {
+    return dialect === "postgres" ? value.toUpperCase() : value === "true" ? "1" : "0";
+  }
+  if (value === "[]" || value === "{}") {
+    if (dialect === "sqlite") return `'${value}'`;
+    return column.type === "text[]" ? "'{}'" : `'${value}'::jsonb`;
+  }
+  return value;
+}
+
+function columnSql(column, spec, dialect) {
+  const parsed = parseColumn(spec);
+  return [
+    `${column} ${SQL_TYPES[dialect][parsed.type]}`,
+    parsed.notNull && "NOT NULL",
+    parsed.default !== null && `DEFAULT ${defaultSql(parsed, dialect)}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function createTableSql(name, table, dialect) {
+  const columns = Object.entries(table.columns).map(
+    ([column, spec]) => `  ${columnSql(column, spec, dialect)}`
+  );
+  columns.push(`  PRIMARY KEY (${table.primaryKey.join(", ")})`);
+
+  return `CREATE TABLE IF NOT EXISTS ${name} (\n${columns.join(",\n")}\n)`;
+}
+
+/**
+ * Names of the columns a table has in the database
+ */
+async function getExistingColumns(client, name) {
+  const rows =
+    client.dialect === "postgres"
+      ? await client.query(
+          `SELECT column_name AS name FROM information_schema.columns
+            WHERE table_schema = current_schema() AND table_name = ?`,
+          [name]
+        )
+      : await client.query(`PRAGMA table_info(${name})`);
+  return new Set(rows.map((row) => row.name));
+}
+
+/**
+ * Column types of a table or view by column name
+ */
+function getColumnTypes(name) {
+  if (TABLES[name]) {
+    return Object.fromEntries(
+      Object.entries(TABLES[name].columns).map(([column, spec]) => [
+        column,
+        parseColumn(spec).type,
+      ])
+    );
+  }
+  if (VIEWS[name]) {
+    // Views pass most columns through from their tables
+    return {
+      ...getColumnTypes("courses"),
+      ...getColumnTypes("enrollments"),
+      ...getColumnTypes("activities"),
+      ...getColumnTypes("course_completions"),
+      ...VIEWS[name].columns,
+    };
+  }
+  return null;
+}
+
+/**
+ * Create every table that does not exist yet, add columns that were added
+ * to TABLES since a table was created, and recreate the views
+ */
+async function createSchema(client) {
+  const dialect = client.dialect;
+
+  for (const [name, table] of Object.entries(TABLES)) {
+    await client.execute(createTableSql(name, table, dialect));
+
+    const existing = await getExistingColumns(client, name);
+    for (const [column, spec] of Object.entries(table.columns)) {
+      if (existing.has(column)) continue;
+      await client.execute(
+        `ALTER TABLE ${name} ADD COLUMN ${columnSql(column, spec, dialect)}`
+      );
+    }
+  }
+
+  // Views hold no data, so they are always rebuilt from their current
+  // definition (CREATE OR REPLACE cannot rename or drop view columns)
+  for (const [name, view] of Object.entries(VIEWS)) {
+    await client.execute(`DROP VIEW IF EXISTS ${name}`);
+    await client.execute(`CREATE VIEW ${name} AS ${view.sql}`);
+  }
+}
+
+module.exports = { TABLES, VIEWS, getColumnTypes, createSchema, createTableSql };
+
+if (require.main === module) {
+  require("dotenv").config();
+  const { createStorage } = require("./storage");
+
+  (async () => {
+    if ((process.env.STORAGE_BACKEND || "supabase") === "supabase") {
+      throw new Error(
+        "Set STORAGE_BACKEND to sqlite or postgres; Supabase uses migrations/"
+      );
+    }
+    const client = createStorage();
+    await createSchema(client);
+    await client.close();
+    console.log(`✅ ${client.dialect} schema is up to date`);
+  })().catch((error) => {
+    console.error("❌ Could not create schema:", error.message);
+    process.exit(1);
+  });
+}
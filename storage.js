@@ -0,0 +1,46 @@
+// storage.js
+// Chooses the database client behind the API server and the sync. Every
+// backend answers the same supabase-js style query builder (`from(table)`),
+// so repositories.js, CourseSyncService and SyncJobQueue work with any of:
+//
+//   STORAGE_BACKEND=supabase  (default) SUPABASE_URL + SUPABASE_SERVICE_KEY
+//   STORAGE_BACKEND=sqlite    SQLITE_PATH, default ./moodle-dashboard.db
+//   STORAGE_BACKEND=postgres  DATABASE_URL
+//
+// Local databases are created with `npm run db:init` (see sql-schema.js).
+const { createClient } = require("@supabase/supabase-js");
+const {
+  SqlClient,
+  createSqliteDriver,
+  createPostgresDriver,
+} = require("./sql-client");
+
+const STORAGE_BACKENDS = ["supabase", "sqlite", "postgres"];
+const DEFAULT_SQLITE_PATH = "moodle-dashboard.db";
+
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "supabase").toLowerCase();
+
+  switch (backend) {
+    case "supabase":
+      return createClient(
+        env.SUPABASE_URL,
+        env.SUPABASE_SERVICE_KEY || env.SUPABASE_ANON_KEY
+      );
+    case "sqlite":
+      return new SqlClient(
+        createSqliteDriver(env.SQLITE_PATH || DEFAULT_SQLITE_PATH)
+      );
+    case "postgres":
+      if (!env.DATABASE_URL) {
+        throw new Error("STORAGE_BACKEND=postgres needs DATABASE_URL");
+      }
+      return new SqlClient(createPostgresDriver(env.DATABASE_URL));
+    default:
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${backend}", expected one of: ${STORAGE_BACKENDS.join(", ")}`
+      );
+  }
+}
+
+module.exports = { createStorage, STORAGE_BACKENDS };
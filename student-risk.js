@@ -0,0 +1,304 @@
+// student-risk.js
+// At-risk scoring for enrolled students. Four factors, each scored 0..1:
+//
+//   progress    trackable activities expected by now (completion_expected)
+//               that the student has not completed
+//   inactivity  days since the last course access, full after maxInactiveDays
+//   failures    failed activities, full at maxFailures
+//   pace        how far the student's completion rate since enrolling falls
+//               short of the rate needed to finish by the course end date
+//
+// The score is the weighted mean of the factors that apply to the student
+// (no expected dates means no progress factor, no end date no pace factor),
+// from 0 to 100. Weights and thresholds come from AT_RISK_WEIGHTS and
+// AT_RISK_THRESHOLDS as "name:value" lists, e.g. "progress:50,pace:0", and
+// can be overridden per request the same way.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_DAYS = 7;
+
+const RISK_FACTORS = ["progress", "inactivity", "failures", "pace"];
+
+const DEFAULT_WEIGHTS = {
+  progress: 40,
+  inactivity: 30,
+  failures: 15,
+  pace: 15,
+};
+
+// score/high: risk score (0-100) to flag a student, and to call it high.
+// The rest decide when a factor is listed as a reason: percent of expected
+// activities missed, days without access, failed activities, and percent
+// the pace falls short of the one needed.
+const DEFAULT_THRESHOLDS = {
+  score: 40,
+  high: 70,
+  progress: 25,
+  inactiveDays: ACTIVE_DAYS,
+  maxInactiveDays: 30,
+  failedActivities: 1,
+  maxFailures: 3,
+  pace: 50,
+};
+
+// ============================================================================
+// SHARED STUDENT HELPERS
+// ============================================================================
+
+/**
+ * Whether the student accessed the course in the last 7 days
+ * @param {string|number|Date|null} lastCourseAccess
+ */
+function isStudentActive(lastCourseAccess, now = Date.now()) {
+  if (!lastCourseAccess) return false;
+
+  const daysSinceAccess =
+    (now - new Date(lastCourseAccess).getTime()) / DAY_MS;
+
+  return daysSinceAccess <= ACTIVE_DAYS;
+}
+
+/**
+ * @param {number} completionRate Completed share of activities, 0..1
+ */
+function getPerformanceLevel(completionRate) {
+  if (completionRate >= 0.9) return "Excellent";
+  if (completionRate >= 0.7) return "Good";
+  if (completionRate >= 0.5) return "Average";
+  if (completionRate >= 0.3) return "Below Average";
+  return "Poor";
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Parse "name:value,name:value" onto a copy of `defaults`. Unknown names
+ * and values that are not non-negative numbers throw.
+ */
+function parseSettings(text, defaults, what) {
+  const settings = { ...defaults };
+  if (!text) return settings;
+
+  for (const part of String(text).split(",")) {
+    const [name, value, extra] = part.split(":").map((s) => s.trim());
+    const number = Number(value);
+    if (!(name in defaults)) {
+      throw new Error(
+        `Unknown ${what} "${name}"; use ${Object.keys(defaults).join(", ")}`
+      );
+    }
+    if (extra !== undefined || value === "" || !(number >= 0)) {
+      throw new Error(`${what} ${name} must be a number of 0 or more`);
+    }
+    settings[name] = number;
+  }
+  return settings;
+}
+
+/**
+ * Risk weights and thresholds: the defaults, then AT_RISK_WEIGHTS and
+ * AT_RISK_THRESHOLDS, then `overrides` ({ weights, thresholds } strings)
+ */
+function resolveRiskConfig(overrides = {}, env = process.env) {
+  const weights = parseSettings(
+    overrides.weights,
+    parseSettings(env.AT_RISK_WEIGHTS, DEFAULT_WEIGHTS, "weight"),
+    "weight"
+  );
+  const thresholds = parseSettings(
+    overrides.thresholds,
+    parseSettings(env.AT_RISK_THRESHOLDS, DEFAULT_THRESHOLDS, "threshold"),
+    "threshold"
+  );
+
+  if (RISK_FACTORS.every((factor) => weights[factor] === 0)) {
+    throw new Error("At least one weight must be above 0");
+  }
+  if (thresholds.high < thresholds.score) {
+    throw new Error("threshold high must not be below threshold score");
+  }
+  if (thresholds.maxInactiveDays === 0 || thresholds.maxFailures === 0) {
+    throw new Error("thresholds maxInactiveDays and maxFailures must be above 0");
+  }
+  return { weights, thresholds };
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Score one student.
+ *
+ * @param {object} input
+ * @param {object} input.enrollment Row with last_course_access and
+ *   enrollment_start/enrollment_date/first_access
+ * @param {object[]} input.activities Trackable activities of the course
+ * @param {object[]} input.completions The student's completion rows
+ * @param {object} input.course Row with start_date and end_date
+ * @param {{weights: object, thresholds: object}} config
+ * @param {number} [now]
+ * @returns {{risk_score: number, risk_level: string, flagged: boolean,
+ *   factors: object, reasons: object[]}}
+ */
+function scoreStudent(
+  { enrollment, activities, completions, course },
+  { weights, thresholds },
+  now = Date.now()
+) {
+  const completedIds = new Set(
+    completions.filter((c) => c.is_completed).map((c) => c.activity_id)
+  );
+  const completed = activities.filter((a) =>
+    completedIds.has(a.activity_id)
+  ).length;
+  const remaining = activities.length - completed;
+  const factors = {};
+  const reasons = [];
+
+  const addReason = (factor, message) =>
+    reasons.push({ factor, score: factors[factor].score, message });
+
+  // Progress against completion_expected
+  const expected = activities.filter(
+    (a) => a.completion_expected && new Date(a.completion_expected) <= now
+  );
+  if (expected.length > 0) {
+    const missed = expected.filter((a) => !completedIds.has(a.activity_id));
+    const score = missed.length / expected.length;
+    factors.progress = {
+      score: round(score),
+      expected: expected.length,
+      missed: missed.length,
+    };
+    if (missed.length > 0 && score * 100 >= thresholds.progress) {
+      addReason(
+        "progress",
+        `Missed ${missed.length} of ${expected.length} activities expected by now`
+      );
+    }
+  }
+
+  // Days since last course access
+  const lastAccess = enrollment.last_course_access;
+  const daysSinceAccess = lastAccess
+    ? Math.max(0, Math.floor((now - new Date(lastAccess).getTime()) / DAY_MS))
+    : null;
+  factors.inactivity = {
+    score: round(
+      daysSinceAccess === null
+        ? 1
+        : Math.min(daysSinceAccess / thresholds.maxInactiveDays, 1)
+    ),
+    days_since_access: daysSinceAccess,
+  };
+  if (daysSinceAccess === null) {
+    addReason("inactivity", "Never accessed the course");
+  } else if (daysSinceAccess >= thresholds.inactiveDays) {
+    addReason("inactivity", `No course access for ${daysSinceAccess} days`);
+  }
+
+  // Failed activities
+  const failed = completions.filter((c) => c.is_failed).length;
+  factors.failures = {
+    score: round(Math.min(failed / thresholds.maxFailures, 1)),
+    failed_activities: failed,
+  };
+  if (failed > 0 && failed >= thresholds.failedActivities) {
+    addReason(
+      "failures",
+      `Failed ${failed} ${failed === 1 ? "activity" : "activities"}`
+    );
+  }
+
+  // Pace: completions per week since enrolling (or the course starting, if
+  // later) against the rate needed to finish the rest by the end date
+  const enrolled =
+    enrollment.enrollment_start ||
+    enrollment.enrollment_date ||
+    enrollment.first_access;
+  const started = enrolled
+    ? Math.max(new Date(enrolled), new Date(course.start_date || 0))
+    : null;
+  if (course.end_date && started && activities.length > 0) {
+    const weeksLeft = (new Date(course.end_date).getTime() - now) / (7 * DAY_MS);
+    const weeksEnrolled = Math.max(
+      (now - started) / (7 * DAY_MS),
+      1
+    );
+    const actualRate = completed / weeksEnrolled;
+    let score;
+    let neededRate = null;
+    if (remaining === 0) {
+      score = 0;
+    } else if (weeksLeft <= 0) {
+      score = 1;
+    } else {
+      neededRate = remaining / Math.max(weeksLeft, 1);
+      score = Math.max(0, 1 - actualRate / neededRate);
+    }
+    factors.pace = {
+      score: round(score),
+      completions_per_week: round(actualRate),
+      needed_per_week: neededRate === null ? null : round(neededRate),
+    };
+    if (score > 0 && score * 100 >= thresholds.pace) {
+      addReason(
+        "pace",
+        neededRate === null
+          ? `${remaining} activities left after the course ended on ${formatDate(course.end_date)}`
+          : `Completing ${round(actualRate)} activities a week, ` +
+              `needs ${round(neededRate)} to finish by ${formatDate(course.end_date)}`
+      );
+    }
+  }
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [factor, { score }] of Object.entries(factors)) {
+    weighted += score * weights[factor];
+    totalWeight += weights[factor];
+  }
+  const riskScore = totalWeight > 0 ? round((weighted / totalWeight) * 100) : 0;
+  const flagged = riskScore >= thresholds.score;
+
+  return {
+    risk_score: riskScore,
+    risk_level: !flagged
+      ? "low"
+      : riskScore >= thresholds.high
+      ? "high"
+      : "medium",
+    flagged,
+    completed_activities: completed,
+    total_activities: activities.length,
+    completion_percentage:
+      activities.length > 0 ? round((completed / activities.length) * 100) : 0,
+    performance_level: getPerformanceLevel(
+      activities.length > 0 ? completed / activities.length : 0
+    ),
+    is_active: isStudentActive(lastAccess, now),
+    factors,
+    // Heaviest contribution first; factors weighted 0 are ignored
+    reasons: reasons
+      .filter((reason) => weights[reason.factor] > 0)
+      .sort(
+        (a, b) => b.score * weights[b.factor] - a.score * weights[a.factor]
+      ),
+  };
+}
+
+module.exports = {
+  RISK_FACTORS,
+  DEFAULT_WEIGHTS,
+  DEFAULT_THRESHOLDS,
+  isStudentActive,
+  getPerformanceLevel,
+  resolveRiskConfig,
+  scoreStudent,
+};
@@ -0,0 +1,278 @@
+// sync-jobs.js
+// Background queue for Moodle sync jobs. Jobs are kept in memory for fast
+// polling and mirrored into the `sync_jobs` table so they survive restarts.
+const crypto = require("crypto");
+
+const JOBS_TABLE = "sync_jobs";
+const TOTAL_STEPS = 6;
+const PROGRESS_PERSIST_INTERVAL = 2000;
+const MAX_FINISHED_JOBS_IN_MEMORY = 200;
+const ACTIVE_STATUSES = ["queued", "running"];
+
+class SyncJobQueue {
+  /**
+   * @param {object} db Storage client used for persistence (see storage.js)
+   * @param {Object<string, Function>} runners Map of job type to
+   *   `async (job, onProgress) => result`
+   * @param {object} [options]
+   * @param {number} [options.concurrency=1] Jobs processed at the same time
+   */
+  constructor(db, runners, options = {}) {
+    this.db = db;
+    this.runners = runners;
+    this.concurrency = options.concurrency || 1;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.persistenceAvailable = true;
+    // job_id -> promise of the job's last queued write
+    this.writes = new Map();
+  }
+
+  /**
+   * Queue a job. If an identical job is already queued or running, that job
+   * is returned instead with `existing: true`.
+   */
+  async enqueue(type, { courseId = null, params = {} } = {}) {
+    if (!this.runners[type]) {
+      throw new Error(`Unknown sync job type: ${type}`);
+    }
+
+    const duplicate = [...this.jobs.values()].find(
+      (job) =>
+        job.job_type === type &&
+        job.course_id === courseId &&
+        ACTIVE_STATUSES.includes(job.status)
+    );
+    if (duplicate) {
+      return { job: duplicate, existing: true };
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      job_id: crypto.randomUUID(),
+      job_type: type,
+      course_id: courseId,
+      params,
+      status: "queued",
+      step: 0,
+      total_steps: TOTAL_STEPS,
+      step_name: null,
+      processed_students: 0,
+      total_students: 0,
+      results: null,
+      errors: [],
+      error: null,
+      created_at: now,
+      started_at: null,
+      finished_at: null,
+      updated_at: now,
+    };
+
+    this.jobs.set(job.job_id, job);
+    await this.persist(job);
+
+    this.pending.push(job.job_id);
+    this.drain();
+
+    return { job, existing: false };
+  }
+
+  /**
+   * Look up a job, falling back to the table for jobs no longer in memory
+   */
+  async get(jobId) {
+    if (this.jobs.has(jobId)) {
+      return this.jobs.get(jobId);
+    }
+    if (!this.persistenceAvailable) return null;
+
+    const { data, error } = await this.db
+      .from(JOBS_TABLE)
+      .select("*")
+      .eq("job_id", jobId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Most recent jobs first, optionally filtered by status and course
+   */
+  async list({ status, courseId, limit = 20 } = {}) {
+    if (this.persistenceAvailable) {
+      let query = this.db
+        .from(JOBS_TABLE)
+        .select("*")
+        .order("created_at", { ascending: false })
+        .limit(limit);
+
+      if (status) query = query.eq("status", status);
+      if (courseId !== undefined) query = query.eq("course_id", courseId);
+
+      const { data, error } = await query;
+      if (!error) {
+        // In-memory copies carry progress not yet flushed to the table
+        return data.map((row) => this.jobs.get(row.job_id) || row);
+      }
+      console.log(`⚠ Could not list sync jobs from table: ${error.message}`);
+    }
+
+    return [...this.jobs.values()]
+      .filter((job) => !status || job.status === status)
+      .filter((job) => courseId === undefined || job.course_id === courseId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  /**
+   * Re-queue jobs that were queued or running when the server stopped
+   */
+  async restore() {
+    const { data, error } = await this.db
+      .from(JOBS_TABLE)
+      .select("*")
+      .in("status", ACTIVE_STATUSES)
+      .order("created_at");
+
+    if (error) {
+      this.handlePersistError(error);
+      return 0;
+    }
+
+    for (const row of data) {
+      const job = {
+        ...row,
+        params: row.params || {},
+        status: "queued",
+        step: 0,
+        step_name: null,
+        processed_students: 0,
+        started_at: null,
+        updated_at: new Date().toISOString(),
+      };
+      this.jobs.set(job.job_id, job);
+      this.pending.push(job.job_id);
+      await this.persist(job);
+    }
+
+    if (data.length > 0) {
+      console.log(`↻ Restored ${data.length} unfinished sync job(s)`);
+      this.drain();
+    }
+    return data.length;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.prune();
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    job.status = "running";
+    job.started_at = new Date().toISOString();
+    await this.persist(job);
+
+    let lastPersist = Date.now();
+    const onProgress = (update) => {
+      const stepChanged = update.step !== undefined && update.step !== job.step;
+
+      if (update.step !== undefined) job.step = update.step;
+      if (update.stepName !== undefined) job.step_name = update.stepName;
+      if (update.processedStudents !== undefined) {
+        job.processed_students = update.processedStudents;
+      }
+      if (update.totalStudents !== undefined) {
+        job.total_students = update.totalStudents;
+      }
+      if (update.results !== undefined) {
+        job.results = update.results;
+        job.errors = update.results.errors || [];
+      }
+      job.updated_at = new Date().toISOString();
+
+      if (stepChanged || Date.now() - lastPersist >= PROGRESS_PERSIST_INTERVAL) {
+        lastPersist = Date.now();
+        this.persist(job);
+      }
+    };
+
+    try {
+      const result = await this.runners[job.job_type](job, onProgress);
+      job.status = "completed";
+      job.results = result.results || result;
+      job.errors = (result.results && result.results.errors) || [];
+    } catch (error) {
+      console.error(`❌ Sync job ${job.job_id} failed: ${error.message}`);
+      job.status = "failed";
+      job.error = error.message;
+    }
+
+    job.finished_at = new Date().toISOString();
+    job.updated_at = job.finished_at;
+    await this.persist(job);
+  }
+
+  /**
+   * Save a job. Writes of one job run one after another, so a slow progress
+   * write cannot land after (and undo) the final status.
+   */
+  persist(job) {
+    const write = (this.writes.get(job.job_id) || Promise.resolve()).then(() =>
+      this.write(job)
+    );
+    this.writes.set(job.job_id, write);
+    return write.finally(() => {
+      if (this.writes.get(job.job_id) === write) this.writes.delete(job.job_id);
+    });
+  }
+
+  async write(job) {
+    if (!this.persistenceAvailable) return;
+
+    try {
+      const { error } = await this.db
+        .from(JOBS_TABLE)
+        .upsert([job], { onConflict: "job_id" });
+
+      if (error) this.handlePersistError(error);
+    } catch (error) {
+      this.handlePersistError(error);
+    }
+  }
+
+  handlePersistError(error) {
+    if (error.code === "PGRST205" || error.code === "42P01") {
+      // Table doesn't exist - keep jobs in memory only
+      console.log(`Note: ${JOBS_TABLE} table doesn't exist, jobs won't survive restarts`);
+      this.persistenceAvailable = false;
+    } else {
+      console.log(`⚠ Could not persist sync job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs from memory; they stay in the table
+   */
+  prune() {
+    const finished = [...this.jobs.values()].filter(
+      (job) => !ACTIVE_STATUSES.includes(job.status)
+    );
+    const excess = finished.length - MAX_FINISHED_JOBS_IN_MEMORY;
+
+    finished
+      .sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .slice(0, Math.max(0, excess))
+      .forEach((job) => this.jobs.delete(job.job_id));
+  }
+}
+
+module.exports = { SyncJobQueue };
@@ -0,0 +1,319 @@
+// sync-rows.js
+// Moodle payload -> table row mapping shared by CourseSyncService and the
+// CompleteCourseData exporter, so both write the same rows to Supabase.
+
+// Moodle COMPLETION_AGGREGATION_ALL / _ANY
+const COMPLETION_AGGREGATION = { 1: "all", 2: "any" };
+const STUDENT_ROLE_ID = 5;
+
+/**
+ * Moodle unix timestamp (seconds, 0 meaning "not set") to a Date or null
+ */
+function fromUnixTime(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Date window of Moodle's availability restriction tree (the module
+ * `availability` JSON): the latest "from" (d ">=") and earliest "until"
+ * (d "<") date condition that must all hold. Conditions below OR or NOT
+ * branches do not restrict every student, so they are ignored.
+ */
+function parseAvailabilityWindow(availability) {
+  let start = null;
+  let end = null;
+
+  const walk = (tree) => {
+    if (!tree || !Array.isArray(tree.c) || tree.op !== "&") return;
+
+    tree.c.forEach((condition) => {
+      if (condition.type === "date" && condition.t) {
+        if (condition.d === ">=") start = Math.max(start || 0, condition.t);
+        if (condition.d === "<") end = Math.min(end || Infinity, condition.t);
+      } else if (condition.c) {
+        walk(condition);
+      }
+    });
+  };
+  walk(parseJson(availability));
+
+  return {
+    availability_start: fromUnixTime(start),
+    availability_end: fromUnixTime(end),
+  };
+}
+
+// `dates` entries from core_course_get_contents (Moodle 3.11+) by dataid
+const ACTIVITY_DATE_FIELDS = {
+  timeopen: "open_date",
+  allowsubmissionsfromdate: "open_date",
+  timeavailablefrom: "open_date",
+  timeclose: "close_date",
+  cutoffdate: "close_date",
+  timeavailableto: "close_date",
+  duedate: "due_date",
+  timedue: "due_date",
+};
+
+/**
+ * Open/close/due dates of an activity from the module `dates` list. Older
+ * Moodles send no dataid, so the label ("Opened:", "Due:") is used instead.
+ */
+function parseActivityDates(dates = []) {
+  const result = { open_date: null, close_date: null, due_date: null };
+
+  (dates || []).forEach((date) => {
+    const field =
+      ACTIVITY_DATE_FIELDS[date.dataid] ||
+      (/due/i.test(date.label) && "due_date") ||
+      (/open/i.test(date.label) && "open_date") ||
+      (/clos/i.test(date.label) && "close_date");
+
+    if (field && date.timestamp) {
+      result[field] = fromUnixTime(date.timestamp);
+    }
+  });
+
+  return result;
+}
+
+function isStudentRole(role) {
+  return role.shortname === "student" || role.roleid === STUDENT_ROLE_ID;
+}
+
+function isStudent(user) {
+  return !!user.roles && user.roles.some(isStudentRole);
+}
+
+/**
+ * Enrolled with at least one role other than student
+ */
+function isStaff(user) {
+  return !!user.roles && user.roles.some((role) => !isStudentRole(role));
+}
+
+/**
+ * courses row from a core_course_get_courses entry and its synced category
+ */
+function toCourseRow(course, category = null) {
+  return {
+    course_id: course.id,
+    short_name: course.shortname,
+    full_name: course.fullname,
+    category_id: course.categoryid || 0,
+    category_name: category ? category.category_name : null,
+    summary: course.summary || "",
+    format: course.format || "topics",
+    start_date: fromUnixTime(course.startdate),
+    end_date: fromUnixTime(course.enddate),
+    visible: course.visible === 1,
+    updated_at: new Date(),
+  };
+}
+
+/**
+ * enrollments row from a core_enrol_get_enrolled_users student
+ */
+function toEnrollmentRow(courseId, student) {
+  return {
+    course_id: parseInt(courseId),
+    student_id: student.id,
+    student_name: `${student.firstname} ${student.lastname}`,
+    student_email: student.email || "",
+    student_first_name: student.firstname,
+    student_last_name: student.lastname,
+    // core_enrol_get_enrolled_users only carries the enrolment
+    // timestart/timeend on sites that add them to the response; first
+    // access is the fallback older rows were written with
+    enrollment_date:
+      fromUnixTime(student.timestart) ||
+      fromUnixTime(student.firstaccess) ||
+      new Date(),
+    enrollment_start: fromUnixTime(student.timestart),
+    enrollment_end: fromUnixTime(student.timeend),
+    first_access: fromUnixTime(student.firstaccess),
+    last_access: fromUnixTime(student.lastaccess),
+    last_course_access: fromUnixTime(student.lastcourseaccess),
+    role: "student",
+    status: "active",
+    deleted_at: null,
+    updated_at: new Date(),
+  };
+}
+
+/**
+ * activities rows for every module of a core_course_get_contents result
+ */
+function toActivityRows(courseId, courseContents) {
+  const rows = [];
+
+  courseContents.forEach((section) => {
+    (section.modules || []).forEach((module, position) => {
+      rows.push({
+        course_id: parseInt(courseId),
+        activity_id: module.id,
+        section_id: section.id,
+        section_number: section.section,
+        section_name: section.name,
+        section_position: position,
+        activity_name: module.name,
+        activity_type: module.modname,
+        activity_url: module.url || null,
+        description: module.description || "",
+        visible: module.visible === 1,
+        visible_on_course_page: module.visibleoncoursepage !== 0,
+        user_visible: module.uservisible !== false,
+        published: module.visible === 1 && module.visibleoncoursepage !== 0,
+        ...parseAvailabilityWindow(module.availability),
+        availability_info: module.availabilityinfo || null,
+        availability_conditions: parseJson(module.availability),
+        ...parseActivityDates(module.dates),
+        has_completion: (module.completion || 0) > 0,
+        completion_expected: fromUnixTime(module.completionexpected),
+        deleted_at: null,
+        updated_at: new Date(),
+      });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * activity_completions rows from one student's
+ * core_completion_get_activities_completion_status `statuses`.
+ * `activitiesById` maps cmid to the activity row for names and types.
+ */
+function toCompletionRows(courseId, studentId, statuses, activitiesById) {
+  return (statuses || []).map((status) => {
+    const activity = activitiesById.get(status.cmid);
+
+    return {
+      course_id: parseInt(courseId),
+      student_id: studentId,
+      activity_id: status.cmid,
+      activity_name: activity ? activity.activity_name : "",
+      activity_type: activity ? activity.activity_type : "",
+      completion_state: status.state || 0,
+      is_completed: status.state >= 1,
+      is_passed: status.state === 2,
+      is_failed: status.state === 3,
+      time_completed: fromUnixTime(status.timecompleted),
+      tracking_type: status.tracking || 0,
+      deleted_at: null,
+      updated_at: new Date(),
+    };
+  });
+}
+
+/**
+ * Shape a core_completion_get_course_completion_status `completionstatus`.
+ * The function reports per-criterion completion times only, so the course
+ * completion date is taken from the criteria: the last one met when all are
+ * required, the first one met when any one is enough.
+ */
+function parseCourseCompletionStatus(status) {
+  const criteria = (status.completions || []).map((c) => ({
+    type: c.type,
+    title: c.title,
+    status: c.status,
+    complete: !!c.complete,
+    time_completed: c.timecompleted
+      ? new Date(c.timecompleted * 1000).toISOString()
+      : null,
+    requirement: c.details ? c.details.requirement : null,
+  }));
+  const aggregation = COMPLETION_AGGREGATION[status.aggregation] || "all";
+  const times = criteria
+    .filter((c) => c.complete && c.time_completed)
+    .map((c) => c.time_completed)
+    .sort();
+
+  return {
+    completed: !!status.completed,
+    completionDate:
+      status.completed && times.length > 0
+        ? new Date(aggregation === "any" ? times[0] : times[times.length - 1])
+        : null,
+    aggregation,
+    criteria,
+  };
+}
+
+/**
+ * course_completions row for one student. The percentage always comes from
+ * the student's activity completion rows; completion status and date come
+ * from Moodle (`moodleStatus`, see parseCourseCompletionStatus) when the
+ * course has completion criteria, else from "all trackable activities done".
+ */
+function toCourseCompletionRow(
+  courseId,
+  studentId,
+  trackableCount,
+  studentCompletions,
+  moodleStatus = null
+) {
+  const completed = studentCompletions.filter((c) => c.is_completed);
+  const completionPercentage =
+    trackableCount > 0 ? (completed.length / trackableCount) * 100 : 0;
+
+  const activitiesCompleted = trackableCount > 0 && completionPercentage >= 100;
+  const lastCompletedAt = activitiesCompleted
+    ? completed
+        .map((c) => c.time_completed)
+        .filter(Boolean)
+        .reduce((latest, t) => (!latest || t > latest ? t : latest), null)
+    : null;
+
+  return {
+    course_id: parseInt(courseId),
+    student_id: studentId,
+    total_activities: trackableCount,
+    completed_activities: completed.length,
+    completion_percentage: parseFloat(completionPercentage.toFixed(2)),
+    activities_completed: activitiesCompleted,
+    ...(moodleStatus
+      ? {
+          is_course_completed: moodleStatus.completed,
+          completion_date: moodleStatus.completionDate,
+          completion_source: "moodle",
+          completion_aggregation: moodleStatus.aggregation,
+          criteria_total: moodleStatus.criteria.length,
+          criteria_completed: moodleStatus.criteria.filter((c) => c.complete)
+            .length,
+          completion_criteria: moodleStatus.criteria,
+        }
+      : {
+          is_course_completed: activitiesCompleted,
+          completion_date: lastCompletedAt,
+          completion_source: "activities",
+          completion_aggregation: null,
+          criteria_total: null,
+          criteria_completed: null,
+          completion_criteria: null,
+        }),
+    deleted_at: null,
+    updated_at: new Date(),
+  };
+}
+
+module.exports = {
+  fromUnixTime,
+  isStudent,
+  isStaff,
+  toCourseRow,
+  toEnrollmentRow,
+  toActivityRows,
+  toCompletionRows,
+  parseCourseCompletionStatus,
+  toCourseCompletionRow,
+};